@@ -1,5 +1,9 @@
 // Chrome MCP Controller - Background Service Worker (WebSocket Version)
 
+import { handleAction } from './background/actions.js';
+import { getBrowserIdentity } from './background/identity.js';
+import { getAllTabs } from './background/tabs.js';
+
 // WebSocket connection
 let ws = null;
 let isConnected = false;
@@ -31,6 +35,9 @@ function connectWebSocket() {
       // Stop persistent reconnection if it was running
       stopPersistentReconnection();
       
+      // Tell the server which browser this is before it routes commands here
+      sendHello();
+      
       // Start keep-alive mechanism
       startKeepAlive();
       
@@ -48,6 +55,12 @@ function connectWebSocket() {
           return;
         }
         
+        if (message.type === 'registered') {
+          // The server adds a suffix when another browser already has the name
+          console.log('Registered with server as:', message.name);
+          return;
+        }
+        
         if (message.type === 'ping') {
           // Respond to server ping with pong
           const pongMessage = {
@@ -153,6 +166,14 @@ async function handleServerCommand(message) {
   }
 }
 
+// Introduce this browser (name, profile, versions) to the server
+async function sendHello() {
+  const identity = await getBrowserIdentity();
+  if (isConnected && ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'hello', ...identity }));
+  }
+}
+
 // Process queued messages
 function processMessageQueue() {
   while (messageQueue.length > 0 && isConnected && ws && ws.readyState === WebSocket.OPEN) {
@@ -217,565 +238,6 @@ function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substring(2);
 }
 
-// Tab management functions (same as before)
-async function getAllTabs() {
-  try {
-    const tabs = await chrome.tabs.query({});
-    return tabs.map(tab => ({
-      id: tab.id,
-      url: tab.url,
-      title: tab.title,
-      active: tab.active,
-      windowId: tab.windowId
-    }));
-  } catch (error) {
-    throw new Error(`Failed to get tabs: ${error.message}`);
-  }
-}
-
-async function getActiveTab() {
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab) {
-      throw new Error('No active tab found');
-    }
-    return {
-      id: tab.id,
-      url: tab.url,
-      title: tab.title,
-      active: tab.active,
-      windowId: tab.windowId
-    };
-  } catch (error) {
-    throw new Error(`Failed to get active tab: ${error.message}`);
-  }
-}
-
-async function navigateTab(tabId, url) {
-  try {
-    await chrome.tabs.update(tabId, { url });
-    return { success: true };
-  } catch (error) {
-    throw new Error(`Failed to navigate tab: ${error.message}`);
-  }
-}
-
-async function closeTab(tabId) {
-  try {
-    await chrome.tabs.remove(tabId);
-    return { success: true };
-  } catch (error) {
-    throw new Error(`Failed to close tab: ${error.message}`);
-  }
-}
-
-async function createTab(url) {
-  try {
-    const tab = await chrome.tabs.create({ url });
-    return {
-      id: tab.id,
-      url: tab.url,
-      title: tab.title,
-      active: tab.active,
-      windowId: tab.windowId
-    };
-  } catch (error) {
-    throw new Error(`Failed to create tab: ${error.message}`);
-  }
-}
-
-// Page interaction functions
-// Message type constants
-const MESSAGE_TYPES = {
-  CLICK_ELEMENT: 'clickElement',
-  FILL_ELEMENT: 'fillElement',
-  CLEAR_ELEMENT: 'clearElement',
-  GET_INTERACTIVE_ELEMENTS: 'getInteractiveElements',
-  GET_HTML_CONTENT: 'getHTMLContent',
-  GET_TEXT_CONTENT: 'getTextContent',
-  PREPARE_PAGE_FOR_CAPTURE: 'preparePageForCapture',
-  GET_PAGE_DETAILS: 'getPageDetails',
-  GET_ELEMENT_DETAILS: 'getElementDetails',
-  SCROLL_PAGE: 'scrollPage',
-  RESET_PAGE_AFTER_CAPTURE: 'resetPageAfterCapture',
-  HIGHLIGHT_ELEMENT: 'highlightElement',
-  UNHIGHLIGHT_ELEMENT: 'unhighlightElement',
-  REMOVE_ALL_HIGHLIGHTS: 'removeAllHighlights'
-};
-
-// Helper script injection tracking - Map of tabId-scriptName -> timestamp
-const injectedScripts = new Map();
-
-// Ping timeout for checking if scripts are loaded
-const PING_TIMEOUT_MS = 300;
-
-// Helper script injection function with ping/pong health check
-async function injectHelperScript(tabId, scriptName) {
-  const scriptKey = `${tabId}-${scriptName}`;
-  
-  // Check if script is already injected and working
-  try {
-    const pingAction = getPingActionForScript(scriptName);
-    const response = await Promise.race([
-      chrome.tabs.sendMessage(tabId, { action: pingAction }),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(`Ping timeout for ${scriptName}`)), PING_TIMEOUT_MS)
-      ),
-    ]);
-
-    if (response && response.status === 'pong') {
-      console.log(`Script ${scriptName} already active in tab ${tabId}`);
-      injectedScripts.set(scriptKey, Date.now()); // Update timestamp
-      return;
-    }
-  } catch (error) {
-    console.log(`Ping failed for ${scriptName} in tab ${tabId}, injecting fresh`);
-  }
-  
-  try {
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: [`inject-scripts/${scriptName}`]
-    });
-    injectedScripts.set(scriptKey, Date.now());
-    console.log(`Successfully injected ${scriptName} into tab ${tabId}`);
-  } catch (error) {
-    console.error(`Failed to inject ${scriptName} into tab ${tabId}:`, error);
-    throw error;
-  }
-}
-
-// Get ping action name for a script
-function getPingActionForScript(scriptName) {
-  const pingMap = {
-    'fill-helper.js': 'chrome_fill_helper_ping',
-    'click-helper.js': 'chrome_click_element_ping',
-    'interactive-elements-helper.js': 'chrome_interactive_elements_ping',
-    'web-fetcher-helper.js': 'chrome_web_fetcher_ping',
-    'screenshot-helper.js': 'chrome_screenshot_helper_ping',
-    'keyboard-helper.js': 'chrome_keyboard_helper_ping',
-    'inject-bridge.js': 'chrome_inject_bridge_ping'
-  };
-  return pingMap[scriptName] || `chrome_${scriptName.replace('-helper.js', '').replace('.js', '')}_ping`;
-}
-
-// Inject script with MAIN world support
-async function injectScriptWithWorld(tabId, scriptConfig) {
-  const { files, world = 'ISOLATED', jsCode = null } = scriptConfig;
-  
-  if (world === 'MAIN') {
-    // Inject bridge first for MAIN world communication
-    await injectHelperScript(tabId, 'inject-bridge.js');
-    
-    if (jsCode) {
-      // Execute provided JavaScript code in MAIN world
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (code) => new Function(code)(),
-        args: [jsCode],
-        world: 'MAIN',
-      });
-    }
-  } else {
-    // Standard ISOLATED world injection
-    if (files && files.length > 0) {
-      for (const file of files) {
-        await injectHelperScript(tabId, file);
-      }
-    }
-    
-    if (jsCode) {
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (code) => new Function(code)(),
-        args: [jsCode],
-        world: 'ISOLATED',
-      });
-    }
-  }
-}
-
-// Clean up injection tracking when tabs are closed
-chrome.tabs.onRemoved.addListener((tabId) => {
-  for (const [key, _] of injectedScripts) {
-    if (key.startsWith(`${tabId}-`)) {
-      injectedScripts.delete(key);
-    }
-  }
-});
-
-// Ensure content script is injected in tab
-async function ensureContentScript(tabId) {
-  try {
-    // Try to ping the content script
-    const response = await Promise.race([
-      chrome.tabs.sendMessage(tabId, { action: 'chrome_content_ping' }),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Content script ping timeout')), PING_TIMEOUT_MS)
-      ),
-    ]);
-
-    if (response && response.status === 'pong') {
-      return; // Content script is already loaded
-    }
-  } catch (error) {
-    // Content script not loaded, inject it
-    console.log(`Injecting content script into tab ${tabId}`);
-  }
-  
-  await chrome.scripting.executeScript({
-    target: { tabId },
-    files: ['content.js']
-  });
-}
-
-// Send message to content script with helper injection
-async function sendToContentScript(tabId, message, requiredScript = null) {
-  // Always ensure content script is loaded first
-  await ensureContentScript(tabId);
-  
-  if (requiredScript) {
-    await injectHelperScript(tabId, requiredScript);
-  }
-  
-  return new Promise((resolve, reject) => {
-    chrome.tabs.sendMessage(tabId, message, (response) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(response);
-      }
-    });
-  });
-}
-
-async function executeInTab(tabId, action, params = {}) {
-  try {
-    // For enhanced actions, use helper scripts
-    const enhancedActions = {
-      'click_enhanced': { script: 'click-helper.js', message: 'clickElement' },
-      'fill_enhanced': { script: 'fill-helper.js', message: 'fillElement' },
-      'clear_enhanced': { script: 'fill-helper.js', message: 'clearElement' },
-      'get_interactive_elements': { script: 'interactive-elements-helper.js', message: 'getInteractiveElements' },
-      'get_web_content': { script: 'web-fetcher-helper.js', message: 'getTextContent' },
-      'get_html_content': { script: 'web-fetcher-helper.js', message: 'getHTMLContent' },
-      'simulate_keyboard': { script: 'keyboard-helper.js', message: 'simulateKeyboard' },
-      'simulate_key_combination': { script: 'keyboard-helper.js', message: 'simulateKeyCombination' },
-    };
-    
-    if (enhancedActions[action]) {
-      const config = enhancedActions[action];
-      const message = {
-        action: config.message,
-        selector: params.selector,
-        value: params.value,
-        ...params
-      };
-      
-      return await sendToContentScript(tabId, message, config.script);
-    }
-    
-    // Fallback to direct script execution for basic actions
-    const results = await chrome.scripting.executeScript({
-      target: { tabId },
-      func: pageAction,
-      args: [action, params]
-    });
-    
-    if (results && results[0]) {
-      return results[0].result;
-    }
-    
-    throw new Error('No result from script execution');
-  } catch (error) {
-    throw new Error(`Script execution failed: ${error.message}`);
-  }
-}
-
-// Function that runs in the page context (same as before)
-function pageAction(action, params) {
-  switch (action) {
-    case 'click':
-      return clickElement(params.selector);
-    case 'scroll':
-      return scrollPage(params.direction, params.amount);
-    case 'get_content':
-      return getPageContent(params.selector);
-    case 'wait_for_element':
-      return waitForElement(params.selector, params.timeout);
-    case 'screenshot':
-      return takeScreenshot();
-    default:
-      throw new Error(`Unknown action: ${action}`);
-  }
-}
-
-function clickElement(selector) {
-  const element = document.querySelector(selector);
-  if (!element) {
-    throw new Error(`Element not found: ${selector}`);
-  }
-  
-  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-  element.click();
-  
-  return { success: true, selector };
-}
-
-function scrollPage(direction, amount = 500) {
-  const scrollOptions = {
-    behavior: 'smooth'
-  };
-  
-  switch (direction) {
-    case 'up':
-      window.scrollBy({ ...scrollOptions, top: -amount });
-      break;
-    case 'down':
-      window.scrollBy({ ...scrollOptions, top: amount });
-      break;
-    case 'left':
-      window.scrollBy({ ...scrollOptions, left: -amount });
-      break;
-    case 'right':
-      window.scrollBy({ ...scrollOptions, left: amount });
-      break;
-    default:
-      throw new Error(`Invalid scroll direction: ${direction}`);
-  }
-  
-  return { success: true, direction, amount };
-}
-
-function getPageContent(selector) {
-  if (selector) {
-    const element = document.querySelector(selector);
-    if (!element) {
-      throw new Error(`Element not found: ${selector}`);
-    }
-    return {
-      content: element.textContent || element.innerText,
-      html: element.innerHTML
-    };
-  }
-  
-  return {
-    title: document.title,
-    url: window.location.href,
-    content: document.body.textContent || document.body.innerText,
-    html: document.documentElement.outerHTML
-  };
-}
-
-function fillInput(selector, value) {
-  const element = document.querySelector(selector);
-  if (!element) {
-    throw new Error(`Input element not found: ${selector}`);
-  }
-  
-  element.focus();
-  element.value = value;
-  element.dispatchEvent(new Event('input', { bubbles: true }));
-  element.dispatchEvent(new Event('change', { bubbles: true }));
-  
-  return { success: true, selector, value };
-}
-
-function getInteractiveElements() {
-  const interactiveSelectors = [
-    'button',
-    'input',
-    'select',
-    'textarea',
-    'a[href]',
-    '[onclick]',
-    '[role="button"]',
-    '[tabindex]:not([tabindex="-1"])',
-    'label[for]',
-    '[contenteditable="true"]'
-  ];
-  
-  const elements = [];
-  
-  interactiveSelectors.forEach(selector => {
-    const found = document.querySelectorAll(selector);
-    found.forEach((element, index) => {
-      const rect = element.getBoundingClientRect();
-      const isVisible = rect.width > 0 && rect.height > 0 && 
-                       window.getComputedStyle(element).display !== 'none' &&
-                       window.getComputedStyle(element).visibility !== 'hidden';
-      
-      if (isVisible) {
-        elements.push({
-          tagName: element.tagName.toLowerCase(),
-          type: element.type || null,
-          id: element.id || null,
-          className: element.className || null,
-          text: element.textContent?.trim()?.substring(0, 100) || null,
-          value: element.value || null,
-          href: element.href || null,
-          selector: generateSelector(element),
-          position: {
-            x: Math.round(rect.left + rect.width / 2),
-            y: Math.round(rect.top + rect.height / 2),
-            width: Math.round(rect.width),
-            height: Math.round(rect.height)
-          }
-        });
-      }
-    });
-  });
-  
-  return {
-    success: true,
-    elements: elements,
-    count: elements.length
-  };
-}
-
-function generateSelector(element) {
-  if (element.id) {
-    return `#${element.id}`;
-  }
-  
-  if (element.className) {
-    const classes = element.className.split(' ').filter(c => c.trim());
-    if (classes.length > 0) {
-      return `.${classes[0]}`;
-    }
-  }
-  
-  let selector = element.tagName.toLowerCase();
-  const parent = element.parentElement;
-  if (parent) {
-    const siblings = Array.from(parent.children).filter(
-      child => child.tagName === element.tagName
-    );
-    if (siblings.length > 1) {
-      const index = siblings.indexOf(element) + 1;
-      selector += `:nth-of-type(${index})`;
-    }
-  }
-  
-  return selector;
-}
-
-function waitForElement(selector, timeout = 10000) {
-  return new Promise((resolve, reject) => {
-    const element = document.querySelector(selector);
-    if (element) {
-      resolve({ success: true, selector, found: true });
-      return;
-    }
-    
-    const startTime = Date.now();
-    
-    const observer = new MutationObserver(() => {
-      const element = document.querySelector(selector);
-      if (element) {
-        observer.disconnect();
-        resolve({ success: true, selector, found: true, waitTime: Date.now() - startTime });
-        return;
-      }
-      
-      if (Date.now() - startTime > timeout) {
-        observer.disconnect();
-        reject(new Error(`Element not found within ${timeout}ms: ${selector}`));
-      }
-    });
-    
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      attributes: true
-    });
-    
-    // Also set a hard timeout
-    setTimeout(() => {
-      observer.disconnect();
-      reject(new Error(`Element not found within ${timeout}ms: ${selector}`));
-    }, timeout);
-  });
-}
-
-// Action router - handles actions from WebSocket server
-async function handleAction(action, params) {
-  try {
-    switch (action) {
-      case 'get_tabs':
-        return await getAllTabs();
-      
-      case 'get_active_tab':
-        return await getActiveTab();
-      
-      case 'navigate':
-        return await navigateTab(params.tabId, params.url);
-      
-      case 'close_tab':
-        return await closeTab(params.tabId);
-      
-      case 'create_tab':
-        return await createTab(params.url);
-      
-      case 'click':
-      case 'scroll':
-      case 'get_content':
-      case 'fill_input':
-      case 'get_interactive_elements':
-      case 'wait_for_element':
-      case 'click_enhanced':
-      case 'fill_enhanced':
-      case 'clear_enhanced':
-      case 'get_web_content':
-      case 'get_html_content':
-      case 'simulate_keyboard':
-      case 'simulate_key_combination':
-        const tabId = params.tabId || (await getActiveTab()).id;
-        return await executeInTab(tabId, action, params);
-      
-      case 'screenshot':
-        return await takeScreenshot(params.tabId);
-      
-      case 'inject_script':
-        const injectTabId = params.tabId || (await getActiveTab()).id;
-        await injectScriptWithWorld(injectTabId, params);
-        return { success: true, message: 'Script injected successfully' };
-      
-      case 'send_command_to_inject_script':
-        const targetTabId = params.tabId || (await getActiveTab()).id;
-        const commandResult = await chrome.tabs.sendMessage(targetTabId, {
-          action: params.eventName,
-          payload: params.payload,
-          targetWorld: params.targetWorld || 'ISOLATED'
-        });
-        return commandResult;
-      
-      default:
-        throw new Error(`Unknown action: ${action}`);
-    }
-  } catch (error) {
-    throw new Error(`Action failed: ${error.message}`);
-  }
-}
-
-// Screenshot function
-async function takeScreenshot(tabId) {
-  try {
-    if (tabId) {
-      await chrome.tabs.update(tabId, { active: true });
-    }
-    
-    const dataUrl = await chrome.tabs.captureVisibleTab();
-    return {
-      success: true,
-      screenshot: dataUrl,
-      timestamp: Date.now()
-    };
-  } catch (error) {
-    throw new Error(`Screenshot failed: ${error.message}`);
-  }
-}
-
 // Configuration management
 function updateWebSocketURL(newUrl) {
   WS_SERVER_URL = newUrl;
@@ -804,6 +266,9 @@ chrome.storage.local.get(['wsServerUrl'], (result) => {
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'local' && changes.wsServerUrl) {
     updateWebSocketURL(changes.wsServerUrl.newValue);
+  } else if (areaName === 'local' && (changes.browserName || changes.browserProfile)) {
+    // Re-introduce under the new name; the server updates its routing
+    sendHello();
   }
 });
 
@@ -0,0 +1,142 @@
+// Chrome MCP Controller - Action dispatcher shared by the WebSocket and native messaging workers
+//
+// Which actions exist and where they run comes from common/tool-actions.js,
+// generated from the server's tool registry. Only actions that run in the
+// background worker need a handler here.
+
+import { TOOL_ACTIONS } from '../common/tool-actions.js';
+import { dragElement } from './drag.js';
+import { fillFormByName, getForms } from './forms.js';
+import { getFrames, getInteractiveElementsInAllFrames, sendToTargetFrame } from './frames.js';
+import { hoverElement } from './hover.js';
+import { getBrowserIdentity } from './identity.js';
+import { injectScriptWithWorld } from './injection.js';
+import { withNavigation } from './navigation.js';
+import { executePageAction } from './page-actions.js';
+import { takeAnnotatedScreenshot, takeScreenshot } from './screenshot.js';
+import {
+  closeTab,
+  createTab,
+  getActiveTab,
+  getAllTabs,
+  goBack,
+  goForward,
+  navigateTab,
+  reloadTab,
+  resolveTabId,
+} from './tabs.js';
+import { trustedClear, trustedClick, trustedFill, trustedPressKeys, trustedUpload } from './trusted-input.js';
+import { waitFor } from './wait.js';
+
+// Handlers for actions with target 'background'
+const BACKGROUND_HANDLERS = {
+  get_tabs: () => getAllTabs(),
+  get_active_tab: () => getActiveTab(),
+  navigate: (params) => navigateTab(params.tabId, params.url, params),
+  go_back: (params) => goBack(params.tabId, params),
+  go_forward: (params) => goForward(params.tabId, params),
+  refresh: (params) => reloadTab(params.tabId, params),
+  close_tab: (params) => closeTab(params.tabId),
+  create_tab: (params) => createTab(params.url),
+  get_frames: async (params) => getFrames(await resolveTabId(params.tabId)),
+  list_browsers: () => getBrowserIdentity(),
+  screenshot: (params) => takeScreenshot(params.tabId, params),
+  screenshot_annotated: (params) => takeAnnotatedScreenshot(params.tabId, params),
+  hover: async (params) => hoverElement(await resolveTabId(params.tabId), params),
+  drag: async (params) => dragElement(await resolveTabId(params.tabId), params),
+  fill_form: async (params) => fillFormByName(await resolveTabId(params.tabId), params),
+  get_forms: async (params) => getForms(await resolveTabId(params.tabId), params),
+  wait_for: async (params) => waitFor(await resolveTabId(params.tabId), params),
+  get_interactive_elements: async (params) =>
+    getInteractiveElementsInAllFrames(await resolveTabId(params.tabId), params),
+
+  upload_file: async (params) => {
+    const tabId = await resolveTabId(params.tabId);
+    // Paths on the browser's machine can only be read through the debugger
+    if (params.files.some((file) => file.browserPath !== undefined)) {
+      return await trustedUpload(tabId, params);
+    }
+    const result = await sendToTargetFrame(tabId, { ...params, action: 'uploadFiles' }, 'fill-helper.js');
+    return { ...result, trusted: false };
+  },
+  
+  inject_script: async (params) => {
+    const tabId = await resolveTabId(params.tabId);
+    await injectScriptWithWorld(tabId, params);
+    return { success: true, message: 'Script injected successfully' };
+  },
+  
+  send_command_to_inject_script: async (params) => {
+    const tabId = await resolveTabId(params.tabId);
+    const message = {
+      action: params.eventName,
+      payload: params.payload,
+      targetWorld: params.targetWorld || 'ISOLATED'
+    };
+    // Without a frameId every frame receives it and the first answer wins
+    return params.frameId === undefined
+      ? await chrome.tabs.sendMessage(tabId, message)
+      : await chrome.tabs.sendMessage(tabId, message, { frameId: params.frameId });
+  },
+};
+
+// Helper actions that can run through the debugger instead, when called
+// with trusted: true
+const TRUSTED_INPUT_HANDLERS = {
+  click_enhanced: trustedClick,
+  fill_enhanced: trustedFill,
+  clear_enhanced: trustedClear,
+  press_key: trustedPressKeys,
+  type_text: trustedPressKeys,
+};
+
+// Catch registry/handler drift as soon as the worker starts
+for (const [action, config] of Object.entries(TOOL_ACTIONS)) {
+  if (config.target === 'background' && !BACKGROUND_HANDLERS[action]) {
+    console.error(`No background handler for action: ${action}`);
+  }
+}
+
+// Action router - handles actions from the server
+export async function handleAction(action, params = {}) {
+  try {
+    const config = TOOL_ACTIONS[action];
+    if (!config) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+    
+    switch (config.target) {
+      case 'background':
+        return await BACKGROUND_HANDLERS[action](params);
+      
+      case 'helper': {
+        const tabId = await resolveTabId(params.tabId);
+        const trustedHandler = params.trusted && TRUSTED_INPUT_HANDLERS[action];
+        // ">>>" selectors and frame-tagged refs may point into a child frame
+        const send = trustedHandler
+          ? () => trustedHandler(tabId, params)
+          : () => sendToTargetFrame(tabId, { ...params, action: config.message }, config.script);
+        if (!params.waitUntil) {
+          return await send();
+        }
+        // e.g. click { waitUntil }: the click may or may not navigate
+        const { result, navigation } = await withNavigation(
+          tabId,
+          { ...params, expectNavigation: false },
+          send
+        );
+        return { ...result, navigation };
+      }
+      
+      case 'page': {
+        const tabId = await resolveTabId(params.tabId);
+        return await executePageAction(tabId, action, params);
+      }
+      
+      default:
+        throw new Error(`Unknown target "${config.target}" for action: ${action}`);
+    }
+  } catch (error) {
+    throw new Error(`Action failed: ${error.message}`);
+  }
+}
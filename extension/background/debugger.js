@@ -0,0 +1,71 @@
+// Chrome MCP Controller - chrome.debugger sessions
+//
+// Attaching shows Chrome's "is debugging this browser" bar, so sessions are
+// only held for the duration of a withDebugger callback.
+
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+
+// Tabs this worker is currently attached to
+const attachedTabs = new Set();
+
+chrome.debugger.onDetach.addListener((source) => {
+  attachedTabs.delete(source.tabId);
+});
+
+async function attachDebugger(tabId) {
+  try {
+    await chrome.debugger.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION);
+    attachedTabs.add(tabId);
+  } catch (error) {
+    // Typically DevTools or another extension is already attached
+    throw new Error(`Cannot attach debugger to tab ${tabId}: ${error.message}`);
+  }
+}
+
+async function detachDebugger(tabId) {
+  if (!attachedTabs.delete(tabId)) {
+    return;
+  }
+  try {
+    await chrome.debugger.detach({ tabId });
+  } catch (error) {
+    // Already detached, e.g. the tab was closed
+  }
+}
+
+export async function sendDebuggerCommand(tabId, method, params = {}) {
+  try {
+    return await chrome.debugger.sendCommand({ tabId }, method, params);
+  } catch (error) {
+    throw new Error(`${method} failed: ${error.message}`);
+  }
+}
+
+// Run callback with the debugger attached to the tab. Nested calls reuse the
+// outer session; the outermost call detaches.
+export async function withDebugger(tabId, callback) {
+  const ownsSession = !attachedTabs.has(tabId);
+  if (ownsSession) {
+    await attachDebugger(tabId);
+  }
+
+  try {
+    return await callback();
+  } finally {
+    if (ownsSession) {
+      await detachDebugger(tabId);
+    }
+  }
+}
+
+// Call listener(params) for each protocol event of the given method from the
+// tab. Returns a function that stops listening.
+export function onDebuggerEvent(tabId, method, listener) {
+  const handler = (source, eventMethod, params) => {
+    if (source.tabId === tabId && eventMethod === method) {
+      listener(params);
+    }
+  };
+  chrome.debugger.onEvent.addListener(handler);
+  return () => chrome.debugger.onEvent.removeListener(handler);
+}
@@ -0,0 +1,37 @@
+// Chrome MCP Controller - drag
+//
+// Drags between two endpoints, each an element (selector or ref) or a point
+// in the viewport of the targeted frame. Both ends must be in the same frame.
+
+import { routeToFrame, tagFrameRef } from './frames.js';
+import { sendToContentScript } from './injection.js';
+import { trustedDrag } from './trusted-input.js';
+
+async function routeEndpoint(tabId, endpoint, frameId) {
+  if (typeof endpoint.x === 'number') {
+    return { frameId, message: endpoint };
+  }
+  return await routeToFrame(tabId, { ...endpoint, frameId });
+}
+
+export async function dragElement(tabId, params) {
+  if (params.trusted) {
+    return await trustedDrag(tabId, params);
+  }
+
+  const frameId = params.frameId ?? 0;
+  const source = await routeEndpoint(tabId, params.source, frameId);
+  const target = await routeEndpoint(tabId, params.target, frameId);
+  if (source.frameId !== target.frameId) {
+    throw new Error('Drag source and target must be in the same frame');
+  }
+
+  const result = await sendToContentScript(
+    tabId,
+    { action: 'dragElement', source: source.message, target: target.message, steps: params.steps },
+    'drag-helper.js',
+    source.frameId
+  );
+  const tag = (endpoint) => ({ ...endpoint, ref: tagFrameRef(endpoint.ref, source.frameId) });
+  return { ...result, source: tag(result.source), target: tag(result.target), trusted: false };
+}
@@ -0,0 +1,118 @@
+// Chrome MCP Controller - get_forms, and fill_form by field name
+//
+// The form helper matches the names to controls; each control is then filled
+// by the helper that owns that kind of input, so it gets the same events as
+// with type, select_option and set_checked. Optionally submits the form and
+// reports what failed validation.
+
+import { routeToFrame, tagFrameRef } from './frames.js';
+import { sendToContentScript } from './injection.js';
+import { withNavigation } from './navigation.js';
+
+// Time for the page's own validation to mark fields after a submit that did
+// not navigate
+const VALIDATION_SETTLE_MS = 500;
+
+export async function fillFormByName(tabId, params) {
+  const routed = await routeToFrame(tabId, { selector: params.form, frameId: params.frameId });
+  const frameId = routed.frameId;
+  const helper = (message, script) => sendToContentScript(tabId, message, script, frameId);
+
+  const resolved = await helper(
+    { action: 'resolveFormFields', values: params.values, selector: routed.message.selector },
+    'form-helper.js'
+  );
+
+  // One at a time in document order, so fields that appear or change
+  // depending on earlier ones are filled after them
+  const fields = [];
+  for (const field of resolved.fields) {
+    const { name, label, kind, ref } = field;
+    const report = { name, label, ref: tagFrameRef(ref, frameId) };
+    try {
+      if (field.error) {
+        throw new Error(field.error);
+      }
+      if (kind === 'check') {
+        const result = await helper({ action: 'setChecked', ref, checked: field.checked }, 'select-helper.js');
+        fields.push({ ...report, success: true, checked: result.checked, changed: result.changed });
+      } else if (kind === 'select') {
+        const result = await helper({ action: 'selectOption', ref, value: field.value }, 'select-helper.js');
+        fields.push({ ...report, success: true, selected: result.selected });
+      } else {
+        await helper({ action: 'fillElement', ref, value: field.value }, 'fill-helper.js');
+        fields.push({ ...report, success: true, value: field.value });
+      }
+    } catch (error) {
+      fields.push({ ...report, success: false, error: error.message });
+    }
+  }
+
+  const outcome = {
+    success: true,
+    fields,
+    unmatched: resolved.unmatched,
+    ambiguous: resolved.ambiguous.map((entry) => ({
+      ...entry,
+      candidates: entry.candidates.map((candidate) => ({ ...candidate, ref: tagFrameRef(candidate.ref, frameId) }))
+    })),
+    form: tagFrameRef(resolved.form, frameId)
+  };
+  if (!params.submit) {
+    return outcome;
+  }
+  if (!resolved.form) {
+    return { ...outcome, submitted: false, submitError: 'The fields are not all in one form; name it with form' };
+  }
+
+  const submit = () => helper({ action: 'submitForm', ref: resolved.form }, 'form-helper.js');
+  let submission;
+  try {
+    submission = await withNavigation(tabId, { ...params, expectNavigation: false }, submit);
+  } catch (error) {
+    return { ...outcome, submitted: false, submitError: error.message };
+  }
+  const { result, navigation } = submission;
+  // No reply means the page unloaded while answering: the submit went through
+  const submitted = result ? result.submitted : true;
+  let invalid = result?.invalid || [];
+
+  if (submitted && !navigation.navigated) {
+    await new Promise((resolve) => setTimeout(resolve, VALIDATION_SETTLE_MS));
+    try {
+      ({ invalid } = await helper({ action: 'collectValidation', ref: resolved.form }, 'form-helper.js'));
+    } catch (error) {
+      // The page replaced the form, e.g. with a confirmation
+      invalid = [];
+    }
+  }
+
+  return {
+    ...outcome,
+    submitted,
+    navigation,
+    invalid: invalid.map((entry) => ({ ...entry, ref: tagFrameRef(entry.ref, frameId) }))
+  };
+}
+
+// Describe the forms in one frame, with refs that route back to it
+export async function getForms(tabId, params) {
+  const routed = await routeToFrame(tabId, params);
+  const result = await sendToContentScript(
+    tabId,
+    { ...routed.message, action: 'getForms' },
+    'form-helper.js',
+    routed.frameId
+  );
+  const tag = (item) => item && { ...item, ref: tagFrameRef(item.ref, routed.frameId) };
+  const forms = result.forms.map((entry) => ({
+    ...entry,
+    form: tag(entry.form),
+    fields: entry.fields.map((field) => ({
+      ...tag(field),
+      options: field.options?.map((option) => (option.ref ? tag(option) : option))
+    })),
+    submitButtons: entry.submitButtons.map(tag)
+  }));
+  return { success: true, forms, frameId: routed.frameId };
+}
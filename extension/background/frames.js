@@ -0,0 +1,162 @@
+// Chrome MCP Controller - Routing element operations into frames
+//
+// Selectors may cross into iframes with ">>>" (e.g. "iframe#pay >>> input").
+// A content script can only reach its own frame, so the background walks the
+// hops first and sends the action to the frame the element lives in. Refs
+// from a child frame are tagged "f<frameId>.<ref>" so they route back there.
+
+import { sendToContentScript } from './injection.js';
+
+// Nested frames followed before giving up on a selector
+const MAX_FRAME_HOPS = 10;
+
+const FRAME_REF_PATTERN = /^f(\d+)\.(.+)$/;
+
+// Tag a ref issued by a child frame so later calls are routed back to it
+export function tagFrameRef(ref, frameId) {
+  return ref && frameId ? `f${frameId}.${ref}` : ref;
+}
+
+// Tag the refs an element action reports when it ran in a child frame
+function tagResponseRefs(response, frameId) {
+  if (!frameId || !response) {
+    return response;
+  }
+  const tagged = { ...response, frameId };
+  if (response.ref) {
+    tagged.ref = tagFrameRef(response.ref, frameId);
+  }
+  if (response.elementInfo?.ref) {
+    tagged.elementInfo = { ...response.elementInfo, ref: tagFrameRef(response.elementInfo.ref, frameId) };
+  }
+  return tagged;
+}
+
+// Every frame in a tab, top frame first. parentFrameId is null for the top frame.
+export async function getFrames(tabId) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId });
+  if (!frames) {
+    throw new Error(`Cannot list frames of tab ${tabId}`);
+  }
+  return frames
+    .sort((a, b) => a.frameId - b.frameId)
+    .map((frame) => ({
+      frameId: frame.frameId,
+      parentFrameId: frame.parentFrameId >= 0 ? frame.parentFrameId : null,
+      url: frame.url,
+      errorOccurred: frame.errorOccurred
+    }));
+}
+
+// Work out which frame a message's target is in and rewrite the target to be
+// local to that frame. Starts from message.frameId (the top frame by default).
+// Resolves with { frameId, message }.
+export async function routeToFrame(tabId, message) {
+  const refMatch = typeof message.ref === 'string' && message.ref.match(FRAME_REF_PATTERN);
+  if (refMatch) {
+    return { frameId: Number(refMatch[1]), message: { ...message, ref: refMatch[2] } };
+  }
+
+  let frameId = message.frameId ?? 0;
+  let selector = message.selector;
+  if (typeof selector !== 'string' || !selector.includes('>>>')) {
+    return { frameId, message };
+  }
+
+  for (let hops = 0; hops < MAX_FRAME_HOPS; hops++) {
+    const hop = await sendToContentScript(
+      tabId,
+      { action: 'resolveFrameHop', selector },
+      'element-resolver.js',
+      frameId
+    );
+    if (hop.local) {
+      return { frameId, message: { ...message, selector } };
+    }
+    frameId = hop.frameId;
+    selector = hop.selector;
+  }
+  throw new Error(`Selector "${message.selector}" crosses more than ${MAX_FRAME_HOPS} frames`);
+}
+
+// Offset of a frame's viewport within the tab's viewport, summed over its
+// ancestors, to turn a rect measured inside the frame into tab coordinates
+export async function frameOffset(tabId, frameId) {
+  let x = 0;
+  let y = 0;
+  while (frameId !== 0) {
+    const frame = await chrome.webNavigation.getFrame({ tabId, frameId });
+    if (!frame) {
+      throw new Error(`Frame ${frameId} no longer exists`);
+    }
+    const offset = await sendToContentScript(
+      tabId,
+      { action: 'getChildFrameOffset', frameId },
+      'element-resolver.js',
+      frame.parentFrameId
+    );
+    x += offset.x;
+    y += offset.y;
+    frameId = frame.parentFrameId;
+  }
+  return { x, y };
+}
+
+// Send a helper message to whichever frame its selector or ref points into
+export async function sendToTargetFrame(tabId, message, requiredScript) {
+  const routed = await routeToFrame(tabId, message);
+  const response = await sendToContentScript(tabId, routed.message, requiredScript, routed.frameId);
+  return tagResponseRefs(response, routed.frameId);
+}
+
+// Run getInteractiveElements in a frame (params.frameId, the top frame by
+// default) and every frame below it. Elements from child frames get selectors
+// prefixed with their iframe's selector and frame-tagged refs, so both work
+// with the element tools.
+export async function getInteractiveElementsInAllFrames(tabId, params) {
+  const rootFrameId = params.frameId ?? 0;
+  const frames = await chrome.webNavigation.getAllFrames({ tabId });
+  const urls = new Map((frames || []).map((frame) => [frame.frameId, frame.url]));
+  const elements = [];
+  const skippedFrames = [];
+
+  async function collect(frameId, prefix, depth) {
+    let response;
+    try {
+      response = await sendToContentScript(
+        tabId,
+        { ...params, action: 'getInteractiveElements' },
+        'interactive-elements-helper.js',
+        frameId
+      );
+    } catch (error) {
+      // Frames we cannot script (e.g. chrome:// or sandboxed) are reported, not fatal
+      if (frameId === rootFrameId) {
+        throw error;
+      }
+      skippedFrames.push({ frameId, url: urls.get(frameId), reason: error.message });
+      return;
+    }
+
+    for (const element of response.elements || []) {
+      elements.push({
+        ...element,
+        selector: prefix + element.selector,
+        ref: tagFrameRef(element.ref, frameId),
+        shadowHost: element.shadowHost && prefix + element.shadowHost,
+        frameId,
+        frameUrl: urls.get(frameId)
+      });
+    }
+
+    if (depth >= MAX_FRAME_HOPS) {
+      return;
+    }
+    for (const child of response.childFrames || []) {
+      await collect(child.frameId, `${prefix}${child.selector} >>> `, depth + 1);
+    }
+  }
+
+  await collect(rootFrameId, '', 0);
+  return { success: true, elements, skippedFrames };
+}
@@ -0,0 +1,42 @@
+// Chrome MCP Controller - hover
+//
+// Moves the pointer onto an element, holds it there for a moment and reports
+// the elements that became visible meanwhile (menus, tooltips, popovers).
+
+import { routeToFrame, tagFrameRef } from './frames.js';
+import { sendToContentScript } from './injection.js';
+import { trustedHover } from './trusted-input.js';
+
+// Time for menus and tooltips to open before looking for them
+const DEFAULT_HOVER_DURATION_MS = 500;
+
+export async function hoverElement(tabId, params) {
+  const routed = await routeToFrame(tabId, params);
+  const helper = (message) => sendToContentScript(tabId, message, 'click-helper.js', routed.frameId);
+
+  await helper({ action: 'beginHoverWatch' });
+  let hovered;
+  let revealed;
+  try {
+    // The trusted path reports frame-tagged refs already
+    hovered = params.trusted
+      ? await trustedHover(tabId, params)
+      : await helper({ ...routed.message, action: 'hoverElement' });
+    await new Promise((resolve) => setTimeout(resolve, params.duration ?? DEFAULT_HOVER_DURATION_MS));
+  } finally {
+    // Also when the hover failed, or the next one compares against this
+    // hover's stale snapshot of visible elements
+    ({ revealed } = await helper({ action: 'endHoverWatch' }));
+  }
+  const elementInfo = params.trusted
+    ? hovered.elementInfo
+    : { ...hovered.elementInfo, ref: tagFrameRef(hovered.elementInfo.ref, routed.frameId) };
+
+  return {
+    success: true,
+    elementInfo,
+    obscuredBy: hovered.obscuredBy,
+    revealed: revealed.map((element) => ({ ...element, ref: tagFrameRef(element.ref, routed.frameId) })),
+    trusted: Boolean(params.trusted)
+  };
+}
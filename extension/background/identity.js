@@ -0,0 +1,18 @@
+// Chrome MCP Controller - Browser identity
+//
+// How this browser introduces itself to the server. One server can drive
+// several browsers and routes each command to the one it names, so every
+// browser needs a distinct name; it is set in the popup and defaults to one
+// per platform.
+
+export async function getBrowserIdentity() {
+  const { browserName, browserProfile } = await chrome.storage.local.get(['browserName', 'browserProfile']);
+  const platform = await chrome.runtime.getPlatformInfo();
+  return {
+    name: browserName || `chrome-${platform.os}`,
+    profile: browserProfile || 'default',
+    version: chrome.runtime.getManifest().version,
+    browserVersion: navigator.userAgent.match(/Chrome\/([\d.]+)/)?.[1],
+    platform: platform.os
+  };
+}
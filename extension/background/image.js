@@ -0,0 +1,67 @@
+// Chrome MCP Controller - Image decoding, scaling and encoding in the service worker
+//
+// The worker has no DOM, so everything goes through createImageBitmap and
+// OffscreenCanvas.
+
+export async function decodeDataUrl(dataUrl) {
+  const response = await fetch(dataUrl);
+  const blob = await response.blob();
+  return await createImageBitmap(blob);
+}
+
+// Scale factor (<= 1) that fits width x height inside the optional bounds
+export function fitScale(width, height, maxWidth, maxHeight) {
+  let scale = 1;
+  if (maxWidth && width > maxWidth) {
+    scale = Math.min(scale, maxWidth / width);
+  }
+  if (maxHeight && height > maxHeight) {
+    scale = Math.min(scale, maxHeight / height);
+  }
+  return scale;
+}
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+// Encode a canvas as a data URL; quality (1-100) only applies to JPEG
+export async function encodeCanvas(canvas, format, quality) {
+  const blob = await canvas.convertToBlob({
+    type: `image/${format}`,
+    quality: format === 'jpeg' ? quality / 100 : undefined
+  });
+  return await blobToDataUrl(blob);
+}
+
+// Draw an ImageBitmap or canvas scaled by `scale` onto a new canvas
+export function scaleImage(image, scale) {
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+// Copy a rectangle (in image pixels, clamped to the image) onto a new canvas
+export function cropImage(image, x, y, width, height) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(image.width, Math.round(x + width));
+  const bottom = Math.min(image.height, Math.round(y + height));
+  if (right <= left || bottom <= top) {
+    throw new Error('Crop area is outside the captured image');
+  }
+
+  const canvas = new OffscreenCanvas(right - left, bottom - top);
+  canvas.getContext('2d').drawImage(image, left, top, right - left, bottom - top, 0, 0, right - left, bottom - top);
+  return canvas;
+}
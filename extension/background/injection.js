@@ -0,0 +1,158 @@
+// Chrome MCP Controller - Content and helper script injection
+
+// Helper script injection tracking - Map of tabId-frameId-scriptName -> timestamp
+const injectedScripts = new Map();
+
+// Ping timeout for checking if scripts are loaded
+const PING_TIMEOUT_MS = 300;
+
+// Get ping action name for a script
+function getPingActionForScript(scriptName) {
+  const pingMap = {
+    'fill-helper.js': 'chrome_fill_helper_ping',
+    'click-helper.js': 'chrome_click_element_ping',
+    'interactive-elements-helper.js': 'chrome_interactive_elements_ping',
+    'web-fetcher-helper.js': 'chrome_web_fetcher_ping',
+    'screenshot-helper.js': 'chrome_screenshot_helper_ping',
+    'keyboard-helper.js': 'chrome_keyboard_helper_ping',
+    'inject-bridge.js': 'chrome_inject_bridge_ping',
+    'element-resolver.js': 'chrome_element_resolver_ping',
+    'wait-helper.js': 'chrome_wait_helper_ping',
+    'drag-helper.js': 'chrome_drag_helper_ping',
+    'select-helper.js': 'chrome_select_helper_ping',
+    'form-helper.js': 'chrome_form_helper_ping',
+    'scroll-helper.js': 'chrome_scroll_helper_ping'
+  };
+  return pingMap[scriptName] || `chrome_${scriptName.replace('-helper.js', '').replace('.js', '')}_ping`;
+}
+
+// Scripts a helper expects to find already loaded in the same world
+const HELPER_DEPENDENCIES = {
+  'click-helper.js': ['element-resolver.js'],
+  'fill-helper.js': ['element-resolver.js'],
+  'interactive-elements-helper.js': ['element-resolver.js'],
+  'screenshot-helper.js': ['element-resolver.js'],
+  'keyboard-helper.js': ['element-resolver.js'],
+  'web-fetcher-helper.js': ['element-resolver.js'],
+  'wait-helper.js': ['element-resolver.js'],
+  'drag-helper.js': ['element-resolver.js'],
+  'select-helper.js': ['element-resolver.js'],
+  'form-helper.js': ['element-resolver.js'],
+  'scroll-helper.js': ['element-resolver.js']
+};
+
+// Resolve to true if a script answers its ping within PING_TIMEOUT_MS
+async function pingScript(tabId, pingAction, frameId = 0) {
+  try {
+    const response = await Promise.race([
+      chrome.tabs.sendMessage(tabId, { action: pingAction }, { frameId }),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error(`Ping timeout for ${pingAction}`)), PING_TIMEOUT_MS)
+      ),
+    ]);
+    return Boolean(response && response.status === 'pong');
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper script injection function with ping/pong health check.
+// Injects into the top frame unless options name another frame (frameId) or
+// ask for every frame (allFrames); helpers guard against double
+// initialization, so allFrames skips the ping.
+export async function injectHelperScript(tabId, scriptName, { frameId = 0, allFrames = false } = {}) {
+  const scriptKey = `${tabId}-${allFrames ? 'all' : frameId}-${scriptName}`;
+  
+  for (const dependency of HELPER_DEPENDENCIES[scriptName] || []) {
+    await injectHelperScript(tabId, dependency, { frameId, allFrames });
+  }
+  
+  // Check if script is already injected and working
+  if (!allFrames && await pingScript(tabId, getPingActionForScript(scriptName), frameId)) {
+    console.log(`Script ${scriptName} already active in tab ${tabId} frame ${frameId}`);
+    injectedScripts.set(scriptKey, Date.now()); // Update timestamp
+    return;
+  }
+  console.log(`Injecting ${scriptName} into tab ${tabId} (${allFrames ? 'all frames' : `frame ${frameId}`})`);
+  
+  try {
+    await chrome.scripting.executeScript({
+      target: allFrames ? { tabId, allFrames: true } : { tabId, frameIds: [frameId] },
+      files: [`inject-scripts/${scriptName}`]
+    });
+    injectedScripts.set(scriptKey, Date.now());
+    console.log(`Successfully injected ${scriptName} into tab ${tabId}`);
+  } catch (error) {
+    console.error(`Failed to inject ${scriptName} into tab ${tabId}:`, error);
+    throw error;
+  }
+}
+
+// Inject script with MAIN world support
+export async function injectScriptWithWorld(tabId, scriptConfig) {
+  const { files, world = 'ISOLATED', jsCode = null, frameId = 0 } = scriptConfig;
+  
+  if (world === 'MAIN') {
+    // Inject bridge first for MAIN world communication
+    await injectHelperScript(tabId, 'inject-bridge.js', { frameId });
+  } else if (files && files.length > 0) {
+    // Standard ISOLATED world injection
+    for (const file of files) {
+      await injectHelperScript(tabId, file, { frameId });
+    }
+  }
+  
+  if (jsCode) {
+    await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      func: (code) => new Function(code)(),
+      args: [jsCode],
+      world,
+    });
+  }
+}
+
+// Clean up injection tracking when tabs are closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  for (const [key, _] of injectedScripts) {
+    if (key.startsWith(`${tabId}-`)) {
+      injectedScripts.delete(key);
+    }
+  }
+});
+
+// Ensure content script is injected in a frame of the tab
+async function ensureContentScript(tabId, frameId = 0) {
+  if (await pingScript(tabId, 'chrome_content_ping', frameId)) {
+    return; // Content script is already loaded
+  }
+  
+  console.log(`Injecting content script into tab ${tabId} frame ${frameId}`);
+  await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    files: ['content.js']
+  });
+}
+
+// Send message to content script with helper injection (top frame by default)
+export async function sendToContentScript(tabId, message, requiredScript = null, frameId = 0) {
+  // Always ensure content script is loaded first
+  await ensureContentScript(tabId, frameId);
+  
+  if (requiredScript) {
+    await injectHelperScript(tabId, requiredScript, { frameId });
+  }
+  
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, { frameId }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response && response.error) {
+        // Helper scripts report failures as { error } payloads
+        reject(new Error(response.error));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
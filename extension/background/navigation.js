@@ -0,0 +1,238 @@
+// Chrome MCP Controller - Waiting for navigations started by an action
+//
+// The watch starts before the action runs so no event is missed, and follows
+// the tab's top frame through chrome.webNavigation. Requests are counted with
+// chrome.webRequest for networkidle, which also supplies the HTTP status.
+
+// Stages in the order a navigation reaches them
+const WAIT_UNTIL_STAGES = ['commit', 'domcontentloaded', 'load', 'networkidle'];
+
+const DEFAULT_NAVIGATION_TIMEOUT_MS = 30000;
+
+// Quiet period after load before the network counts as idle
+const NETWORK_IDLE_MS = 500;
+
+// How long an action that may or may not navigate (a click) gets to start one
+const NAVIGATION_START_MS = 1000;
+
+// Count a tab's in-flight requests, calling onChange(count) after each
+// change. Requests already running when tracking starts are not counted.
+// Returns a function that stops tracking.
+function trackRequests(tabId, onChange) {
+  const pending = new Set();
+  const filter = { urls: ['<all_urls>'], tabId };
+  const started = (details) => {
+    pending.add(details.requestId);
+    onChange(pending.size);
+  };
+  const ended = (details) => {
+    if (pending.delete(details.requestId)) {
+      onChange(pending.size);
+    }
+  };
+
+  chrome.webRequest.onBeforeRequest.addListener(started, filter);
+  chrome.webRequest.onCompleted.addListener(ended, filter);
+  chrome.webRequest.onErrorOccurred.addListener(ended, filter);
+  return () => {
+    chrome.webRequest.onBeforeRequest.removeListener(started);
+    chrome.webRequest.onCompleted.removeListener(ended);
+    chrome.webRequest.onErrorOccurred.removeListener(ended);
+  };
+}
+
+// Follow the next top-frame navigation of a tab until it reaches waitUntil.
+// Returns { done, started, expectWithin, cancel }; done resolves with
+// { navigated, url, status, statusText, sameDocument, waitUntil, timing }.
+function watchNavigation(tabId, waitUntil, timeout) {
+  const targetStage = WAIT_UNTIL_STAGES.indexOf(waitUntil);
+  if (targetStage < 0) {
+    throw new Error(`Unknown waitUntil "${waitUntil}"; use one of ${WAIT_UNTIL_STAGES.join(', ')}`);
+  }
+
+  const startTime = Date.now();
+  const state = { navigated: false, url: undefined, status: null, statusText: undefined, sameDocument: false };
+  const timing = {};
+  let pendingRequests = 0;
+  const listeners = [];
+  const timers = {};
+  let settled = false;
+  let resolveDone;
+  let rejectDone;
+
+  const done = new Promise((resolve, reject) => {
+    resolveDone = resolve;
+    rejectDone = reject;
+  });
+
+  function cleanup() {
+    settled = true;
+    stopTrackingRequests();
+    for (const [event, listener] of listeners) {
+      event.removeListener(listener);
+    }
+    Object.values(timers).forEach(clearTimeout);
+  }
+
+  function finish(error) {
+    if (settled) {
+      return;
+    }
+    cleanup();
+    if (error) {
+      rejectDone(error);
+    } else {
+      resolveDone({ ...state, waitUntil, timing: { ...timing, total: Date.now() - startTime } });
+    }
+  }
+
+  function reach(stage) {
+    timing[stage] ??= Date.now() - startTime;
+    if (WAIT_UNTIL_STAGES.indexOf(stage) >= targetStage) {
+      finish();
+    }
+  }
+
+  function checkNetworkIdle() {
+    clearTimeout(timers.idle);
+    if (timing.load !== undefined && pendingRequests === 0) {
+      timers.idle = setTimeout(() => reach('networkidle'), NETWORK_IDLE_MS);
+    }
+  }
+
+  function listen(event, listener, ...extra) {
+    event.addListener(listener, ...extra);
+    listeners.push([event, listener]);
+  }
+
+  // webNavigation events cannot be filtered by tab, so every handler checks
+  const topFrame = (listener) => (details) => {
+    if (details.tabId === tabId && details.frameId === 0) {
+      listener(details);
+    }
+  };
+
+  listen(chrome.webNavigation.onBeforeNavigate, topFrame(() => {
+    state.navigated = true;
+    clearTimeout(timers.start);
+  }));
+  listen(chrome.webNavigation.onCommitted, topFrame((details) => {
+    state.navigated = true;
+    state.url = details.url;
+    reach('commit');
+  }));
+  // Events from the document being replaced are ignored until the new one commits
+  listen(chrome.webNavigation.onDOMContentLoaded, topFrame(() => {
+    if (timing.commit !== undefined) {
+      reach('domcontentloaded');
+    }
+  }));
+  listen(chrome.webNavigation.onCompleted, topFrame(() => {
+    if (timing.commit !== undefined) {
+      reach('load');
+      checkNetworkIdle();
+    }
+  }));
+  listen(chrome.webNavigation.onErrorOccurred, topFrame((details) => {
+    finish(new Error(`Navigation to ${details.url} failed: ${details.error}`));
+  }));
+
+  // pushState, replaceState and #fragment changes keep the loaded document
+  const sameDocument = topFrame((details) => {
+    Object.assign(state, { navigated: true, url: details.url, sameDocument: true });
+    timing.commit = Date.now() - startTime;
+    finish();
+  });
+  listen(chrome.webNavigation.onHistoryStateUpdated, sameDocument);
+  listen(chrome.webNavigation.onReferenceFragmentUpdated, sameDocument);
+
+  const stopTrackingRequests = trackRequests(tabId, (count) => {
+    pendingRequests = count;
+    checkNetworkIdle();
+  });
+  // Last response wins, so redirects report the final status
+  listen(chrome.webRequest.onHeadersReceived, (details) => {
+    state.status = details.statusCode;
+    state.statusText = details.statusLine;
+  }, { urls: ['<all_urls>'], tabId, types: ['main_frame'] });
+
+  timers.timeout = setTimeout(() => {
+    finish(new Error(`Timed out after ${timeout}ms waiting for ${waitUntil}${state.url ? ` on ${state.url}` : ''}`));
+  }, timeout);
+
+  return {
+    done,
+    started: () => state.navigated,
+    // Resolve without a navigation if none starts within ms
+    expectWithin(ms) {
+      if (!settled && !state.navigated) {
+        timers.start = setTimeout(() => {
+          if (!state.navigated) {
+            finish();
+          }
+        }, ms);
+      }
+    },
+    cancel: cleanup
+  };
+}
+
+// Run action and wait for the navigation it causes. Options: waitUntil
+// (default 'load'), timeout (ms), and expectNavigation - when false, the
+// action counts as not navigating if nothing starts shortly after it.
+// Resolves with { result, navigation }.
+export async function withNavigation(tabId, options, action) {
+  const {
+    waitUntil = 'load',
+    timeout = DEFAULT_NAVIGATION_TIMEOUT_MS,
+    expectNavigation = true
+  } = options;
+  const watch = watchNavigation(tabId, waitUntil, timeout);
+
+  let result;
+  try {
+    result = await action();
+  } catch (error) {
+    // A content script can lose its reply when the click unloads the page
+    if (!watch.started()) {
+      watch.cancel();
+      throw error;
+    }
+  }
+
+  if (!expectNavigation) {
+    watch.expectWithin(NAVIGATION_START_MS);
+  }
+  return { result, navigation: await watch.done };
+}
+
+// Resolve once the tab has had no requests in flight for idleMs. Resolves
+// with { elapsed }; rejects after timeout ms.
+export function waitForNetworkIdle(tabId, timeout, idleMs = NETWORK_IDLE_MS) {
+  const startTime = Date.now();
+  return new Promise((resolve, reject) => {
+    let idleTimer;
+    const stop = trackRequests(tabId, (count) => {
+      clearTimeout(idleTimer);
+      if (count === 0) {
+        idleTimer = setTimeout(done, idleMs);
+      }
+    });
+    const timeoutTimer = setTimeout(() => {
+      finish();
+      reject(new Error(`Network did not go idle within ${timeout}ms`));
+    }, timeout);
+
+    function finish() {
+      stop();
+      clearTimeout(idleTimer);
+      clearTimeout(timeoutTimer);
+    }
+    function done() {
+      finish();
+      resolve({ elapsed: Date.now() - startTime });
+    }
+
+    idleTimer = setTimeout(done, idleMs);
+  });
+}
@@ -0,0 +1,63 @@
+// Chrome MCP Controller - Actions executed directly in the page via chrome.scripting
+
+// Function that runs in the page context. It is serialized by
+// chrome.scripting.executeScript, so everything it uses must be defined inside it.
+function pageAction(action, params) {
+
+  // Helper function to wait for an element to appear
+  function waitForElement(selector, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      if (document.querySelector(selector)) {
+        resolve({ success: true, selector, found: true });
+        return;
+      }
+      
+      const startTime = Date.now();
+      let timer = null;
+      
+      const observer = new MutationObserver(() => {
+        if (document.querySelector(selector)) {
+          observer.disconnect();
+          clearTimeout(timer);
+          resolve({ success: true, selector, found: true, waitTime: Date.now() - startTime });
+        }
+      });
+      
+      observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true
+      });
+      
+      timer = setTimeout(() => {
+        observer.disconnect();
+        reject(new Error(`Element not found within ${timeout}ms: ${selector}`));
+      }, timeout);
+    });
+  }
+
+  switch (action) {
+    case 'wait_for_element':
+      return waitForElement(params.selector, params.timeout);
+    default:
+      throw new Error(`Unknown page action: ${action}`);
+  }
+}
+
+export async function executePageAction(tabId, action, params = {}) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: pageAction,
+      args: [action, params]
+    });
+    
+    if (results && results[0]) {
+      return results[0].result;
+    }
+    
+    throw new Error('No result from script execution');
+  } catch (error) {
+    throw new Error(`Script execution failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,325 @@
+// Chrome MCP Controller - Screenshot capture
+
+import { cropImage, decodeDataUrl, encodeCanvas, fitScale, scaleImage } from './image.js';
+import { sendDebuggerCommand, withDebugger } from './debugger.js';
+import { frameOffset, routeToFrame } from './frames.js';
+import { sendToContentScript } from './injection.js';
+import { resolveTabId } from './tabs.js';
+
+const DEFAULT_JPEG_QUALITY = 80;
+
+// Stitched captures stop at this many CSS pixels unless the caller asks otherwise
+const DEFAULT_MAX_PAGE_HEIGHT = 20000;
+
+// Largest canvas side Chrome will allocate
+const MAX_CANVAS_DIMENSION = 32767;
+
+// Time for lazy-loaded content to render after each scroll step
+const SCROLL_SETTLE_MS = 150;
+
+// captureVisibleTab is rate limited per second; stay just under the quota
+const CAPTURE_INTERVAL_MS =
+  1000 / (chrome.tabs.MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND || 2) + 50;
+
+// Background tabs may not have a frame ready; give up rather than hang
+const DEBUGGER_CAPTURE_TIMEOUT_MS = 10000;
+
+let lastCaptureTime = 0;
+
+async function captureVisible(windowId, captureOptions) {
+  const wait = lastCaptureTime + CAPTURE_INTERVAL_MS - Date.now();
+  if (wait > 0) {
+    await new Promise((resolve) => setTimeout(resolve, wait));
+  }
+  lastCaptureTime = Date.now();
+  return await chrome.tabs.captureVisibleTab(windowId, captureOptions);
+}
+
+// Capture a tab's viewport through the DevTools protocol, which works for
+// background tabs without activating them. Needs an attached debugger.
+async function captureWithDebugger(tabId, captureOptions) {
+  let timer;
+  try {
+    const { data } = await Promise.race([
+      sendDebuggerCommand(tabId, 'Page.captureScreenshot', captureOptions),
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error('Timed out capturing background tab')),
+          DEBUGGER_CAPTURE_TIMEOUT_MS
+        );
+      })
+    ]);
+    return `data:image/${captureOptions.format};base64,${data}`;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Run callback with a capture function suited to the method:
+// - visible: captureVisibleTab, for tabs that are already active
+// - debugger: Page.captureScreenshot, for background tabs
+// - activate: make the tab active, use captureVisibleTab, then switch back to
+//   the tab that was active before
+async function withCaptureMethod(tab, method, callback) {
+  switch (method) {
+    case 'visible':
+      return await callback((captureOptions) => captureVisible(tab.windowId, captureOptions));
+
+    case 'debugger':
+      return await withDebugger(tab.id, () =>
+        callback((captureOptions) => captureWithDebugger(tab.id, captureOptions))
+      );
+
+    case 'activate': {
+      const [previous] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+      await chrome.tabs.update(tab.id, { active: true });
+      try {
+        return await callback((captureOptions) => captureVisible(tab.windowId, captureOptions));
+      } finally {
+        if (previous && previous.id !== tab.id) {
+          await chrome.tabs.update(previous.id, { active: true }).catch(() => {});
+        }
+      }
+    }
+
+    default:
+      throw new Error(`Unknown capture method: ${method}`);
+  }
+}
+
+// Scroll through document rows [top, top + height) one viewport at a time,
+// keeping the horizontal scroll at x, and stitch the tiles into one canvas.
+// The height is reduced if it would exceed the largest canvas Chrome allows.
+async function stitchRegion(capture, helper, page, { x, top, height }) {
+  let canvas = null;
+  let context = null;
+  let ratio = 1;
+  let captureHeight = height;
+  let tiles = 0;
+
+  for (let y = top; y < top + captureHeight; y += page.viewportHeight) {
+    const scrolled = await helper({ action: 'scrollPage', x, y, scrollDelay: SCROLL_SETTLE_MS });
+    const bitmap = await decodeDataUrl(await capture({ format: 'png' }));
+
+    if (!canvas) {
+      // Device pixels per CSS pixel: devicePixelRatio times page zoom
+      ratio = bitmap.width / page.viewportWidth;
+      captureHeight = Math.min(captureHeight, Math.floor(MAX_CANVAS_DIMENSION / ratio));
+      canvas = new OffscreenCanvas(bitmap.width, Math.round(captureHeight * ratio));
+      context = canvas.getContext('2d');
+    }
+
+    context.drawImage(bitmap, 0, Math.round((scrolled.newScrollY - top) * ratio));
+    bitmap.close();
+    tiles++;
+
+    // The browser clamps the last scroll to the bottom of the page
+    if (scrolled.newScrollY < y || scrolled.newScrollY + page.viewportHeight >= top + captureHeight) {
+      break;
+    }
+  }
+
+  return { canvas, ratio, height: captureHeight, tiles };
+}
+
+// Capture the whole scrollable page. Fixed and sticky elements are hidden by
+// the helper so they are not repeated on every tile.
+async function captureFullPage(tab, capture, maxPageHeight) {
+  const helper = (message) => sendToContentScript(tab.id, message, 'screenshot-helper.js');
+
+  await helper({ action: 'preparePageForCapture', options: { fullPage: true } });
+  const page = await helper({ action: 'getPageDetails' });
+
+  try {
+    const { canvas, height, tiles } = await stitchRegion(capture, helper, page, {
+      x: 0,
+      top: 0,
+      height: Math.min(page.totalHeight, maxPageHeight)
+    });
+
+    return {
+      canvas,
+      info: { fullPage: true, pageHeight: page.totalHeight, truncated: height < page.totalHeight, tiles }
+    };
+  } finally {
+    await helper({
+      action: 'resetPageAfterCapture',
+      scrollX: page.currentScrollX,
+      scrollY: page.currentScrollY
+    });
+  }
+}
+
+// Capture a single element, cropped to its bounding rect plus padding (CSS
+// pixels). Elements taller than the viewport are stitched like full pages.
+// ">>>" selectors may point into an iframe; the element is then measured in
+// its frame and shifted by where that frame sits in the tab.
+async function captureElement(tab, capture, selector, padding, maxPageHeight) {
+  const helper = (message) => sendToContentScript(tab.id, message, 'screenshot-helper.js');
+  const routed = await routeToFrame(tab.id, { selector });
+
+  const original = await helper({ action: 'getPageDetails' });
+  await helper({ action: 'preparePageForCapture', options: { fullPage: false } });
+
+  try {
+    // Scrolls the element into view before measuring it
+    const element = await sendToContentScript(
+      tab.id,
+      { action: 'getElementDetails', selector: routed.message.selector },
+      'screenshot-helper.js',
+      routed.frameId
+    );
+    if (!element.isVisible || element.rect.width === 0 || element.rect.height === 0) {
+      throw new Error(`Element "${selector}" is not visible`);
+    }
+
+    const offset = await frameOffset(tab.id, routed.frameId);
+    const rect = {
+      ...element.rect,
+      x: element.rect.x + offset.x,
+      y: element.rect.y + offset.y,
+      top: element.rect.top + offset.y,
+      right: element.rect.right + offset.x,
+      bottom: element.rect.bottom + offset.y,
+      left: element.rect.left + offset.x
+    };
+    const page = await helper({ action: 'getPageDetails' });
+    const top = Math.max(0, page.currentScrollY + rect.top - padding);
+    const bottom = Math.min(page.totalHeight, page.currentScrollY + rect.bottom + padding);
+    const height = Math.min(bottom - top, maxPageHeight);
+
+    if (height > page.viewportHeight) {
+      await helper({ action: 'hideFixedElements' });
+    }
+
+    const region = await stitchRegion(capture, helper, page, { x: page.currentScrollX, top, height });
+    const left = (rect.left - padding) * region.ratio;
+    const width = (rect.width + padding * 2) * region.ratio;
+
+    return {
+      canvas: cropImage(region.canvas, left, 0, width, region.height * region.ratio),
+      info: {
+        selector,
+        elementRect: rect,
+        truncated: region.height < bottom - top,
+        tiles: region.tiles
+      }
+    };
+  } finally {
+    await helper({
+      action: 'resetPageAfterCapture',
+      scrollX: original.currentScrollX,
+      scrollY: original.currentScrollY
+    });
+  }
+}
+
+// Capture the viewport, the whole page or one element with the given
+// capture function. Resolves with the image and whatever the mode reports.
+async function captureImage(tab, capture, options, format, quality) {
+  const maxPageHeight = options.maxPageHeight || DEFAULT_MAX_PAGE_HEIGHT;
+
+  if (options.selector) {
+    const { canvas, info } = await captureElement(tab, capture, options.selector, options.padding || 0, maxPageHeight);
+    return { image: canvas, info };
+  }
+  if (options.fullPage) {
+    const { canvas, info } = await captureFullPage(tab, capture, maxPageHeight);
+    return { image: canvas, info };
+  }
+
+  const dataUrl = await capture(format === 'jpeg' ? { format, quality } : { format });
+  return { image: await decodeDataUrl(dataUrl), dataUrl, info: {} };
+}
+
+// Capture a tab - the viewport, the whole scrollable page or one element -
+// optionally downscaled and re-encoded. Background tabs are captured through
+// the debugger so the user's foreground tab is left alone; activateFallback
+// allows briefly switching to the tab when that is not possible.
+// Options: format ('png' | 'jpeg'), quality (1-100), maxWidth, maxHeight,
+// fullPage, selector, padding, maxPageHeight, activateFallback.
+export async function takeScreenshot(tabId, options = {}) {
+  const format = options.format === 'jpeg' ? 'jpeg' : 'png';
+  const quality = options.quality ?? DEFAULT_JPEG_QUALITY;
+
+  try {
+    if (options.fullPage && options.selector) {
+      throw new Error('Use either fullPage or selector, not both');
+    }
+
+    const tab = await chrome.tabs.get(await resolveTabId(tabId));
+    let method = tab.active ? 'visible' : 'debugger';
+    let fallbackReason;
+    let captured;
+
+    try {
+      captured = await withCaptureMethod(tab, method, (capture) =>
+        captureImage(tab, capture, options, format, quality)
+      );
+    } catch (error) {
+      if (method !== 'debugger' || !options.activateFallback) {
+        throw error;
+      }
+      fallbackReason = error.message;
+      method = 'activate';
+      captured = await withCaptureMethod(tab, method, (capture) =>
+        captureImage(tab, capture, options, format, quality)
+      );
+    }
+
+    const { image, info } = captured;
+    let { dataUrl } = captured;
+    const scale = fitScale(image.width, image.height, options.maxWidth, options.maxHeight);
+    let width = image.width;
+    let height = image.height;
+
+    if (scale < 1) {
+      const canvas = scaleImage(image, scale);
+      width = canvas.width;
+      height = canvas.height;
+      dataUrl = await encodeCanvas(canvas, format, quality);
+    } else if (!dataUrl) {
+      dataUrl = await encodeCanvas(image, format, quality);
+    }
+    if (image.close) {
+      image.close();
+    }
+
+    return {
+      success: true,
+      screenshot: dataUrl,
+      format,
+      width,
+      height,
+      scale,
+      ...info,
+      captureMethod: method,
+      fallbackReason,
+      tabId: tab.id,
+      url: tab.url,
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    throw new Error(`Screenshot failed: ${error.message}`);
+  }
+}
+
+// Set-of-marks capture: number the visible interactive elements, capture the
+// viewport with the overlay, then remove it. The numbering stays in the page
+// so click { mark } can find the element again.
+export async function takeAnnotatedScreenshot(tabId, options = {}) {
+  const resolvedTabId = await resolveTabId(tabId);
+  const helper = (message) => sendToContentScript(resolvedTabId, message, 'interactive-elements-helper.js');
+
+  const { snapshotId, legend } = await helper({ action: 'annotateElements' });
+  try {
+    const screenshot = await takeScreenshot(resolvedTabId, {
+      ...options,
+      fullPage: false,
+      selector: undefined
+    });
+    return { ...screenshot, snapshotId, legend };
+  } finally {
+    await helper({ action: 'removeAnnotations' }).catch(() => {});
+  }
+}
@@ -0,0 +1,101 @@
+// Chrome MCP Controller - Tab management for the background worker
+
+import { withNavigation } from './navigation.js';
+
+function describeTab(tab) {
+  return {
+    id: tab.id,
+    url: tab.url,
+    title: tab.title,
+    active: tab.active,
+    windowId: tab.windowId
+  };
+}
+
+export async function getAllTabs() {
+  try {
+    const tabs = await chrome.tabs.query({});
+    return tabs.map(describeTab);
+  } catch (error) {
+    throw new Error(`Failed to get tabs: ${error.message}`);
+  }
+}
+
+export async function getActiveTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      throw new Error('No active tab found');
+    }
+    return describeTab(tab);
+  } catch (error) {
+    throw new Error(`Failed to get active tab: ${error.message}`);
+  }
+}
+
+// Use the given tab or fall back to the active one
+export async function resolveTabId(tabId) {
+  return tabId || (await getActiveTab()).id;
+}
+
+// Navigation functions wait for the page according to options.waitUntil
+// ('commit' | 'domcontentloaded' | 'load' | 'networkidle') and report the
+// final URL, HTTP status and timing.
+
+export async function navigateTab(tabId, url, options = {}) {
+  try {
+    const id = await resolveTabId(tabId);
+    const { navigation } = await withNavigation(id, options, () => chrome.tabs.update(id, { url }));
+    return { success: true, ...navigation };
+  } catch (error) {
+    throw new Error(`Failed to navigate tab: ${error.message}`);
+  }
+}
+
+export async function goBack(tabId, options = {}) {
+  try {
+    const id = await resolveTabId(tabId);
+    const { navigation } = await withNavigation(id, options, () => chrome.tabs.goBack(id));
+    return { success: true, ...navigation };
+  } catch (error) {
+    throw new Error(`Failed to go back: ${error.message}`);
+  }
+}
+
+export async function goForward(tabId, options = {}) {
+  try {
+    const id = await resolveTabId(tabId);
+    const { navigation } = await withNavigation(id, options, () => chrome.tabs.goForward(id));
+    return { success: true, ...navigation };
+  } catch (error) {
+    throw new Error(`Failed to go forward: ${error.message}`);
+  }
+}
+
+export async function reloadTab(tabId, options = {}) {
+  try {
+    const id = await resolveTabId(tabId);
+    const { navigation } = await withNavigation(id, options, () => chrome.tabs.reload(id));
+    return { success: true, ...navigation };
+  } catch (error) {
+    throw new Error(`Failed to reload tab: ${error.message}`);
+  }
+}
+
+export async function closeTab(tabId) {
+  try {
+    await chrome.tabs.remove(tabId);
+    return { success: true };
+  } catch (error) {
+    throw new Error(`Failed to close tab: ${error.message}`);
+  }
+}
+
+export async function createTab(url) {
+  try {
+    const tab = await chrome.tabs.create({ url });
+    return describeTab(tab);
+  } catch (error) {
+    throw new Error(`Failed to create tab: ${error.message}`);
+  }
+}
@@ -0,0 +1,398 @@
+// Chrome MCP Controller - Trusted input through chrome.debugger
+//
+// Events dispatched from a content script have isTrusted === false, which
+// React-controlled inputs, rich-text editors and many anti-bot checks ignore.
+// The Input domain of the DevTools protocol produces real browser input
+// instead, at the cost of Chrome's debugging bar while it runs.
+
+import { onDebuggerEvent, sendDebuggerCommand, withDebugger } from './debugger.js';
+import { frameOffset, routeToFrame, sendToTargetFrame, tagFrameRef } from './frames.js';
+import { sendToContentScript } from './injection.js';
+
+// Key definitions for the keys the trusted backend presses itself
+const KEYS = {
+  Backspace: { key: 'Backspace', code: 'Backspace', keyCode: 8 },
+  Tab: { key: 'Tab', code: 'Tab', keyCode: 9 },
+  Enter: { key: 'Enter', code: 'Enter', keyCode: 13, text: '\r' },
+  Escape: { key: 'Escape', code: 'Escape', keyCode: 27 },
+  ArrowRight: { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39 },
+  // Pressed with the platform's shortcut modifier; the command makes Chrome
+  // select even where the page does not handle the shortcut itself
+  SelectAll: { key: 'a', code: 'KeyA', keyCode: 65, commands: ['selectAll'] }
+};
+
+const IS_MAC = /Mac/.test(navigator.userAgentData?.platform ?? navigator.platform);
+
+function resolverMessage(tabId, message, frameId) {
+  return sendToContentScript(tabId, message, 'element-resolver.js', frameId);
+}
+
+// Scroll the target into view and find its centre in tab coordinates; Input
+// events use top-level viewport coordinates
+async function locateElement(tabId, params) {
+  const routed = await routeToFrame(tabId, params);
+  const point = await resolverMessage(tabId, { ...routed.message, action: 'getElementPoint' }, routed.frameId);
+  const offset = await frameOffset(tabId, routed.frameId);
+  return { ...point, x: point.x + offset.x, y: point.y + offset.y, frameId: routed.frameId };
+}
+
+// Input.dispatchMouseEvent bit masks
+const MODIFIER_BITS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+const BUTTON_BITS = { left: 1, right: 2, middle: 4 };
+
+// Click with any button; a double click is two presses with clickCount 1
+// and 2, as the browser reports them
+async function dispatchClick(tabId, x, y, { button = 'left', clickCount = 1, modifiers = [] } = {}) {
+  const modifierMask = modifiers.reduce((mask, name) => mask | (MODIFIER_BITS[name] || 0), 0);
+  await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x, y, modifiers: modifierMask });
+  for (let count = 1; count <= clickCount; count++) {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
+      type: 'mousePressed', x, y, button, buttons: BUTTON_BITS[button], clickCount: count, modifiers: modifierMask
+    });
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
+      type: 'mouseReleased', x, y, button, buttons: 0, clickCount: count, modifiers: modifierMask
+    });
+  }
+}
+
+// Key codes of the modifier keys, pressed around a stroke
+const MODIFIER_KEYS = {
+  Alt: { key: 'Alt', code: 'AltLeft', keyCode: 18 },
+  Control: { key: 'Control', code: 'ControlLeft', keyCode: 17 },
+  Meta: { key: 'Meta', code: 'MetaLeft', keyCode: 91 },
+  Shift: { key: 'Shift', code: 'ShiftLeft', keyCode: 16 }
+};
+
+// On macOS, Chrome runs editing shortcuts only when told the command
+const MAC_EDITING_COMMANDS = { a: 'selectAll', c: 'copy', x: 'cut', v: 'paste', z: 'undo' };
+
+function keyEvent({ key, code, keyCode, location }, modifiers) {
+  return { key, code, windowsVirtualKeyCode: keyCode, nativeVirtualKeyCode: keyCode, location, modifiers };
+}
+
+// Press one stroke { key, code, keyCode, text?, location?, commands?,
+// modifiers: ['Shift', ...] }, holding its modifiers down around it. Needs an
+// attached debugger.
+async function dispatchStroke(tabId, stroke) {
+  const modifiers = stroke.modifiers || [];
+  let mask = 0;
+  for (const name of modifiers) {
+    mask |= MODIFIER_BITS[name];
+    await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
+      ...keyEvent({ ...MODIFIER_KEYS[name], location: 1 }, mask),
+      type: 'rawKeyDown'
+    });
+  }
+
+  let commands = stroke.commands;
+  const command = MAC_EDITING_COMMANDS[stroke.key.toLowerCase()];
+  if (!commands && IS_MAC && modifiers.includes('Meta') && command) {
+    commands = [command === 'undo' && modifiers.includes('Shift') ? 'redo' : command];
+  }
+  await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
+    ...keyEvent(stroke, mask),
+    type: stroke.text ? 'keyDown' : 'rawKeyDown',
+    text: stroke.text,
+    unmodifiedText: stroke.text,
+    commands
+  });
+  await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', { ...keyEvent(stroke, mask), type: 'keyUp' });
+
+  for (const name of [...modifiers].reverse()) {
+    mask &= ~MODIFIER_BITS[name];
+    await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
+      ...keyEvent({ ...MODIFIER_KEYS[name], location: 1 }, mask),
+      type: 'keyUp'
+    });
+  }
+}
+
+// Press and release a key from KEYS with modifiers held. Needs an attached
+// debugger.
+async function pressKey(tabId, name, modifiers = []) {
+  await dispatchStroke(tabId, { ...KEYS[name], modifiers });
+}
+
+// Focus the target and remove its current contents with a real Backspace,
+// or put the caret at the end with params.mode 'append'
+async function focusAndClear(tabId, params) {
+  const routed = await routeToFrame(tabId, params);
+  const focused = await resolverMessage(tabId, { ...routed.message, action: 'focusForInput' }, routed.frameId);
+  if (focused.selectAll) {
+    // Code editors only select their whole document through their own shortcut
+    await pressKey(tabId, 'SelectAll', [IS_MAC ? 'Meta' : 'Control']);
+    await pressKey(tabId, params.mode === 'append' ? 'ArrowRight' : 'Backspace');
+  } else if (focused.hasContent) {
+    await pressKey(tabId, 'Backspace');
+  }
+  return { ...focused, frameId: routed.frameId };
+}
+
+function elementInfo(located) {
+  return {
+    ref: tagFrameRef(located.ref, located.frameId),
+    tagName: located.tagName,
+    frameId: located.frameId,
+    editor: located.editor
+  };
+}
+
+function mouseOptions(params) {
+  return { button: params.button, clickCount: params.clickCount, modifiers: params.modifiers };
+}
+
+// click / click_coordinates
+export async function trustedClick(tabId, params) {
+  return await withDebugger(tabId, async () => {
+    if (params.coordinates) {
+      const { x, y } = params.coordinates;
+      await dispatchClick(tabId, x, y, mouseOptions(params));
+      return { success: true, message: 'Clicked with trusted input', coordinates: { x, y }, trusted: true };
+    }
+
+    const located = await locateElement(tabId, params);
+    await dispatchClick(tabId, located.x, located.y, mouseOptions(params));
+    return {
+      success: true,
+      message: 'Element clicked with trusted input',
+      elementInfo: { ...elementInfo(located), clickMethod: 'trusted' },
+      obscuredBy: located.obscuredBy,
+      trusted: true
+    };
+  });
+}
+
+// hover: move the real pointer onto the element and leave it there, so CSS
+// :hover menus and tooltips open
+export async function trustedHover(tabId, params) {
+  return await withDebugger(tabId, async () => {
+    const located = await locateElement(tabId, params);
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x: located.x, y: located.y });
+    return {
+      success: true,
+      elementInfo: { ...elementInfo(located), target: located.target },
+      obscuredBy: located.obscuredBy
+    };
+  });
+}
+
+// type: replace or append to the field's contents with Input.insertText,
+// which fires the same beforeinput/input events as typing or pasting
+export async function trustedFill(tabId, params) {
+  if (params.format && params.format !== 'text') {
+    // Formatted content goes in as a paste event, which has no trusted form
+    // short of the system clipboard
+    const result = await sendToTargetFrame(tabId, { ...params, action: 'fillElement' }, 'fill-helper.js');
+    return { ...result, trusted: false };
+  }
+  return await withDebugger(tabId, async () => {
+    const focused = await focusAndClear(tabId, params);
+    const text = String(params.value ?? '');
+    if (text) {
+      await sendDebuggerCommand(tabId, 'Input.insertText', { text });
+    }
+    return {
+      success: true,
+      message: 'Element filled with trusted input',
+      elementInfo: elementInfo(focused),
+      trusted: true
+    };
+  });
+}
+
+// clear_input
+export async function trustedClear(tabId, params) {
+  return await withDebugger(tabId, async () => {
+    const focused = await focusAndClear(tabId, params);
+    return {
+      success: true,
+      message: 'Element cleared with trusted input',
+      elementInfo: elementInfo(focused),
+      trusted: true
+    };
+  });
+}
+
+// press_key / type_text: the keyboard helper works out the strokes for the
+// US layout and focuses the target, the debugger presses them. Waits delay
+// ms between keys, varied by up to jitter (0-1) of it either way.
+export async function trustedPressKeys(tabId, params) {
+  const routed = await routeToFrame(tabId, params);
+  const { strokes } = await sendToContentScript(
+    tabId,
+    { ...routed.message, action: 'describeKeys' },
+    'keyboard-helper.js',
+    routed.frameId
+  );
+  const { delay = 50, jitter = 0 } = params;
+
+  return await withDebugger(tabId, async () => {
+    for (let i = 0; i < strokes.length; i++) {
+      await dispatchStroke(tabId, strokes[i]);
+      if (delay > 0 && i < strokes.length - 1) {
+        const ms = delay * (1 + (Math.random() * 2 - 1) * jitter);
+        await new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+      }
+    }
+    return { success: true, strokes: strokes.length, trusted: true };
+  });
+}
+
+// Centre of a drag endpoint in tab coordinates. Coordinates are relative to
+// the viewport of the frame the drag targets.
+async function locateEndpoint(tabId, endpoint, frameId, scroll) {
+  if (typeof endpoint.x === 'number') {
+    const offset = await frameOffset(tabId, frameId);
+    return { x: endpoint.x + offset.x, y: endpoint.y + offset.y };
+  }
+  return await locateElement(tabId, { ...endpoint, frameId, scroll });
+}
+
+// drag: press at the source, move in steps, release at the target. Chrome
+// would hand a native drag to the OS, so drags are intercepted and replayed
+// with Input.dispatchDragEvent, which fires dragenter/dragover/drop.
+export async function trustedDrag(tabId, params) {
+  const frameId = params.frameId ?? 0;
+  const steps = params.steps ?? 10;
+  return await withDebugger(tabId, async () => {
+    // Only the source is scrolled to, so the target must already be visible
+    const from = await locateEndpoint(tabId, params.source, frameId, true);
+    const to = await locateEndpoint(tabId, params.target, frameId, false);
+
+    let dragData = null;
+    const stopListening = onDebuggerEvent(tabId, 'Input.dragIntercepted', (event) => {
+      dragData = event.data;
+    });
+    await sendDebuggerCommand(tabId, 'Input.setInterceptDrags', { enabled: true });
+    try {
+      const mouse = (type, point, extra) => sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
+        type, x: point.x, y: point.y, button: 'left', ...extra
+      });
+      const drag = (type, point) => sendDebuggerCommand(tabId, 'Input.dispatchDragEvent', {
+        type, x: point.x, y: point.y, data: dragData
+      });
+
+      await mouse('mouseMoved', from, { buttons: 0 });
+      await mouse('mousePressed', from, { buttons: 1, clickCount: 1 });
+      let entered = false;
+      for (let step = 1; step <= steps; step++) {
+        const point = {
+          x: from.x + ((to.x - from.x) * step) / steps,
+          y: from.y + ((to.y - from.y) * step) / steps
+        };
+        if (dragData) {
+          await drag(entered ? 'dragOver' : 'dragEnter', point);
+          entered = true;
+        } else {
+          await mouse('mouseMoved', point, { buttons: 1 });
+        }
+      }
+      if (dragData) {
+        await drag('drop', to);
+      }
+      await mouse('mouseReleased', to, { buttons: 0, clickCount: 1 });
+    } finally {
+      stopListening();
+      await sendDebuggerCommand(tabId, 'Input.setInterceptDrags', { enabled: false });
+    }
+
+    const endpoint = (located) => ({
+      x: located.x,
+      y: located.y,
+      ref: located.ref && tagFrameRef(located.ref, located.frameId)
+    });
+    return {
+      success: true,
+      source: endpoint(from),
+      target: endpoint(to),
+      html5: Boolean(dragData),
+      trusted: true
+    };
+  });
+}
+
+// Depth-first search of a DOM.getDocument tree (pierce: true covers shadow
+// roots and same-process iframes) for the node with attribute name=value
+function findNodeByAttribute(node, name, value) {
+  const attributes = node.attributes || [];
+  for (let i = 0; i < attributes.length; i += 2) {
+    if (attributes[i] === name && attributes[i + 1] === value) {
+      return node;
+    }
+  }
+  const children = [
+    ...(node.children || []),
+    ...(node.shadowRoots || []),
+    ...(node.contentDocument ? [node.contentDocument] : [])
+  ];
+  for (const child of children) {
+    const found = findNodeByAttribute(child, name, value);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+// upload_file with paths on the browser's machine: DOM.setFileInputFiles for
+// file inputs, a trusted drop of the files for anything else
+export async function trustedUpload(tabId, params) {
+  const routed = await routeToFrame(tabId, params);
+  const fillHelper = (message) => sendToContentScript(tabId, message, 'fill-helper.js', routed.frameId);
+  const prepared = await fillHelper({
+    ...routed.message,
+    action: 'prepareFileInput',
+    files: params.files.map(({ name, mimeType }) => ({ name, mimeType }))
+  });
+  const info = { ...prepared.elementInfo, ref: tagFrameRef(prepared.elementInfo.ref, routed.frameId) };
+  const accepted = prepared.accepted.map((index) => params.files[index]);
+  const describeAccepted = () => accepted.map(({ name, mimeType }) => ({ name, type: mimeType }));
+
+  if (prepared.dropZone) {
+    return await withDebugger(tabId, async () => {
+      const located = await locateElement(tabId, params);
+      const data = { items: [], files: accepted.map((file) => file.browserPath), dragOperationsMask: 1 };
+      for (const type of ['dragEnter', 'dragOver', 'drop']) {
+        await sendDebuggerCommand(tabId, 'Input.dispatchDragEvent', { type, x: located.x, y: located.y, data });
+      }
+      return {
+        success: true,
+        method: 'drop',
+        files: describeAccepted(),
+        rejected: prepared.rejected,
+        elementInfo: info,
+        trusted: true
+      };
+    });
+  }
+
+  let files;
+  try {
+    await withDebugger(tabId, async () => {
+      const { root } = await sendDebuggerCommand(tabId, 'DOM.getDocument', { depth: -1, pierce: true });
+      const node = findNodeByAttribute(root, 'data-chrome-pilot-upload', prepared.token);
+      if (!node) {
+        throw new Error('The file input is in a frame the debugger cannot reach; pass path or content instead of browserPath');
+      }
+      await sendDebuggerCommand(tabId, 'DOM.setFileInputFiles', {
+        files: accepted.map((file) => file.browserPath),
+        backendNodeId: node.backendNodeId
+      });
+    });
+  } finally {
+    // Uploaders that submit or re-render on change take the input away; that
+    // must neither hide an error above nor fail an upload that went through
+    files = await fillHelper({ action: 'releaseFileInput', token: prepared.token }).then(
+      (released) => released.files ?? describeAccepted(),
+      () => describeAccepted()
+    );
+  }
+  return {
+    success: true,
+    method: 'input',
+    files,
+    rejected: prepared.rejected,
+    elementInfo: info,
+    trusted: true
+  };
+}
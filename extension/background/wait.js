@@ -0,0 +1,139 @@
+// Chrome MCP Controller - wait_for conditions
+//
+// Element and text conditions are watched by wait-helper.js inside the page;
+// URL, JavaScript predicate, network idle and delay conditions are polled or
+// observed from the worker. Every condition shares one deadline.
+
+import { sendToTargetFrame } from './frames.js';
+import { waitForNetworkIdle } from './navigation.js';
+
+const DEFAULT_WAIT_TIMEOUT_MS = 10000;
+const DEFAULT_POLL_INTERVAL_MS = 100;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// "*" globs match any run of characters; "/.../flags" is a regular expression
+function urlMatcher(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+  if (pattern.includes('*')) {
+    const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+  }
+  return { test: (url) => url.includes(pattern) };
+}
+
+// Count top-frame navigations of a tab, so a lost content-script reply can be
+// told apart from a real failure. Returns { count, stop }.
+function countNavigations(tabId) {
+  const counter = { count: 0 };
+  const listener = (details) => {
+    if (details.tabId === tabId && details.frameId === 0) {
+      counter.count++;
+    }
+  };
+  chrome.webNavigation.onBeforeNavigate.addListener(listener);
+  counter.stop = () => chrome.webNavigation.onBeforeNavigate.removeListener(listener);
+  return counter;
+}
+
+// Element and text conditions. The page may navigate while the helper waits;
+// the wait is then picked up again in the new document.
+async function waitInPage(tabId, params, deadline, pollInterval) {
+  const navigations = countNavigations(tabId);
+  try {
+    for (;;) {
+      const attemptNavigations = navigations.count;
+      try {
+        const result = await sendToTargetFrame(
+          tabId,
+          { ...params, action: 'waitForCondition', timeout: Math.max(0, deadline - Date.now()), pollInterval },
+          'wait-helper.js'
+        );
+        if (result.timedOut) {
+          throw new Error(`Timed out waiting for ${result.condition}`);
+        }
+        return { condition: result.condition };
+      } catch (error) {
+        if (navigations.count === attemptNavigations || Date.now() >= deadline) {
+          throw error;
+        }
+        await sleep(pollInterval);
+      }
+    }
+  } finally {
+    navigations.stop();
+  }
+}
+
+async function waitForUrl(tabId, pattern, deadline, pollInterval) {
+  const matcher = urlMatcher(pattern);
+  let url;
+  while (Date.now() < deadline) {
+    ({ url } = await chrome.tabs.get(tabId));
+    if (matcher.test(url)) {
+      return { condition: `URL matches ${pattern}`, url };
+    }
+    await sleep(pollInterval);
+  }
+  throw new Error(`Timed out waiting for URL to match ${pattern} (last URL: ${url})`);
+}
+
+// The predicate is an expression evaluated in the page's MAIN world, so it
+// sees the page's own globals; promises are awaited
+async function waitForPredicate(tabId, frameId, predicate, deadline, pollInterval) {
+  while (Date.now() < deadline) {
+    let results;
+    try {
+      results = await chrome.scripting.executeScript({
+        target: { tabId, frameIds: [frameId] },
+        world: 'MAIN',
+        func: async (source) => Boolean(await new Function(`return (${source});`)()),
+        args: [predicate]
+      });
+    } catch (error) {
+      // No document to run in while a navigation is in progress
+      if (/Frame with ID|frame was removed|No frame/i.test(error.message)) {
+        await sleep(pollInterval);
+        continue;
+      }
+      throw new Error(`Predicate failed: ${error.message}`);
+    }
+    if (results?.[0]?.result === true) {
+      return { condition: `predicate ${predicate} is truthy` };
+    }
+    await sleep(pollInterval);
+  }
+  throw new Error(`Timed out waiting for predicate ${predicate} to be truthy`);
+}
+
+// Wait for exactly one condition: selector/ref with state, text, textGone,
+// url, predicate, networkIdle or delay. Resolves with which condition was
+// met and how long it took; rejects when the timeout passes first.
+export async function waitFor(tabId, params) {
+  const startTime = Date.now();
+  const timeout = params.timeout ?? DEFAULT_WAIT_TIMEOUT_MS;
+  const pollInterval = params.pollInterval ?? DEFAULT_POLL_INTERVAL_MS;
+  const deadline = startTime + timeout;
+
+  let outcome;
+  if (params.delay !== undefined) {
+    await sleep(Math.min(params.delay, deadline - Date.now()));
+    outcome = { condition: `delay of ${params.delay}ms` };
+  } else if (params.networkIdle) {
+    await waitForNetworkIdle(tabId, timeout);
+    outcome = { condition: 'network idle' };
+  } else if (params.url !== undefined) {
+    outcome = await waitForUrl(tabId, params.url, deadline, pollInterval);
+  } else if (params.predicate !== undefined) {
+    outcome = await waitForPredicate(tabId, params.frameId ?? 0, params.predicate, deadline, pollInterval);
+  } else {
+    outcome = await waitInPage(tabId, params, deadline, pollInterval);
+  }
+
+  return { success: true, ...outcome, elapsed: Date.now() - startTime };
+}
@@ -1,6 +1,8 @@
 // Message type constants for Chrome Pilot extension communication
 // Based on reference project patterns
 
+import { TOOL_ACTIONS } from './tool-actions.js';
+
 // Message targets for routing
 export const MessageTarget = {
   BACKGROUND: 'background',
@@ -51,7 +53,6 @@ export const HELPER_MESSAGE_TYPES = {
   CLICK_ELEMENT: 'clickElement',
   FILL_ELEMENT: 'fillElement',
   CLEAR_ELEMENT: 'clearElement',
-  SIMULATE_KEYBOARD: 'simulateKeyboard',
 
   // Interactive elements
   GET_INTERACTIVE_ELEMENTS: 'getInteractiveElements',
@@ -78,34 +79,11 @@ export const INJECT_BRIDGE_EVENTS = {
   EXECUTE: 'chrome-pilot:execute',
 };
 
-// WebSocket server action types (what the server sends)
-export const WEBSOCKET_ACTIONS = {
-  // Tab management
-  GET_TABS: 'get_tabs',
-  GET_ACTIVE_TAB: 'get_active_tab',
-  NAVIGATE: 'navigate',
-  CLOSE_TAB: 'close_tab',
-  CREATE_TAB: 'create_tab',
-
-  // Page interactions
-  CLICK: 'click',
-  CLICK_ENHANCED: 'click_enhanced',
-  FILL_ENHANCED: 'fill_enhanced',
-  CLEAR_ENHANCED: 'clear_enhanced',
-  SCROLL: 'scroll',
-  
-  // Content extraction
-  GET_CONTENT: 'get_content',
-  GET_WEB_CONTENT: 'get_web_content',
-  GET_HTML_CONTENT: 'get_html_content',
-  GET_INTERACTIVE_ELEMENTS: 'get_interactive_elements',
-  
-  // Advanced operations
-  WAIT_FOR_ELEMENT: 'wait_for_element',
-  SCREENSHOT: 'screenshot',
-  INJECT_SCRIPT: 'inject_script',
-  SEND_COMMAND_TO_INJECT_SCRIPT: 'send_command_to_inject_script',
-};
+// WebSocket server action types (what the server sends), derived from the
+// generated dispatch table so they cannot drift from the tool registry
+export const WEBSOCKET_ACTIONS = Object.fromEntries(
+  Object.keys(TOOL_ACTIONS).map((action) => [action.toUpperCase(), action]),
+);
 
 // Export all as default for easy importing
 export default {
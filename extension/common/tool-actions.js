@@ -0,0 +1,46 @@
+// Generated by `npm run generate` in server/ from the tool registry - do not edit.
+// Maps each action the server sends to where the extension executes it:
+//   background - handler in the service worker
+//   helper     - message to an injected helper script in the tab
+//   page       - pageAction function run via chrome.scripting
+
+export const TOOL_ACTIONS = {
+  navigate: { target: 'background' },
+  go_back: { target: 'background' },
+  go_forward: { target: 'background' },
+  refresh: { target: 'background' },
+  list_browsers: { target: 'background' },
+  get_tabs: { target: 'background' },
+  get_active_tab: { target: 'background' },
+  get_frames: { target: 'background' },
+  create_tab: { target: 'background' },
+  close_tab: { target: 'background' },
+  click_enhanced: { target: 'helper', script: 'click-helper.js', message: 'clickElement' },
+  hover: { target: 'background' },
+  drag: { target: 'background' },
+  fill_enhanced: { target: 'helper', script: 'fill-helper.js', message: 'fillElement' },
+  clear_enhanced: { target: 'helper', script: 'fill-helper.js', message: 'clearElement' },
+  type_text: { target: 'helper', script: 'keyboard-helper.js', message: 'pressKeys' },
+  press_key: { target: 'helper', script: 'keyboard-helper.js', message: 'pressKeys' },
+  select_option: { target: 'helper', script: 'select-helper.js', message: 'selectOption' },
+  set_checked: { target: 'helper', script: 'select-helper.js', message: 'setChecked' },
+  check_checkbox: { target: 'helper', script: 'select-helper.js', message: 'setChecked' },
+  fill_form: { target: 'background' },
+  upload_file: { target: 'background' },
+  scroll: { target: 'helper', script: 'scroll-helper.js', message: 'scroll' },
+  scroll_to_element: { target: 'helper', script: 'element-resolver.js', message: 'scrollToElement' },
+  scroll_until: { target: 'helper', script: 'scroll-helper.js', message: 'scrollUntil' },
+  wait_for: { target: 'background' },
+  wait_for_element: { target: 'page' },
+  get_web_content: { target: 'helper', script: 'web-fetcher-helper.js', message: 'getTextContent' },
+  get_html_content: { target: 'helper', script: 'web-fetcher-helper.js', message: 'getHTMLContent' },
+  get_interactive_elements: { target: 'background' },
+  get_accessibility_snapshot: { target: 'helper', script: 'interactive-elements-helper.js', message: 'getAccessibilitySnapshot' },
+  get_forms: { target: 'background' },
+  highlight_element: { target: 'helper', script: 'screenshot-helper.js', message: 'highlightElement' },
+  unhighlight_element: { target: 'helper', script: 'screenshot-helper.js', message: 'unhighlightElement' },
+  screenshot: { target: 'background' },
+  screenshot_annotated: { target: 'background' },
+  inject_script: { target: 'background' },
+  send_command_to_inject_script: { target: 'background' },
+};
@@ -393,6 +393,19 @@
     }
   };
   
+  // Actions handled by handleContentAction
+  const CONTENT_ACTIONS = new Set([
+    'get_interactive_elements',
+    'click_enhanced',
+    'fill_form',
+    'wait_for_element',
+    'get_page_info',
+    'get_web_content',
+    'find_elements_by_text',
+    'scroll_to_element',
+    'click_coordinates',
+  ]);
+  
   // Message listener for commands from background script
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Handle ping for content script health check
@@ -401,7 +414,9 @@
       return false;
     }
     
-    if (message.from === 'background' || message.action) {
+    // Only answer actions this script owns; helper scripts share the same
+    // message channel and the first response wins.
+    if (CONTENT_ACTIONS.has(message.action)) {
       handleContentAction(message.action, message.params || message)
         .then(result => sendResponse({ success: true, data: result }))
         .catch(error => sendResponse({ success: false, error: error.message }));
@@ -8,23 +8,27 @@ if (window.__CLICK_HELPER_INITIALIZED__) {
 
   /**
    * Enhanced click function with multiple strategies and coordinate support
-   * @param {string} selector - CSS selector for the element to click
+   * @param {Object} target - Element to click: { selector?, ref?, mark? }
    * @param {boolean} waitForNavigation - Whether to wait for navigation to complete after click
    * @param {number} timeout - Timeout in milliseconds for waiting for the element or navigation
    * @param {Object} coordinates - Optional coordinates for clicking at a specific position
    * @param {number} coordinates.x - X coordinate relative to the viewport
    * @param {number} coordinates.y - Y coordinate relative to the viewport
+   * @param {Object} mouse - { button, clickCount, modifiers } for anything
+   *   other than a plain left click
    * @returns {Promise<Object>} - Result of the click operation
    */
   async function clickElement(
-    selector,
+    target,
     waitForNavigation = false,
     timeout = 5000,
     coordinates = null,
+    mouse = {},
   ) {
     try {
       let element = null;
       let elementInfo = null;
+      let targetLabel = null;
       let clickX, clickY;
 
       if (coordinates && typeof coordinates.x === 'number' && typeof coordinates.y === 'number') {
@@ -64,13 +68,15 @@ if (window.__CLICK_HELPER_INITIALIZED__) {
           };
         }
       } else {
-        element = document.querySelector(selector);
-        if (!element) {
-          return {
-            error: `Element with selector "${selector}" not found`,
-          };
+        const resolved = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+        if (resolved.error) {
+          return { error: resolved.error };
         }
+        element = resolved.element;
+        targetLabel = resolved.label;
+      }
 
+      if (element && !elementInfo) {
         const rect = element.getBoundingClientRect();
         elementInfo = {
           tagName: element.tagName,
@@ -91,6 +97,7 @@ if (window.__CLICK_HELPER_INITIALIZED__) {
             left: rect.left,
           },
           clickMethod: 'selector',
+          ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
         };
 
         // Scroll element into view and check visibility
@@ -100,7 +107,7 @@ if (window.__CLICK_HELPER_INITIALIZED__) {
         
         if (!elementInfo.isVisible) {
           return {
-            error: `Element with selector "${selector}" is not visible`,
+            error: `Element with ${targetLabel} is not visible`,
             elementInfo,
           };
         }
@@ -127,10 +134,14 @@ if (window.__CLICK_HELPER_INITIALIZED__) {
       }
 
       // Perform the click - SIMPLIFIED like reference project
-      if (element && elementInfo.clickMethod === 'selector') {
+      const { button = 'left', clickCount = 1, modifiers = [] } = mouse;
+      const plainClick = button === 'left' && clickCount === 1 && modifiers.length === 0;
+      if (element && elementInfo.clickMethod !== 'coordinates' && plainClick) {
         element.click();
+      } else if (element && elementInfo.clickMethod !== 'coordinates') {
+        dispatchClickSequence(element, clickX, clickY, { button, clickCount, modifiers });
       } else {
-        simulateClick(clickX, clickY);
+        simulateClick(clickX, clickY, { button, clickCount, modifiers });
       }
 
       // Wait for navigation if needed
@@ -223,30 +234,225 @@ if (window.__CLICK_HELPER_INITIALIZED__) {
     return false;
   }
 
+  // MouseEvent.button values and the matching MouseEvent.buttons bits
+  const MOUSE_BUTTONS = {
+    left: { button: 0, buttons: 1 },
+    middle: { button: 1, buttons: 4 },
+    right: { button: 2, buttons: 2 },
+  };
+
   /**
-   * Simulate a mouse click at specific coordinates
+   * Event init flags for held modifier keys
+   * @param {string[]} modifiers - Any of Alt, Control, Meta, Shift
+   */
+  function modifierFlags(modifiers = []) {
+    return {
+      altKey: modifiers.includes('Alt'),
+      ctrlKey: modifiers.includes('Control'),
+      metaKey: modifiers.includes('Meta'),
+      shiftKey: modifiers.includes('Shift'),
+    };
+  }
+
+  /**
+   * Dispatch the events of a click with any button, click count and
+   * modifiers: pointer/mouse down and up, then click (left), auxclick (middle
+   * and right), dblclick on the second left click and contextmenu (right)
+   * @param {EventTarget} element - Element receiving the events
    * @param {number} x - X coordinate relative to the viewport
    * @param {number} y - Y coordinate relative to the viewport
+   * @param {Object} mouse - { button, clickCount, modifiers }
    */
-  function simulateClick(x, y) {
-    const clickEvents = ['mousedown', 'mouseup', 'click'];
-    
-    clickEvents.forEach(eventType => {
-      const event = new MouseEvent(eventType, {
-        view: window,
-        bubbles: true,
-        cancelable: true,
-        clientX: x,
-        clientY: y,
-      });
+  function dispatchClickSequence(element, x, y, { button = 'left', clickCount = 1, modifiers = [] } = {}) {
+    const { button: buttonIndex, buttons } = MOUSE_BUTTONS[button] || MOUSE_BUTTONS.left;
+    const base = {
+      view: window,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      clientX: x,
+      clientY: y,
+      button: buttonIndex,
+      ...modifierFlags(modifiers),
+    };
+    const pointer = { pointerId: 1, pointerType: 'mouse', isPrimary: true };
+    const fire = (type, init, EventType = MouseEvent) =>
+      element.dispatchEvent(new EventType(type, { ...base, ...init }));
 
-      const element = document.elementFromPoint(x, y);
-      if (element) {
-        element.dispatchEvent(event);
+    for (let detail = 1; detail <= clickCount; detail++) {
+      fire('pointerdown', { ...pointer, buttons, detail }, PointerEvent);
+      fire('mousedown', { buttons, detail });
+      fire('pointerup', { ...pointer, buttons: 0, detail }, PointerEvent);
+      fire('mouseup', { buttons: 0, detail });
+      if (button === 'left') {
+        fire('click', { buttons: 0, detail }, PointerEvent);
+        if (detail === 2) fire('dblclick', { buttons: 0, detail });
       } else {
-        document.dispatchEvent(event);
+        fire('auxclick', { ...pointer, buttons: 0, detail }, PointerEvent);
+      }
+    }
+    if (button === 'right') {
+      fire('contextmenu', { ...pointer, buttons: 0, detail: 0 }, PointerEvent);
+    }
+  }
+
+  /**
+   * Simulate a mouse click at specific coordinates
+   * @param {number} x - X coordinate relative to the viewport
+   * @param {number} y - Y coordinate relative to the viewport
+   * @param {Object} mouse - { button, clickCount, modifiers }
+   */
+  function simulateClick(x, y, mouse = {}) {
+    const element = document.elementFromPoint(x, y) || document;
+    dispatchClickSequence(element, x, y, mouse);
+  }
+
+  // What a hover can reveal: overlays, and the controls of menus that open
+  // without an overlay role. Checking this bounded set rather than every
+  // element keeps a hover cheap on large pages.
+  const REVEALABLE_SELECTOR = [
+    '[role="menu"]',
+    '[role="menubar"]',
+    '[role="listbox"]',
+    '[role="tooltip"]',
+    '[role="dialog"]',
+    '[popover]',
+    'dialog',
+    'a[href]',
+    'button',
+    'input',
+    'select',
+    'textarea',
+    '[role="menuitem"]',
+    '[role="option"]',
+    '[role="link"]',
+    '[role="button"]',
+    '[tabindex]',
+  ].join(', ');
+
+  // Attributes that show an element that was hidden. Class and style changes
+  // are left out: hover effects restyle elements that were visible already.
+  const REVEALING_ATTRIBUTES = ['hidden', 'open', 'aria-hidden'];
+
+  // Most revealed elements reported for one hover
+  const MAX_REVEALED_ELEMENTS = 20;
+
+  // Most added or changed elements remembered during one hover
+  const MAX_WATCHED_CHANGES = 200;
+
+  // The running hover watch: { before, changed, observer, noteChanges }.
+  // Elements are only held weakly, so a page that replaces its DOM meanwhile
+  // can free them.
+  let hoverWatch = null;
+
+  function isShown(el) {
+    return el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+  }
+
+  /**
+   * Note what is visible before a hover, and watch for elements the page
+   * adds or toggles during it (tooltips are often appended to the body)
+   */
+  function beginHoverWatch() {
+    hoverWatch?.observer.disconnect();
+    const before = new WeakSet(
+      window.__CHROME_PILOT_ELEMENTS__.queryAllDeep(document, REVEALABLE_SELECTOR).filter(isShown),
+    );
+    const changed = [];
+    const noteChanges = (records) => {
+      for (const record of records) {
+        const nodes = record.type === 'attributes' ? [record.target] : record.addedNodes;
+        for (const node of nodes) {
+          if (node.nodeType === Node.ELEMENT_NODE && changed.length < MAX_WATCHED_CHANGES) {
+            changed.push(new WeakRef(node));
+          }
+        }
       }
+    };
+    const observer = new MutationObserver(noteChanges);
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: REVEALING_ATTRIBUTES,
     });
+    hoverWatch = { before, changed, observer, noteChanges };
+  }
+
+  /**
+   * Move the (synthetic) pointer onto an element. Only script listeners see
+   * these events; CSS :hover needs trusted input.
+   * @param {Object} target - { selector?, ref?, mark? }
+   * @returns {Object} - { success, elementInfo } or { error }
+   */
+  function hoverElement(target) {
+    const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+
+    element.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return { error: `Element with ${label} is not visible` };
+    }
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+
+    const init = { view: window, cancelable: true, composed: true, clientX: x, clientY: y };
+    const pointer = { pointerId: 1, pointerType: 'mouse', isPrimary: true };
+    element.dispatchEvent(new PointerEvent('pointerover', { ...init, ...pointer, bubbles: true }));
+    element.dispatchEvent(new PointerEvent('pointerenter', { ...init, ...pointer, bubbles: false }));
+    element.dispatchEvent(new MouseEvent('mouseover', { ...init, bubbles: true }));
+    element.dispatchEvent(new MouseEvent('mouseenter', { ...init, bubbles: false }));
+    element.dispatchEvent(new PointerEvent('pointermove', { ...init, ...pointer, bubbles: true }));
+    element.dispatchEvent(new MouseEvent('mousemove', { ...init, bubbles: true }));
+
+    return {
+      success: true,
+      elementInfo: {
+        tagName: element.tagName,
+        text: element.textContent?.trim().substring(0, 100) || '',
+        ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
+        target: label,
+      },
+    };
+  }
+
+  /**
+   * Elements that became visible since beginHoverWatch, outermost only
+   * @returns {Array} - { tagName, role, text, ref, rect } per element
+   */
+  function collectRevealedElements() {
+    if (!hoverWatch) {
+      return [];
+    }
+    const { before, changed, observer, noteChanges } = hoverWatch;
+    hoverWatch = null;
+    noteChanges(observer.takeRecords());
+    observer.disconnect();
+
+    const candidates = new Set(window.__CHROME_PILOT_ELEMENTS__.queryAllDeep(document, REVEALABLE_SELECTOR));
+    for (const ref of changed) {
+      const el = ref.deref();
+      if (el?.isConnected) {
+        candidates.add(el);
+      }
+    }
+    const revealed = [...candidates].filter((el) => !before.has(el) && isShown(el));
+    return revealed
+      .filter((el) => !revealed.some((other) => other !== el && other.contains(el)))
+      .slice(0, MAX_REVEALED_ELEMENTS)
+      .map((el) => {
+        const rect = el.getBoundingClientRect();
+        return {
+          tagName: el.tagName,
+          role: el.getAttribute('role') || undefined,
+          text: el.innerText?.trim().substring(0, 100) || '',
+          ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(el),
+          rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+        };
+      });
   }
 
   /**
@@ -291,10 +497,11 @@ if (window.__CLICK_HELPER_INITIALIZED__) {
   chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     if (request.action === 'clickElement') {
       clickElement(
-        request.selector,
+        { selector: request.selector, ref: request.ref, mark: request.mark },
         request.waitForNavigation,
         request.timeout,
         request.coordinates,
+        { button: request.button, clickCount: request.clickCount, modifiers: request.modifiers },
       )
         .then(sendResponse)
         .catch((error) => {
@@ -303,6 +510,20 @@ if (window.__CLICK_HELPER_INITIALIZED__) {
           });
         });
       return true; // Indicates async response
+    } else if (request.action === 'beginHoverWatch') {
+      beginHoverWatch();
+      sendResponse({ success: true });
+      return false;
+    } else if (request.action === 'hoverElement') {
+      try {
+        sendResponse(hoverElement(request));
+      } catch (error) {
+        sendResponse({ error: `Error hovering element: ${error.message}` });
+      }
+      return false;
+    } else if (request.action === 'endHoverWatch') {
+      sendResponse({ success: true, revealed: collectRevealedElements() });
+      return false;
     } else if (request.action === 'chrome_click_element_ping') {
       sendResponse({ status: 'pong' });
       return false;
@@ -0,0 +1,154 @@
+// Drag helper - Chrome Pilot
+// Drags from one element or point to another with synthetic pointer and
+// mouse events, plus the HTML5 drag-and-drop events (dragstart, dragover,
+// drop, ...) carrying a DataTransfer when the source is draggable.
+
+if (window.__DRAG_HELPER_INITIALIZED__) {
+  // Already initialized, skip
+} else {
+  window.__DRAG_HELPER_INITIALIZED__ = true;
+
+  // Pause between pointer moves, about one frame. A timer rather than
+  // requestAnimationFrame, which never fires in background tabs.
+  const MOVE_PAUSE_MS = 16;
+
+  /**
+   * Viewport point for one end of the drag
+   * @param {Object} endpoint - { selector?, ref?, x?, y? }
+   * @param {boolean} scroll - Scroll an element endpoint into view first
+   * @returns {Object} - { x, y, element?, ref? } or { error }
+   */
+  function resolveEndpoint(endpoint, scroll) {
+    if (typeof endpoint.x === 'number' && typeof endpoint.y === 'number') {
+      return { x: endpoint.x, y: endpoint.y, element: document.elementFromPoint(endpoint.x, endpoint.y) };
+    }
+
+    const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(endpoint);
+    if (error) {
+      return { error };
+    }
+    if (scroll) {
+      element.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    }
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return { error: `Element with ${label} is not visible` };
+    }
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+    if (x < 0 || y < 0 || x > window.innerWidth || y > window.innerHeight) {
+      return { error: `Element with ${label} is outside the viewport; scroll so both ends of the drag are visible` };
+    }
+    return { x, y, element, ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element) };
+  }
+
+  /**
+   * Perform the drag
+   * @param {Object} source - { selector?, ref?, x?, y? }
+   * @param {Object} target - { selector?, ref?, x?, y? }
+   * @param {number} steps - Pointer moves between the two points
+   * @returns {Promise<Object>} - Result of the drag
+   */
+  async function dragElement(source, target, steps = 10) {
+    const from = resolveEndpoint(source, true);
+    if (from.error) {
+      return { error: `Drag source: ${from.error}` };
+    }
+    const to = resolveEndpoint(target, false);
+    if (to.error) {
+      return { error: `Drag target: ${to.error}` };
+    }
+    const sourceElement = from.element || document.body;
+
+    const pointer = { pointerId: 1, pointerType: 'mouse', isPrimary: true };
+    const fireMouse = (element, type, x, y, buttons) => {
+      const init = { view: window, bubbles: true, cancelable: true, composed: true, clientX: x, clientY: y, button: 0, buttons };
+      element.dispatchEvent(new PointerEvent(type.replace('mouse', 'pointer'), { ...init, ...pointer }));
+      element.dispatchEvent(new MouseEvent(type, init));
+    };
+
+    // Native drag and drop only starts from draggable elements (links and
+    // images are draggable by default)
+    const draggable = sourceElement.closest('[draggable="true"], a[href], img');
+    const dataTransfer = draggable ? new DataTransfer() : null;
+    const fireDrag = (element, type, x, y) => {
+      const event = new DragEvent(type, {
+        bubbles: true,
+        cancelable: type !== 'dragleave' && type !== 'dragend',
+        composed: true,
+        clientX: x,
+        clientY: y,
+        dataTransfer,
+      });
+      element.dispatchEvent(event);
+      return event;
+    };
+
+    fireMouse(sourceElement, 'mousedown', from.x, from.y, 1);
+
+    let dragging = false;
+    if (dataTransfer) {
+      dragging = !fireDrag(draggable, 'dragstart', from.x, from.y).defaultPrevented;
+    }
+
+    let current = null;
+    let dropAllowed = false;
+    for (let step = 1; step <= steps; step++) {
+      const x = from.x + ((to.x - from.x) * step) / steps;
+      const y = from.y + ((to.y - from.y) * step) / steps;
+      const under = document.elementFromPoint(x, y) || document.body;
+
+      if (dragging) {
+        if (under !== current) {
+          if (current) fireDrag(current, 'dragleave', x, y);
+          fireDrag(under, 'dragenter', x, y);
+          current = under;
+        }
+        fireDrag(draggable, 'drag', x, y);
+        // Drop targets opt in by cancelling dragover
+        dropAllowed = fireDrag(under, 'dragover', x, y).defaultPrevented;
+      } else {
+        fireMouse(under, 'mousemove', x, y, 1);
+      }
+      // Let frameworks react to each move (animations, placeholders)
+      await new Promise((resolve) => setTimeout(resolve, MOVE_PAUSE_MS));
+    }
+
+    const dropElement = document.elementFromPoint(to.x, to.y) || document.body;
+    let dropped = false;
+    if (dragging) {
+      if (dropAllowed) {
+        fireDrag(dropElement, 'drop', to.x, to.y);
+        dropped = true;
+      } else {
+        fireDrag(current || dropElement, 'dragleave', to.x, to.y);
+      }
+      fireDrag(draggable, 'dragend', to.x, to.y);
+    }
+    fireMouse(dropElement, 'mouseup', to.x, to.y, 0);
+
+    return {
+      success: true,
+      source: { x: from.x, y: from.y, ref: from.ref },
+      target: { x: to.x, y: to.y, ref: to.ref },
+      html5: dragging,
+      dropped: dragging ? dropped : undefined,
+    };
+  }
+
+  chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'dragElement') {
+      dragElement(request.source, request.target, request.steps)
+        .then(sendResponse)
+        .catch((error) => {
+          sendResponse({
+            error: `Unexpected error: ${error.message}`,
+          });
+        });
+      return true; // Indicates async response
+    } else if (request.action === 'chrome_drag_helper_ping') {
+      sendResponse({ status: 'pong' });
+      return false;
+    }
+  });
+}
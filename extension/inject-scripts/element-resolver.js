@@ -0,0 +1,474 @@
+// Element references - Chrome Pilot
+// Hands out opaque refs for elements reported to the server and resolves refs,
+// selectors (including ">>>" shadow/frame piercing) and annotated-screenshot
+// marks back to elements. Other helpers in
+// this isolated world use it through window.__CHROME_PILOT_ELEMENTS__.
+
+if (window.__CHROME_PILOT_ELEMENTS__) {
+  // Already initialized, skip
+} else {
+  // Refs from an earlier document (before a reload or navigation) carry a
+  // different prefix, which lets us report them as stale rather than unknown
+  const documentId = Math.random().toString(36).slice(2, 8);
+  let nextRefNumber = 1;
+
+  // Weak in both directions so detached nodes can still be collected; the
+  // registry drops a ref's entry once its element has been
+  const refsByElement = new WeakMap();
+  const elementsByRef = new Map();
+  const collectedRefs = new FinalizationRegistry((ref) => elementsByRef.delete(ref));
+
+  // Mark number -> ref, from the latest annotated screenshot
+  let markedRefs = null;
+
+  // Separates the parts of a selector that cross into a shadow root or frame,
+  // e.g. "my-widget >>> button.save" or "iframe#pay >>> input[name=card]"
+  const PIERCE_SEPARATOR = '>>>';
+
+  /**
+   * Every open shadow root below a node, including nested ones
+   * @param {Node} root - Document, shadow root or element to search
+   * @returns {ShadowRoot[]}
+   */
+  function collectShadowRoots(root, roots = []) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.shadowRoot) {
+        roots.push(node.shadowRoot);
+        collectShadowRoots(node.shadowRoot, roots);
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * querySelector that also looks inside open shadow roots
+   * @param {Node} scope - Where to search
+   * @param {string} css - Plain CSS selector
+   * @returns {Element|null}
+   */
+  function queryDeep(scope, css) {
+    const direct = scope.querySelector(css);
+    if (direct) return direct;
+
+    for (const shadowRoot of collectShadowRoots(scope)) {
+      const found = shadowRoot.querySelector(css);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * querySelectorAll that also looks inside open shadow roots
+   * @param {Node} scope - Where to search
+   * @param {string} css - Plain CSS selector
+   * @returns {Element[]}
+   */
+  function queryAllDeep(scope, css) {
+    const results = Array.from(scope.querySelectorAll(css));
+    for (const shadowRoot of collectShadowRoots(scope)) {
+      results.push(...shadowRoot.querySelectorAll(css));
+    }
+    return results;
+  }
+
+  /**
+   * Elements named by an ID reference list attribute (aria-labelledby,
+   * aria-controls, ...), skipping ids that match nothing
+   * @param {string|null} ids - Space-separated ids
+   * @param {Document|ShadowRoot} root - Where the ids live: the referring
+   *   element's getRootNode() for references inside a shadow root
+   * @returns {Element[]}
+   */
+  function byIdList(ids, root = document) {
+    return (ids || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((id) => root.getElementById(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Resolve a selector whose parts may be joined with ">>>". Each part is
+   * searched inside the previous match: its shadow root if it has one, its
+   * light DOM otherwise. A part matching an iframe hands the rest of the
+   * selector to that frame.
+   * @param {string} selector - Selector, possibly with ">>>" parts
+   * @returns {Object} - { element }, { frameHop: { frameId, selector } } or { error }
+   */
+  function resolvePiercingSelector(selector) {
+    const parts = String(selector)
+      .split(PIERCE_SEPARATOR)
+      .map((part) => part.trim());
+    if (parts.some((part) => !part)) {
+      return { error: `Invalid selector "${selector}": empty part around ${PIERCE_SEPARATOR}` };
+    }
+
+    let scope = document;
+    for (let i = 0; i < parts.length; i++) {
+      let element;
+      try {
+        element = queryDeep(scope, parts[i]);
+      } catch (error) {
+        return { error: `Invalid selector "${parts[i]}": ${error.message}` };
+      }
+
+      if (!element) {
+        return {
+          error: parts.length === 1
+            ? `Element with selector "${selector}" not found`
+            : `Element with selector "${selector}" not found ("${parts[i]}" matched nothing)`,
+        };
+      }
+      if (i === parts.length - 1) {
+        return { element };
+      }
+
+      if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+        const frameId = chrome.runtime.getFrameId(element);
+        if (frameId < 0) {
+          return { error: `Frame "${parts[i]}" has not loaded a document yet` };
+        }
+        return { frameHop: { frameId, selector: parts.slice(i + 1).join(` ${PIERCE_SEPARATOR} `) } };
+      }
+      scope = element.shadowRoot || element;
+    }
+  }
+
+  /**
+   * Get the ref for an element, assigning one on first sight
+   * @param {Element} element - The element to reference
+   * @returns {string} - Opaque ref, stable for the element's lifetime
+   */
+  function registerElement(element) {
+    let ref = refsByElement.get(element);
+    if (!ref) {
+      ref = `${documentId}-${nextRefNumber++}`;
+      refsByElement.set(element, ref);
+      elementsByRef.set(ref, new WeakRef(element));
+      collectedRefs.register(element, ref);
+    }
+    return ref;
+  }
+
+  /**
+   * Resolve a ref back to its element
+   * @param {string} ref - Ref returned by registerElement
+   * @returns {Object} - { element } or { error }
+   */
+  function resolveRef(ref) {
+    const element = elementsByRef.get(ref)?.deref();
+    if (element && element.isConnected) {
+      return { element };
+    }
+
+    // Refs are numbered in order, so one below the next number was issued
+    // here even after its entry is gone
+    const prefix = `${documentId}-`;
+    const number = String(ref).startsWith(prefix) ? Number(String(ref).slice(prefix.length)) : NaN;
+    if (elementsByRef.has(ref) || (Number.isInteger(number) && number > 0 && number < nextRefNumber)) {
+      return {
+        error: `Stale element reference "${ref}": the element is no longer attached to the page. Look it up again`,
+      };
+    }
+    if (!String(ref).startsWith(prefix)) {
+      return {
+        error: `Stale element reference "${ref}": the page has been reloaded or navigated since it was issued. Look it up again`,
+      };
+    }
+    return { error: `Unknown element reference "${ref}"` };
+  }
+
+  /**
+   * Remember the numbering of an annotated screenshot
+   * @param {Map<number, Element>} marks - Mark number -> element
+   */
+  function setMarks(marks) {
+    markedRefs = new Map();
+    for (const [mark, element] of marks) {
+      markedRefs.set(mark, registerElement(element));
+    }
+  }
+
+  /**
+   * Resolve a mark number from the latest annotated screenshot
+   * @param {number} mark - Number shown on the screenshot
+   * @returns {Object} - { element } or { error }
+   */
+  function resolveMark(mark) {
+    if (!markedRefs) {
+      return { error: 'No annotated screenshot has been taken on this page; call screenshot_annotated first' };
+    }
+
+    const ref = markedRefs.get(Number(mark));
+    if (!ref) {
+      return { error: `Mark ${mark} is not part of the latest annotated screenshot` };
+    }
+
+    const resolved = resolveRef(ref);
+    return resolved.error
+      ? { error: `Element for mark ${mark} is no longer on the page; take a new annotated screenshot` }
+      : resolved;
+  }
+
+  /**
+   * Resolve whichever of selector, ref or mark a tool was given
+   * @param {Object} target - { selector?, ref?, mark? }
+   * @returns {Object} - { element, label } or { error }, where label
+   *   describes the target for messages (e.g. 'ref "k2x9f1-4"')
+   */
+  function resolveTarget(target = {}) {
+    const { selector, ref, mark } = target;
+
+    if (ref !== undefined && ref !== null) {
+      return { ...resolveRef(ref), label: `ref "${ref}"` };
+    }
+    if (mark !== undefined && mark !== null) {
+      return { ...resolveMark(mark), label: `mark ${mark}` };
+    }
+    if (!selector) {
+      return { error: 'No selector or element reference given' };
+    }
+
+    const label = `selector "${selector}"`;
+    const resolved = resolvePiercingSelector(selector);
+    if (resolved.frameHop) {
+      // The background routes these to the right frame before sending
+      return { error: `Selector "${selector}" points into another frame`, label };
+    }
+    return { ...resolved, label };
+  }
+
+  // Rich-text and code editors, found from their outer element. input is
+  // where keyboard input goes when it is not the root itself. Code editors
+  // keep their text outside a hidden textarea that takes the input.
+  const EDITORS = [
+    { name: 'monaco', root: '.monaco-editor', input: 'textarea.inputarea, .native-edit-context', code: true },
+    { name: 'codemirror5', root: '.CodeMirror', input: 'textarea', code: true },
+    { name: 'codemirror', root: '.cm-editor', input: '.cm-content' },
+    { name: 'prosemirror', root: '.ProseMirror' },
+    { name: 'lexical', root: '[data-lexical-editor]' },
+    { name: 'slate', root: '[data-slate-editor]' },
+    { name: 'quill', root: '.ql-container', input: '.ql-editor' },
+    { name: 'draft', root: '.DraftEditor-root', input: '[contenteditable="true"]' },
+  ];
+
+  /**
+   * Find the editor an element belongs to or wraps: a known editor framework
+   * or a plain contenteditable host. Plain form fields are not editors.
+   * @param {Element} element
+   * @returns {Object|null} - { element (where input goes), editor (name),
+   *   code (text lives outside element) }
+   */
+  function findEditor(element) {
+    const isFormField = ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+    for (const { name, root, input, code = false } of EDITORS) {
+      const editorRoot = element.closest(root) || (isFormField ? null : element.querySelector(root));
+      const target = editorRoot && (input ? editorRoot.querySelector(input) : editorRoot);
+      if (target) {
+        return { element: target, editor: name, code };
+      }
+    }
+    if (isFormField) {
+      return null;
+    }
+
+    let host = element.isContentEditable
+      ? element
+      : element.querySelector('[contenteditable]:not([contenteditable="false"])');
+    if (!host) {
+      return null;
+    }
+    // The editing host is the outermost contenteditable ancestor
+    while (host.parentElement?.isContentEditable) {
+      host = host.parentElement;
+    }
+    return { element: host, editor: 'contenteditable', code: false };
+  }
+
+  window.__CHROME_PILOT_ELEMENTS__ = {
+    registerElement,
+    resolveRef,
+    setMarks,
+    resolveMark,
+    resolveTarget,
+    resolvePiercingSelector,
+    queryDeep,
+    queryAllDeep,
+    byIdList,
+    findEditor,
+  };
+
+  /**
+   * Scroll an element into view
+   * @param {Object} target - { selector?, ref? }
+   * @param {string} block - Vertical alignment
+   * @param {string} inline - Horizontal alignment
+   */
+  function scrollToElement(target, block = 'center', inline = 'center') {
+    const { element, label, error } = resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+
+    element.scrollIntoView({ behavior: 'instant', block, inline });
+    const rect = element.getBoundingClientRect();
+    return {
+      success: true,
+      target: label,
+      ref: registerElement(element),
+      rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+    };
+  }
+
+  /**
+   * Scroll an element into view and report the viewport point at its centre,
+   * for input dispatched through the debugger
+   * @param {Object} target - { selector?, ref?, mark?, scroll? } - scroll:
+   *   false leaves the page where it is, e.g. for the far end of a drag
+   * @returns {Object} - { x, y, rect, ref, target, tagName, obscuredBy? } or { error }
+   */
+  function getElementPoint(target) {
+    const { element, label, error } = resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+
+    if (target.scroll !== false) {
+      element.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    }
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return { error: `Element with ${label} is not visible` };
+    }
+
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+    if (x < 0 || y < 0 || x > window.innerWidth || y > window.innerHeight) {
+      return { error: `Element with ${label} is outside the viewport` };
+    }
+    const hit = document.elementFromPoint(x, y);
+    const result = {
+      x,
+      y,
+      rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+      ref: registerElement(element),
+      target: label,
+      tagName: element.tagName,
+    };
+    // The click lands on whatever is on top, so say when that is not the target
+    if (hit && hit !== element && !element.contains(hit) && !hit.contains(element)) {
+      result.obscuredBy = hit.tagName.toLowerCase() + (hit.id ? `#${hit.id}` : '');
+    }
+    return result;
+  }
+
+  /**
+   * Focus an editable element, or the editor it belongs to, and select its
+   * contents so input dispatched through the debugger replaces them. With
+   * mode 'append' the caret goes to the end instead.
+   * @param {Object} target - { selector?, ref?, mode? }
+   * @returns {Object} - { ref, target, tagName, editor?, hasContent } or
+   *   { ..., selectAll } when only a select-all key press can select the
+   *   contents (code editors), or { error }
+   */
+  function focusForInput(target) {
+    const { element: resolved, label, error } = resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+    const editor = findEditor(resolved);
+    const element = editor ? editor.element : resolved;
+    if (element.disabled || element.readOnly) {
+      return { error: `Element with ${label} is not editable` };
+    }
+
+    element.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    element.focus();
+    const active = element.getRootNode().activeElement;
+    if (active !== element && !element.contains(active)) {
+      return { error: `Element with ${label} cannot be focused` };
+    }
+
+    const result = { ref: registerElement(resolved), target: label, tagName: resolved.tagName, editor: editor?.editor };
+    if (editor?.code) {
+      // Only the editor's own select-all reaches text outside the textarea
+      return { ...result, selectAll: true };
+    }
+
+    const append = target.mode === 'append';
+    let hasContent;
+    if (typeof element.select === 'function') {
+      element.select();
+      if (append) {
+        try {
+          element.setSelectionRange(element.value.length, element.value.length);
+        } catch (error) {
+          // email and number inputs have no caret API; the value stays selected
+          return { error: `Cannot append to the ${element.type} input with ${label}` };
+        }
+      }
+      hasContent = element.value !== '';
+    } else {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      if (append) {
+        range.collapse(false);
+      }
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      hasContent = element.textContent !== '';
+    }
+    // hasContent tells the caller to delete the selected contents
+    return { ...result, hasContent: hasContent && !append };
+  }
+
+
+  /**
+   * Where a child frame's viewport starts inside this frame's viewport
+   * @param {number} frameId - Extension frame id of the child
+   * @returns {Object} - { x, y } or { error }
+   */
+  function getChildFrameOffset(frameId) {
+    const frame = queryAllDeep(document, 'iframe, frame')
+      .find((candidate) => chrome.runtime.getFrameId(candidate) === frameId);
+    if (!frame) {
+      return { error: `Frame ${frameId} is not embedded in this document` };
+    }
+    const rect = frame.getBoundingClientRect();
+    const style = window.getComputedStyle(frame);
+    return {
+      x: rect.left + frame.clientLeft + parseFloat(style.paddingLeft),
+      y: rect.top + frame.clientTop + parseFloat(style.paddingTop),
+    };
+  }
+
+  chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'getElementPoint') {
+      sendResponse(getElementPoint(request));
+      return false;
+    } else if (request.action === 'focusForInput') {
+      sendResponse(focusForInput(request));
+      return false;
+    } else if (request.action === 'getChildFrameOffset') {
+      sendResponse(getChildFrameOffset(request.frameId));
+      return false;
+    } else if (request.action === 'scrollToElement') {
+      try {
+        sendResponse(scrollToElement(request, request.block, request.inline));
+      } catch (error) {
+        sendResponse({ error: `Error scrolling to element: ${error.message}` });
+      }
+      return false;
+    } else if (request.action === 'resolveFrameHop') {
+      // Which frame the selector ends up in; errors are left for the action itself
+      const resolved = resolvePiercingSelector(request.selector);
+      sendResponse(resolved.frameHop || { local: true });
+      return false;
+    } else if (request.action === 'chrome_element_resolver_ping') {
+      sendResponse({ status: 'pong' });
+      return false;
+    }
+  });
+}
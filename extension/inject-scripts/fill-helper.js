@@ -8,17 +8,31 @@ if (window.__FILL_HELPER_INITIALIZED__) {
 
   /**
    * Fill an input element with the specified value
-   * @param {string} selector - CSS selector for the element to fill
+   * @param {Object} target - Element to fill: { selector?, ref? }
    * @param {string} value - Value to fill into the element
+   * @param {Object} options - { mode: 'replace' | 'append', format: 'text' |
+   *   'html' | 'markdown' }; format only applies to rich-text editors
    * @returns {Promise<Object>} - Result of the fill operation
    */
-  async function fillElement(selector, value) {
+  async function fillElement(target, value, options = {}) {
     try {
       // Find the element
-      const element = document.querySelector(selector);
-      if (!element) {
+      const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+      if (error) {
+        return { error };
+      }
+
+      // contenteditable hosts and editor frameworks take text their own way
+      const editor = window.__CHROME_PILOT_ELEMENTS__.findEditor(element);
+      if (editor) {
+        const result = await fillEditor(editor, String(value ?? ''), options);
         return {
-          error: `Element with selector "${selector}" not found`,
+          ...result,
+          elementInfo: {
+            tagName: element.tagName,
+            ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
+            editor: editor.editor,
+          },
         };
       }
 
@@ -29,6 +43,7 @@ if (window.__FILL_HELPER_INITIALIZED__) {
         id: element.id,
         className: element.className,
         type: element.type || null,
+        ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
         isVisible: isElementVisible(element),
         rect: {
           x: rect.x,
@@ -45,7 +60,7 @@ if (window.__FILL_HELPER_INITIALIZED__) {
       // Check if element is visible
       if (!elementInfo.isVisible) {
         return {
-          error: `Element with selector "${selector}" is not visible`,
+          error: `Element with ${label} is not visible`,
           elementInfo,
         };
       }
@@ -67,12 +82,15 @@ if (window.__FILL_HELPER_INITIALIZED__) {
         'week',
         'color',
         'range',
+        'checkbox',
+        'radio',
+        'file', // Rejected below with a dedicated message
         'hidden', // Allow hidden inputs
       ];
 
       if (!validTags.includes(element.tagName)) {
         return {
-          error: `Element with selector "${selector}" is not a fillable element (must be INPUT, TEXTAREA, or SELECT)`,
+          error: `Element with ${label} is not a fillable element (must be INPUT, TEXTAREA, or SELECT)`,
           elementInfo,
         };
       }
@@ -84,7 +102,7 @@ if (window.__FILL_HELPER_INITIALIZED__) {
         element.type !== null
       ) {
         return {
-          error: `Input element with selector "${selector}" has type "${element.type}" which is not fillable`,
+          error: `Input element with ${label} has type "${element.type}" which is not fillable`,
           elementInfo,
         };
       }
@@ -102,10 +120,10 @@ if (window.__FILL_HELPER_INITIALIZED__) {
       } else if (element.type === 'checkbox' || element.type === 'radio') {
         fillResult = await fillCheckboxRadio(element, value);
       } else if (element.type === 'file') {
-        fillResult = { error: 'File input filling not supported through content scripts' };
+        fillResult = { error: 'File inputs cannot be filled with text; use upload_file' };
       } else {
         // For input and textarea elements
-        fillResult = await fillTextElement(element, value);
+        fillResult = await fillTextElement(element, value, options.mode);
       }
 
       if (fillResult.error) {
@@ -212,8 +230,9 @@ if (window.__FILL_HELPER_INITIALIZED__) {
    * Fill text-based elements (input, textarea)
    * @param {HTMLElement} element - The input/textarea element
    * @param {string} value - Value to fill
+   * @param {string} mode - 'replace' (default) or 'append' to the current value
    */
-  async function fillTextElement(element, value) {
+  async function fillTextElement(element, value, mode = 'replace') {
     try {
       // Focus the element (unless it's hidden)
       if (element.type !== 'hidden') {
@@ -223,8 +242,11 @@ if (window.__FILL_HELPER_INITIALIZED__) {
         element.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
       }
 
+      const initial = mode === 'append' ? element.value : '';
+      value = initial + value;
+
       // Clear the current value using multiple strategies
-      if (element.value && element.value.length > 0) {
+      if (!initial && element.value && element.value.length > 0) {
         // Strategy 1: Select all and delete
         element.select();
         
@@ -242,10 +264,10 @@ if (window.__FILL_HELPER_INITIALIZED__) {
       }
 
       // Set the new value - character by character for better framework compatibility
-      element.value = '';
+      element.value = initial;
       
       // Type value character by character for React/Vue/Angular compatibility
-      for (let i = 0; i < value.length; i++) {
+      for (let i = initial.length; i < value.length; i++) {
         const char = value[i];
         element.value = value.substring(0, i + 1);
         
@@ -284,14 +306,23 @@ if (window.__FILL_HELPER_INITIALIZED__) {
 
   /**
    * Clear an element's value
-   * @param {string} selector - CSS selector for the element to clear
+   * @param {Object} target - Element to clear: { selector?, ref? }
    */
-  async function clearElement(selector) {
+  async function clearElement(target) {
     try {
-      const element = document.querySelector(selector);
-      if (!element) {
+      const { element, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+      if (error) {
+        return { error };
+      }
+
+      const editor = window.__CHROME_PILOT_ELEMENTS__.findEditor(element);
+      if (editor) {
+        const result = await fillEditor(editor, '');
         return {
-          error: `Element with selector "${selector}" not found`,
+          ...result,
+          message: 'Element cleared successfully',
+          selector: target.selector,
+          ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
         };
       }
 
@@ -327,7 +358,8 @@ if (window.__FILL_HELPER_INITIALIZED__) {
       return {
         success: true,
         message: 'Element cleared successfully',
-        selector,
+        selector: target.selector,
+        ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
       };
     } catch (error) {
       return {
@@ -336,6 +368,431 @@ if (window.__FILL_HELPER_INITIALIZED__) {
     }
   }
 
+  function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Inline Markdown: code spans, links, bold and italic. Underscores only
+   * emphasise at word boundaries, so identifiers like my_var stay intact.
+   * @param {string} text - One line of Markdown
+   * @returns {string} - HTML
+   */
+  function markdownInline(text) {
+    const codeSpans = [];
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (_match, code) => {
+      codeSpans.push(`<code>${code}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+    html = html
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|\W)__(\S(?:.*?\S)?)__(?=\W|$)/g, '$1<strong>$2</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>')
+      .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, '$1<em>$2</em>')
+      .replace(/~~(.+?)~~/g, '<s>$1</s>');
+    return html.replace(/\u0000(\d+)\u0000/g, (_match, index) => codeSpans[index]);
+  }
+
+  /**
+   * Convert the common subset of Markdown to HTML for pasting into rich-text
+   * editors: headings, paragraphs, lists, quotes, fenced code and inline
+   * formatting
+   * @param {string} markdown
+   * @returns {string} - HTML
+   */
+  function markdownToHtml(markdown) {
+    const blocks = [];
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push(`<p>${paragraph.map(markdownInline).join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+    const flushList = () => {
+      if (list) {
+        blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${markdownInline(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let match;
+      if (line.startsWith('```')) {
+        flushParagraph();
+        flushList();
+        const code = [];
+        while (++i < lines.length && !lines[i].startsWith('```')) {
+          code.push(lines[i]);
+        }
+        blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+        flushParagraph();
+        flushList();
+        blocks.push(`<h${match[1].length}>${markdownInline(match[2])}</h${match[1].length}>`);
+      } else if ((match = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/))) {
+        flushParagraph();
+        const tag = /\d/.test(match[1]) ? 'ol' : 'ul';
+        if (list && list.tag !== tag) {
+          flushList();
+        }
+        list ??= { tag, items: [] };
+        list.items.push(match[2]);
+      } else if ((match = line.match(/^>\s?(.*)$/))) {
+        flushParagraph();
+        flushList();
+        blocks.push(`<blockquote>${markdownInline(match[1])}</blockquote>`);
+      } else if (line.trim() === '') {
+        flushParagraph();
+        flushList();
+      } else {
+        flushList();
+        paragraph.push(line);
+      }
+    }
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+  }
+
+  /**
+   * Press select-all the way the platform's editors expect it
+   * @param {Element} element - The focused editor input
+   */
+  function pressSelectAll(element) {
+    const mac = /Mac/.test(navigator.platform);
+    const init = {
+      key: 'a',
+      code: 'KeyA',
+      keyCode: 65,
+      which: 65,
+      ctrlKey: !mac,
+      metaKey: mac,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+    };
+    const keydown = new KeyboardEvent('keydown', init);
+    element.dispatchEvent(keydown);
+    if (!keydown.defaultPrevented) {
+      document.execCommand('selectAll');
+    }
+    element.dispatchEvent(new KeyboardEvent('keyup', init));
+  }
+
+  /**
+   * Write into a contenteditable host or editor framework. Text goes in
+   * through execCommand('insertText'), which fires the same beforeinput and
+   * input events as typing, so editors that keep their own document model
+   * (ProseMirror, Slate, Lexical, ...) apply it. HTML and Markdown are
+   * pasted, so editors convert them into their own formatting.
+   * @param {Object} editor - From findEditor: { element, editor, code }
+   * @param {string} value - Text, HTML or Markdown
+   * @param {Object} options - { mode: 'replace' | 'append', format }
+   * @returns {Promise<Object>} - { success, message, editor, text } or { error }
+   */
+  async function fillEditor(editor, value, { mode = 'replace', format = 'text' } = {}) {
+    const { element } = editor;
+    element.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    element.focus();
+    const active = element.getRootNode().activeElement;
+    if (active !== element && !element.contains(active)) {
+      return { error: `The ${editor.editor} editor cannot be focused` };
+    }
+
+    if (editor.code) {
+      // The hidden textarea only holds the current line; the editor's own
+      // select-all covers the document, and an arrow key collapses it to the end
+      pressSelectAll(element);
+      if (mode === 'append') {
+        const arrow = { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39, bubbles: true, cancelable: true, composed: true };
+        element.dispatchEvent(new KeyboardEvent('keydown', arrow));
+        element.dispatchEvent(new KeyboardEvent('keyup', arrow));
+      }
+    } else {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      if (mode === 'append') {
+        range.collapse(false);
+      }
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    if (value === '') {
+      // Appending nothing leaves the editor as it is
+      if (mode === 'replace') {
+        document.execCommand('delete');
+      }
+    } else if (format !== 'text' && !editor.code) {
+      const html = format === 'markdown' ? markdownToHtml(value) : value;
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/html', html);
+      const plainText = format === 'markdown' ? value : new DOMParser().parseFromString(html, 'text/html').body.textContent;
+      clipboardData.setData('text/plain', plainText);
+      const paste = new ClipboardEvent('paste', { bubbles: true, cancelable: true, composed: true, clipboardData });
+      element.dispatchEvent(paste);
+      // Editors handle paste themselves; a plain contenteditable does not
+      if (!paste.defaultPrevented) {
+        document.execCommand('insertHTML', false, html);
+      }
+    } else if (!document.execCommand('insertText', false, value)) {
+      // Without execCommand, announce the edit and apply it unless cancelled
+      const beforeInput = new InputEvent('beforeinput', {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        inputType: 'insertText',
+        data: value,
+      });
+      if (element.dispatchEvent(beforeInput)) {
+        const selectionRange = window.getSelection().getRangeAt(0);
+        selectionRange.deleteContents();
+        selectionRange.insertNode(document.createTextNode(value));
+        selectionRange.collapse(false);
+        element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: value }));
+      }
+    }
+
+    // Frameworks re-render after the input event
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return {
+      success: true,
+      message: `Text written into ${editor.editor} editor`,
+      editor: editor.editor,
+      text: (editor.code ? element.closest('.monaco-editor, .CodeMirror') : element)?.innerText?.slice(0, 200),
+    };
+  }
+
+  /**
+   * The file input an upload target stands for: the input itself, or the
+   * input a <label> is for
+   * @param {Element} element
+   * @returns {HTMLInputElement|null}
+   */
+  function fileInputFor(element) {
+    const input = element.tagName === 'LABEL' ? element.control : element;
+    return input && input.tagName === 'INPUT' && input.type === 'file' ? input : null;
+  }
+
+  /**
+   * Whether a file passes an accept attribute such as ".pdf, image/*"
+   * @param {string} accept - The input's accept attribute
+   * @param {Object} file - { name, mimeType }
+   * @returns {boolean}
+   */
+  function matchesAccept(accept, file) {
+    const tokens = accept.split(',').map((token) => token.trim().toLowerCase()).filter(Boolean);
+    const name = file.name.toLowerCase();
+    const type = (file.mimeType || '').toLowerCase();
+    return tokens.length === 0 || tokens.some((token) => {
+      if (token.startsWith('.')) return name.endsWith(token);
+      if (token.endsWith('/*')) return type.startsWith(token.slice(0, -1));
+      return type === token;
+    });
+  }
+
+  /**
+   * Split files into those an accept attribute allows and those it rules out
+   * @param {string} accept
+   * @param {Array} files - [{ name, mimeType, ... }]
+   * @returns {Object} - { accepted, rejected }
+   */
+  function splitByAccept(accept, files) {
+    const accepted = files.filter((file) => matchesAccept(accept, file));
+    const rejected = files
+      .filter((file) => !accepted.includes(file))
+      .map((file) => ({ name: file.name, reason: `Not allowed by accept="${accept}"` }));
+    return { accepted, rejected };
+  }
+
+  /**
+   * Split files into those a file input takes and those its accept
+   * attribute rules out
+   * @param {HTMLInputElement} input
+   * @param {Array} files - [{ name, mimeType, ... }]
+   * @returns {Object} - { accepted, rejected } or { error }
+   */
+  function filterFilesForInput(input, files) {
+    if (input.disabled) {
+      return { error: 'The file input is disabled' };
+    }
+    const { accepted, rejected } = splitByAccept(input.accept, files);
+    if (accepted.length === 0) {
+      return { error: `None of the files is allowed by the input's accept="${input.accept}"` };
+    }
+    if (accepted.length > 1 && !input.multiple) {
+      return { error: `The input takes a single file (it has no multiple attribute) but ${accepted.length} were given` };
+    }
+    return { accepted, rejected };
+  }
+
+  /**
+   * Split files into those a drop zone takes and those it rules out. Drop
+   * zone widgets keep a hidden file input and check drops against its accept
+   * attribute; a zone without one takes anything.
+   * @param {Element} zone
+   * @param {Array} files - [{ name, mimeType, ... }]
+   * @returns {Object} - { accepted, rejected } or { error }
+   */
+  function filterFilesForDropZone(zone, files) {
+    const accept = zone.querySelector('input[type="file"]')?.accept || '';
+    const { accepted, rejected } = splitByAccept(accept, files);
+    if (accepted.length === 0) {
+      return { error: `None of the files is allowed by the drop zone's accept="${accept}"` };
+    }
+    return { accepted, rejected };
+  }
+
+  /**
+   * Build a File from base64 content
+   * @param {Object} file - { name, mimeType, content }
+   * @returns {File}
+   */
+  function toFile(file) {
+    const binary = atob(file.content);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new File([bytes], file.name, { type: file.mimeType, lastModified: Date.now() });
+  }
+
+  function describeFile(file) {
+    return { name: file.name, size: file.size, type: file.type };
+  }
+
+  /**
+   * Attach files to a file input, or drop them onto any other element the
+   * way dragging them in from the desktop would
+   * @param {Object} target - { selector?, ref? }
+   * @param {Array} files - [{ name, mimeType, content }] with base64 content
+   * @returns {Promise<Object>} - { success, method, files, rejected, ... }
+   */
+  async function uploadFiles(target, files) {
+    const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+    const elementInfo = {
+      tagName: element.tagName,
+      ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
+    };
+
+    const input = fileInputFor(element);
+    if (input) {
+      const filtered = filterFilesForInput(input, files);
+      if (filtered.error) {
+        return { error: filtered.error, elementInfo };
+      }
+      const dataTransfer = new DataTransfer();
+      filtered.accepted.forEach((file) => dataTransfer.items.add(toFile(file)));
+      input.files = dataTransfer.files;
+      input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      return {
+        success: true,
+        method: 'input',
+        files: Array.from(input.files).map(describeFile),
+        rejected: filtered.rejected,
+        elementInfo,
+      };
+    }
+
+    // Anything else is a drop zone
+    const filtered = filterFilesForDropZone(element, files);
+    if (filtered.error) {
+      return { error: filtered.error, elementInfo };
+    }
+    element.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    const rect = element.getBoundingClientRect();
+    const dataTransfer = new DataTransfer();
+    const dropped = filtered.accepted.map(toFile);
+    dropped.forEach((file) => dataTransfer.items.add(file));
+    const fire = (type) => {
+      const event = new DragEvent(type, {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        clientX: rect.left + rect.width / 2,
+        clientY: rect.top + rect.height / 2,
+        dataTransfer,
+      });
+      element.dispatchEvent(event);
+      return event;
+    };
+
+    fire('dragenter');
+    // Like the browser, only drop where dragover was cancelled
+    if (!fire('dragover').defaultPrevented) {
+      fire('dragleave');
+      return {
+        error: `Element with ${label} is not a file input and does not accept dropped files`,
+        elementInfo,
+      };
+    }
+    fire('drop');
+    return { success: true, method: 'drop', files: dropped.map(describeFile), rejected: filtered.rejected, elementInfo };
+  }
+
+  /**
+   * Get a file input ready for DOM.setFileInputFiles: filter the files and
+   * tag the input so the debugger can find its node
+   * @param {Object} target - { selector?, ref? }
+   * @param {Array} files - [{ name, mimeType }]
+   * @returns {Object} - { token, accepted (indexes into files), rejected,
+   *   elementInfo }, { dropZone, accepted, rejected, elementInfo } for other
+   *   elements, or { error }
+   */
+  function prepareFileInput(target, files) {
+    const { element, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+    const elementInfo = {
+      tagName: element.tagName,
+      ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
+    };
+
+    const input = fileInputFor(element);
+    const filtered = input ? filterFilesForInput(input, files) : filterFilesForDropZone(element, files);
+    if (filtered.error) {
+      return { error: filtered.error, elementInfo };
+    }
+    const split = {
+      accepted: filtered.accepted.map((file) => files.indexOf(file)),
+      rejected: filtered.rejected,
+      elementInfo,
+    };
+    if (!input) {
+      return { dropZone: true, ...split };
+    }
+    const token = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    input.setAttribute('data-chrome-pilot-upload', token);
+    return { token, ...split };
+  }
+
+  /**
+   * Describe the files of the input tagged by prepareFileInput and remove
+   * the tag
+   * @param {string} token
+   * @returns {Object} - { files }, or {} when the page replaced the input
+   */
+  function releaseFileInput(token) {
+    const [input] = window.__CHROME_PILOT_ELEMENTS__.queryAllDeep(document, `[data-chrome-pilot-upload="${token}"]`);
+    if (!input) {
+      return {};
+    }
+    input.removeAttribute('data-chrome-pilot-upload');
+    return { files: Array.from(input.files || []).map(describeFile) };
+  }
+
   /**
    * Check if an element is visible
    * @param {Element} element - The element to check
@@ -363,7 +820,10 @@ if (window.__FILL_HELPER_INITIALIZED__) {
   // Listen for messages from the extension background or content scripts
   chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     if (request.action === 'fillElement') {
-      fillElement(request.selector, request.value)
+      fillElement({ selector: request.selector, ref: request.ref }, request.value, {
+        mode: request.mode,
+        format: request.format,
+      })
         .then(sendResponse)
         .catch((error) => {
           sendResponse({
@@ -372,7 +832,7 @@ if (window.__FILL_HELPER_INITIALIZED__) {
         });
       return true; // Indicates async response
     } else if (request.action === 'clearElement') {
-      clearElement(request.selector)
+      clearElement({ selector: request.selector, ref: request.ref })
         .then(sendResponse)
         .catch((error) => {
           sendResponse({
@@ -380,6 +840,21 @@ if (window.__FILL_HELPER_INITIALIZED__) {
           });
         });
       return true; // Indicates async response
+    } else if (request.action === 'uploadFiles') {
+      uploadFiles({ selector: request.selector, ref: request.ref }, request.files)
+        .then(sendResponse)
+        .catch((error) => {
+          sendResponse({
+            error: `Unexpected error: ${error.message}`,
+          });
+        });
+      return true; // Indicates async response
+    } else if (request.action === 'prepareFileInput') {
+      sendResponse(prepareFileInput({ selector: request.selector, ref: request.ref }, request.files));
+      return false;
+    } else if (request.action === 'releaseFileInput') {
+      sendResponse(releaseFileInput(request.token));
+      return false;
     } else if (request.action === 'chrome_fill_helper_ping') {
       sendResponse({ status: 'pong' });
       return false;
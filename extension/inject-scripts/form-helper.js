@@ -0,0 +1,759 @@
+// Form helper - Chrome Pilot
+// Finds form controls by the names a person would use for them ("Email",
+// "Shipping ZIP", "I agree to the terms") from their labels, aria-label,
+// placeholder and name attribute, describes forms and their fields, and
+// submits forms and reports their validation messages. Filling itself is
+// left to the fill and select helpers.
+
+if (window.__FORM_HELPER_INITIALIZED__) {
+  // Already initialized, skip
+} else {
+  window.__FORM_HELPER_INITIALIZED__ = true;
+
+  const CONTROL_SELECTOR = [
+    'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"])',
+    'select',
+    'textarea',
+    '[contenteditable]:not([contenteditable="false"])',
+    '[role="textbox"]',
+    '[role="combobox"]',
+    '[role="listbox"]',
+    '[role="checkbox"]',
+    '[role="radio"]',
+    '[role="switch"]',
+  ].join(', ');
+
+  // Match quality, best first: the whole label, the whole of another name,
+  // every word of the request in a label, every word in another name, and
+  // last a label whose words are all in the request ("ZIP" for "Shipping ZIP")
+  const SCORE = {
+    exactLabel: 5,
+    exactName: 4,
+    labelWords: 3,
+    nameWords: 2,
+    labelWithin: 1,
+  };
+
+  // Longer values are cut short in get_forms
+  const MAX_VALUE_LENGTH = 200;
+
+  const TRUE_WORDS = ['true', 'yes', 'on', 'checked', '1'];
+  const FALSE_WORDS = ['false', 'no', 'off', 'unchecked', '0', ''];
+
+  /**
+   * Lower-case words only, so "E-mail address *" matches "e-mail address"
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalize(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Words of an id or name attribute: "shippingZip" and "shipping_zip" both
+   * read as "shipping zip"
+   * @param {string} value
+   * @returns {string}
+   */
+  function humanize(value) {
+    return normalize(String(value ?? '').replace(/([a-z])([A-Z])/g, '$1 $2'));
+  }
+
+  /**
+   * Text of a label without the controls inside it (a wrapping label would
+   * otherwise include every option of its select)
+   * @param {Element} label
+   * @returns {string}
+   */
+  function labelText(label) {
+    const copy = label.cloneNode(true);
+    copy.querySelectorAll('input, select, textarea, option').forEach((control) => control.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  function isCheckable(control) {
+    return (
+      (control.tagName === 'INPUT' && (control.type === 'checkbox' || control.type === 'radio')) ||
+      ['checkbox', 'radio', 'switch'].includes(control.getAttribute('role'))
+    );
+  }
+
+  function isChecked(control) {
+    return control.tagName === 'INPUT' ? control.checked : control.getAttribute('aria-checked') === 'true';
+  }
+
+  function isRadio(control) {
+    return control.type === 'radio' || control.getAttribute('role') === 'radio';
+  }
+
+  /**
+   * How a control is filled: 'check', 'select', 'file' or 'text'
+   * @param {Element} control
+   * @returns {string}
+   */
+  function controlKind(control) {
+    if (isCheckable(control)) {
+      return 'check';
+    }
+    if (control.tagName === 'SELECT' || ['listbox', 'combobox'].includes(control.getAttribute('role'))) {
+      return 'select';
+    }
+    if (control.tagName === 'INPUT' && control.type === 'file') {
+      return 'file';
+    }
+    return 'text';
+  }
+
+  /**
+   * Names a control goes by, each marked as label-like (what a person reads
+   * next to it) or not (placeholder, title, name and id attributes)
+   * @param {Element} control
+   * @param {boolean} grouped - One of a group of checkboxes or radios, whose
+   *   name attribute and legend name the group rather than the option
+   * @returns {Object[]} - [{ text, label, context? }]
+   */
+  function controlNames(control, grouped) {
+    const names = [];
+    const add = (text, label) => {
+      const normalized = normalize(text);
+      if (normalized) names.push({ text: normalized, label });
+    };
+
+    for (const label of control.labels || []) {
+      add(labelText(label), true);
+    }
+    const labelledBy = window.__CHROME_PILOT_ELEMENTS__.byIdList(control.getAttribute('aria-labelledby'));
+    if (labelledBy.length) {
+      add(labelledBy.map(labelText).join(' '), true);
+    }
+    add(control.getAttribute('aria-label'), true);
+    add(control.getAttribute('placeholder') || control.getAttribute('aria-placeholder'), false);
+    add(control.getAttribute('title'), false);
+    if (!grouped) {
+      add(humanize(control.getAttribute('name')), false);
+    }
+    add(humanize(control.id), false);
+
+    // A wrapper (role=combobox around its input) goes by the inner names too
+    for (const inner of control.querySelectorAll(CONTROL_SELECTOR)) {
+      names.push(...controlNames(inner, grouped).filter(({ context }) => !context));
+    }
+
+    // The section heading narrows a common label: "ZIP" under "Shipping
+    // address" also answers to "Shipping ZIP"
+    const legend = control.closest('fieldset')?.querySelector(':scope > legend');
+    if (legend && !grouped) {
+      for (const { text, label } of [...names]) {
+        if (label) names.push({ text: `${normalize(legend.textContent)} ${text}`, label: true, context: true });
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Visible label of the fieldset or ARIA group around a checkbox or radio
+   * @param {Element} option
+   * @returns {string}
+   */
+  function groupLabel(option) {
+    const group = option.closest('[role="radiogroup"], [role="group"], fieldset');
+    if (!group) {
+      return '';
+    }
+    const legend = group.tagName === 'FIELDSET' ? group.querySelector(':scope > legend') : null;
+    if (legend) {
+      return labelText(legend);
+    }
+    return group.getAttribute('aria-label') || window.__CHROME_PILOT_ELEMENTS__.byIdList(group.getAttribute('aria-labelledby')).map(labelText).join(' ');
+  }
+
+  /**
+   * Names of a group of checkboxes or radios: its fieldset legend or group
+   * label, and the name attribute they share
+   * @param {Element} option - Any checkbox or radio of the group
+   * @returns {Object[]} - [{ text, label }]
+   */
+  function groupNames(option) {
+    const names = [];
+    const label = groupLabel(option);
+    if (normalize(label)) {
+      names.push({ text: normalize(label), label: true });
+    }
+    if (option.getAttribute('name')) {
+      names.push({ text: humanize(option.getAttribute('name')), label: false });
+    }
+    return names;
+  }
+
+  /**
+   * Best score of a requested name against a list of names
+   * @param {string} wanted - Normalized requested name
+   * @param {Object[]} names - From controlNames or groupNames
+   * @returns {Object} - { score, name }
+   */
+  function scoreNames(wanted, names) {
+    const wantedWords = wanted.split(' ');
+    let best = { score: 0, name: null };
+    for (const { text, label, context } of names) {
+      const words = text.split(' ');
+      let score = 0;
+      if (text === wanted && !context) {
+        score = label ? SCORE.exactLabel : SCORE.exactName;
+      } else if (wantedWords.every((word) => words.includes(word))) {
+        score = label ? SCORE.labelWords : SCORE.nameWords;
+      } else if (label && !context && words.every((word) => wantedWords.includes(word))) {
+        score = SCORE.labelWithin;
+      }
+      if (score > best.score) {
+        best = { score, name: text };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether a person could see and use the control. Visually hidden
+   * checkboxes and radios count when their label is shown.
+   * @param {Element} control
+   * @returns {boolean}
+   */
+  function isUsable(control) {
+    const shown = (element) =>
+      element.getClientRects().length > 0 && window.getComputedStyle(element).visibility !== 'hidden';
+    if (shown(control)) {
+      return true;
+    }
+    return isCheckable(control) && Array.from(control.labels || []).some(shown);
+  }
+
+  /**
+   * The controls of a form or of the whole page, in document order. Nested
+   * matches (an input inside a role=combobox wrapper, the paragraphs of an
+   * editor) collapse into the outer control.
+   * @param {Node} scope
+   * @returns {Element[]}
+   */
+  function findControls(scope) {
+    const controls = window.__CHROME_PILOT_ELEMENTS__.queryAllDeep(scope, CONTROL_SELECTOR).filter(isUsable);
+    return controls.filter((control) => !controls.some((other) => other !== control && other.contains(control)));
+  }
+
+  /**
+   * The name a control is reported under
+   * @param {Element} control
+   * @returns {string}
+   */
+  function fieldLabel(control) {
+    const label = Array.from(control.labels || []).map(labelText).find(Boolean);
+    return (
+      label ||
+      window.__CHROME_PILOT_ELEMENTS__.byIdList(control.getAttribute('aria-labelledby')).map(labelText).join(' ') ||
+      control.getAttribute('aria-label') ||
+      control.getAttribute('placeholder') ||
+      control.getAttribute('name') ||
+      control.id ||
+      control.tagName.toLowerCase()
+    ).trim();
+  }
+
+  /**
+   * Read a value as checked / unchecked
+   * @param {*} value
+   * @returns {boolean|undefined} - undefined when it is neither
+   */
+  function toChecked(value) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const word = normalize(value);
+    if (TRUE_WORDS.includes(word)) return true;
+    if (FALSE_WORDS.includes(word)) return false;
+    return undefined;
+  }
+
+  /**
+   * Options of a radio or checkbox group picked by a value: their value
+   * attribute or label, exactly or else as every word
+   * @param {Element[]} options
+   * @param {*} value
+   * @returns {Element[]} - One entry per wanted value, null where nothing matched
+   */
+  function pickGroupOptions(options, value) {
+    return (Array.isArray(value) ? value : [value]).map((wanted) => {
+      const text = normalize(wanted);
+      const names = (option) => [normalize(option.value ?? option.getAttribute('value')), normalize(fieldLabel(option))];
+      const exact = options.filter((option) => names(option).includes(text));
+      if (exact.length) return exact[0];
+      const partial = options.filter((option) =>
+        names(option).some((name) => text && text.split(' ').every((word) => name.split(' ').includes(word)))
+      );
+      return partial.length === 1 ? partial[0] : null;
+    });
+  }
+
+  /**
+   * Checkboxes or radios that share a name attribute (or role=radio in one
+   * radiogroup) with control, in the same form
+   * @param {Element} control
+   * @param {Element[]} controls
+   * @returns {Element[]}
+   */
+  function groupOf(control, controls) {
+    const name = control.getAttribute('name');
+    if (control.tagName === 'INPUT' && name) {
+      return controls.filter(
+        (other) => other.tagName === 'INPUT' && other.type === control.type && other.getAttribute('name') === name && other.form === control.form
+      );
+    }
+    const group = control.closest('[role="radiogroup"], [role="group"]');
+    return group ? controls.filter((other) => isCheckable(other) && group.contains(other)) : [control];
+  }
+
+  /**
+   * Match each requested field name to a control and work out what to do to
+   * it. Fields come back in document order; a group of checkboxes or radios
+   * can turn into several of them.
+   * @param {Object} values - { "Field name": value }
+   * @param {Object} formTarget - { selector?, ref? } of the form to search in
+   * @returns {Object} - { fields: [{ name, label, kind, ref, value?, checked?, error? }],
+   *   unmatched: [name], ambiguous: [{ name, candidates }], form }
+   */
+  function resolveFormFields(values, formTarget) {
+    let scope = document;
+    if (formTarget.selector || formTarget.ref) {
+      const { element, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(formTarget);
+      if (error) {
+        return { error };
+      }
+      scope = element;
+    }
+    const { registerElement } = window.__CHROME_PILOT_ELEMENTS__;
+    const controls = findControls(scope);
+
+    // Something to match against: single controls, and whole groups of
+    // checkboxes and radios under their legend or shared name
+    const groups = new Map();
+    for (const control of controls.filter(isCheckable)) {
+      const group = groupOf(control, controls);
+      if (group.length > 1) groups.set(control, group);
+    }
+    const units = controls.map((control) => ({ controls: [control], names: controlNames(control, groups.has(control)) }));
+    for (const [control, group] of groups) {
+      if (group[0] === control) {
+        units.push({ controls: group, names: groupNames(control), group: true });
+      }
+    }
+
+    const fields = [];
+    const unmatched = [];
+    const ambiguous = [];
+    for (const [name, value] of Object.entries(values)) {
+      const wanted = normalize(name);
+      const scored = units
+        .map((unit) => ({ unit, ...scoreNames(wanted, unit.names) }))
+        .filter((entry) => entry.score > 0);
+      const top = Math.max(0, ...scored.map((entry) => entry.score));
+      const best = scored.filter((entry) => entry.score === top);
+      if (!best.length) {
+        unmatched.push(name);
+        continue;
+      }
+      if (best.length > 1) {
+        ambiguous.push({
+          name,
+          candidates: best.map(({ unit }) => ({
+            label: unit.group ? `${fieldLabel(unit.controls[0])} (group)` : fieldLabel(unit.controls[0]),
+            ref: registerElement(unit.controls[0]),
+          })),
+        });
+        continue;
+      }
+
+      const { unit } = best[0];
+      const first = unit.controls[0];
+      const field = { name, label: fieldLabel(first), control: first, order: controls.indexOf(first) };
+      if (unit.group) {
+        // Checkbox groups take a list and end up with exactly those checked
+        const picked = pickGroupOptions(unit.controls, value);
+        const missing = (Array.isArray(value) ? value : [value]).filter((_, index) => !picked[index]);
+        if (missing.length) {
+          fields.push({
+            ...field,
+            error: `No option ${missing.map((item) => JSON.stringify(item)).join(', ')} in ${JSON.stringify(name)}`,
+          });
+          continue;
+        }
+        if (isRadio(first)) {
+          const [option] = picked;
+          fields.push({ ...field, kind: 'check', ref: registerElement(option), checked: true, label: fieldLabel(option) });
+          continue;
+        }
+        for (const option of unit.controls) {
+          fields.push({
+            ...field,
+            kind: 'check',
+            ref: registerElement(option),
+            checked: picked.includes(option),
+            label: fieldLabel(option),
+            control: option,
+            order: controls.indexOf(option),
+          });
+        }
+        continue;
+      }
+
+      const kind = controlKind(first);
+      const ref = registerElement(first);
+      if (kind === 'file') {
+        fields.push({ ...field, ref, error: 'File inputs need the upload_file tool' });
+      } else if (kind === 'check') {
+        const checked = toChecked(value);
+        fields.push(
+          checked === undefined
+            ? { ...field, ref, error: `${JSON.stringify(name)} is a ${isRadio(first) ? 'radio button' : 'checkbox'}; give true or false` }
+            : { ...field, kind, ref, checked }
+        );
+      } else {
+        fields.push({ ...field, kind, ref, value: kind === 'select' ? value : String(value) });
+      }
+    }
+
+    fields.sort((a, b) => a.order - b.order);
+
+    // The form to submit: the one searched, or the one every field is in
+    const forms = new Set(fields.map(({ control }) => control.form || control.closest('form')));
+    const form = scope !== document ? scope : forms.size === 1 ? [...forms][0] : null;
+
+    return {
+      success: true,
+      fields: fields.map(({ control, order, ...field }) => field),
+      unmatched,
+      ambiguous,
+      form: form ? registerElement(form) : undefined,
+    };
+  }
+
+  /**
+   * Controls of a form that fail validation: the browser's constraint
+   * validation, or aria-invalid set by the page's own checks
+   * @param {Element} form
+   * @returns {Object[]} - [{ field, ref, message }]
+   */
+  function invalidControls(form) {
+    const { registerElement, queryAllDeep } = window.__CHROME_PILOT_ELEMENTS__;
+    const controls = new Set([...form.elements, ...queryAllDeep(form, '[aria-invalid="true"]')]);
+    const invalid = [];
+    for (const control of controls) {
+      if (failsConstraints(control)) {
+        invalid.push({ field: fieldLabel(control), ref: registerElement(control), message: control.validationMessage });
+      } else if (control.getAttribute('aria-invalid') === 'true') {
+        invalid.push({ field: fieldLabel(control), ref: registerElement(control), message: ariaErrorMessage(control) });
+      }
+    }
+    return invalid;
+  }
+
+  /**
+   * The error text a page points to from a field marked aria-invalid
+   * @param {Element} control
+   * @returns {string}
+   */
+  function ariaErrorMessage(control) {
+    const { byIdList } = window.__CHROME_PILOT_ELEMENTS__;
+    const errors = byIdList(control.getAttribute('aria-errormessage'));
+    const message = (errors.length ? errors : byIdList(control.getAttribute('aria-describedby')))
+      .map((element) => element.textContent.trim())
+      .filter(Boolean)
+      .join(' ');
+    return message || 'Marked invalid';
+  }
+
+  function failsConstraints(control) {
+    return control.willValidate && !control.validity.valid;
+  }
+
+  function formFor(target) {
+    const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+    const form = element.tagName === 'FORM' ? element : element.form || element.closest('form');
+    return form ? { form } : { error: `Element with ${label} is not in a <form>; click its submit button instead` };
+  }
+
+  /**
+   * Submit a form the way its submit button would, unless the browser's
+   * validation would block it
+   * @param {Object} target - { selector?, ref? } of the form or a control in it
+   * @returns {Object} - { success, submitted, invalid }
+   */
+  function submitForm(target) {
+    const { form, error } = formFor(target);
+    if (error) {
+      return { error };
+    }
+    if (!form.noValidate && Array.from(form.elements).some(failsConstraints)) {
+      return { success: true, submitted: false, invalid: invalidControls(form) };
+    }
+    // requestSubmit runs the page's submit handlers; passing the submit
+    // button sends its name and value like a click would
+    const submitter = Array.from(form.elements).find(
+      (control) => control.type === 'submit' && !control.disabled
+    );
+    form.requestSubmit(submitter);
+    return { success: true, submitted: true, invalid: [] };
+  }
+
+  /**
+   * What kind of field a control is, for get_forms: the input type, select,
+   * textarea, contenteditable or its ARIA role
+   * @param {Element} control
+   * @returns {string}
+   */
+  function fieldType(control) {
+    if (control.tagName === 'INPUT') {
+      return control.type;
+    }
+    if (control.tagName === 'SELECT') {
+      return control.multiple ? 'select-multiple' : 'select';
+    }
+    if (control.tagName === 'TEXTAREA') {
+      return 'textarea';
+    }
+    return control.getAttribute('role') || 'contenteditable';
+  }
+
+  function shorten(text) {
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : text;
+  }
+
+  /**
+   * A control's current value as a person would read it. Passwords only say
+   * whether they are filled.
+   * @param {Element} control
+   * @returns {Object} - { value?, filled? }
+   */
+  function currentValue(control) {
+    if (control.type === 'password') {
+      return { filled: control.value !== '' };
+    }
+    if (control.tagName === 'INPUT' && control.type === 'file') {
+      return { value: Array.from(control.files || []).map((file) => file.name) };
+    }
+    if (control.tagName === 'SELECT') {
+      const selected = Array.from(control.selectedOptions).map((option) => option.value);
+      return { value: control.multiple ? selected : selected[0] ?? '' };
+    }
+    if ('value' in control && typeof control.value === 'string') {
+      return { value: shorten(control.value) };
+    }
+    return { value: shorten((control.getAttribute('aria-valuetext') || control.textContent || '').trim()) };
+  }
+
+  /**
+   * The constraints a control declares, leaving out those it does not set
+   * @param {Element} control
+   * @returns {Object}
+   */
+  function constraintsOf(control) {
+    const constraints = {};
+    for (const attribute of ['pattern', 'min', 'max', 'step', 'minlength', 'maxlength', 'accept', 'autocomplete', 'inputmode']) {
+      if (control.hasAttribute(attribute)) {
+        constraints[attribute] = control.getAttribute(attribute);
+      }
+    }
+    if (control.multiple) {
+      constraints.multiple = true;
+    }
+    return constraints;
+  }
+
+  function validityOf(control) {
+    if (failsConstraints(control)) {
+      return { valid: false, validationMessage: control.validationMessage };
+    }
+    if (control.getAttribute('aria-invalid') === 'true') {
+      return { valid: false, validationMessage: ariaErrorMessage(control) };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Everything about one field get_forms reports
+   * @param {Element} control
+   * @returns {Object}
+   */
+  function describeField(control) {
+    const { registerElement } = window.__CHROME_PILOT_ELEMENTS__;
+    const field = {
+      label: fieldLabel(control),
+      ref: registerElement(control),
+      type: fieldType(control),
+      name: control.getAttribute('name') || undefined,
+      ...currentValue(control),
+      placeholder: control.getAttribute('placeholder') || undefined,
+      required: control.required || control.getAttribute('aria-required') === 'true' || undefined,
+      disabled: control.disabled || control.getAttribute('aria-disabled') === 'true' || undefined,
+      readOnly: control.readOnly || control.getAttribute('aria-readonly') === 'true' || undefined,
+      ...constraintsOf(control),
+      ...validityOf(control),
+    };
+    if (isCheckable(control)) {
+      field.checked = isChecked(control);
+      field.group = groupLabel(control) || undefined;
+    }
+    if (control.tagName === 'SELECT') {
+      field.options = Array.from(control.options).map((option) => ({
+        value: option.value,
+        label: option.label,
+        selected: option.selected || undefined,
+        disabled: option.disabled || undefined,
+      }));
+    } else if (control.getAttribute('role') === 'listbox') {
+      field.options = Array.from(control.querySelectorAll('[role="option"]')).map((option) => ({
+        value: option.getAttribute('data-value') ?? option.getAttribute('value') ?? undefined,
+        label: (option.getAttribute('aria-label') || option.textContent || '').trim(),
+        selected: option.getAttribute('aria-selected') === 'true' || undefined,
+        disabled: option.getAttribute('aria-disabled') === 'true' || undefined,
+      }));
+    }
+    return field;
+  }
+
+  /**
+   * A radio group as one field whose options are its radio buttons
+   * @param {Element[]} radios
+   * @returns {Object}
+   */
+  function describeRadioGroup(radios) {
+    const [first] = radios;
+    const checked = radios.find(isChecked);
+    return {
+      label: groupLabel(first) || first.getAttribute('name') || fieldLabel(first),
+      type: 'radio',
+      name: first.getAttribute('name') || undefined,
+      value: checked ? (checked.value ?? fieldLabel(checked)) : undefined,
+      required: radios.some((radio) => radio.required) || undefined,
+      ...validityOf(first),
+      options: radios.map((radio) => ({
+        value: radio.value ?? radio.getAttribute('value') ?? undefined,
+        label: fieldLabel(radio),
+        ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(radio),
+        checked: radio === checked || undefined,
+        disabled: radio.disabled || radio.getAttribute('aria-disabled') === 'true' || undefined,
+      })),
+    };
+  }
+
+  function buttonLabel(button) {
+    return (button.getAttribute('aria-label') || button.textContent || button.value || button.type).trim();
+  }
+
+  /**
+   * Every form in scope with its fields and submit buttons. Fields outside
+   * any form are reported together as one more entry with form: null.
+   * @param {Object} target - { selector?, ref? } to look inside (default: the page)
+   * @returns {Object} - { success, forms }
+   */
+  function getForms(target) {
+    let scope = document;
+    if (target.selector || target.ref) {
+      const { element, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+      if (error) {
+        return { error };
+      }
+      scope = element;
+    }
+    const { registerElement } = window.__CHROME_PILOT_ELEMENTS__;
+    const controls = findControls(scope);
+
+    // Controls by form, in document order; null collects those in no form
+    const byForm = new Map();
+    const forms = window.__CHROME_PILOT_ELEMENTS__.queryAllDeep(scope, 'form');
+    if (scope.tagName === 'FORM') {
+      forms.unshift(scope);
+    }
+    for (const form of forms) {
+      byForm.set(form, []);
+    }
+    for (const control of controls) {
+      const form = control.form || control.closest('form');
+      if (!byForm.has(form)) byForm.set(form, []);
+      byForm.get(form).push(control);
+    }
+
+    const result = [];
+    for (const [form, members] of byForm) {
+      const fields = [];
+      const seen = new Set();
+      for (const control of members) {
+        if (seen.has(control)) continue;
+        const group = isRadio(control) ? groupOf(control, members) : [control];
+        group.forEach((member) => seen.add(member));
+        fields.push(group.length > 1 ? describeRadioGroup(group) : describeField(control));
+      }
+
+      const submitButtons = form
+        ? Array.from(form.elements)
+            .filter((element) => element.type === 'submit' || element.type === 'image')
+            .map((button) => ({
+              label: buttonLabel(button),
+              ref: registerElement(button),
+              disabled: button.disabled || undefined,
+            }))
+        : [];
+      if (!fields.length && !submitButtons.length) continue;
+
+      result.push({
+        form: form
+          ? {
+              ref: registerElement(form),
+              name: form.getAttribute('aria-label') || form.getAttribute('name') || form.id || undefined,
+              action: form.getAttribute('action') ? form.action : undefined,
+              method: form.method,
+              noValidate: form.noValidate || undefined,
+            }
+          : null,
+        valid: fields.every((field) => field.valid),
+        fields,
+        submitButtons,
+      });
+    }
+    return { success: true, forms: result };
+  }
+
+  chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'resolveFormFields') {
+      try {
+        sendResponse(resolveFormFields(request.values || {}, { selector: request.selector, ref: request.ref }));
+      } catch (error) {
+        sendResponse({ error: `Unexpected error: ${error.message}` });
+      }
+      return false;
+    } else if (request.action === 'submitForm') {
+      try {
+        sendResponse(submitForm({ selector: request.selector, ref: request.ref }));
+      } catch (error) {
+        sendResponse({ error: `Unexpected error: ${error.message}` });
+      }
+      return false;
+    } else if (request.action === 'getForms') {
+      try {
+        sendResponse(getForms({ selector: request.selector, ref: request.ref }));
+      } catch (error) {
+        sendResponse({ error: `Unexpected error: ${error.message}` });
+      }
+      return false;
+    } else if (request.action === 'collectValidation') {
+      const { form, error } = formFor({ selector: request.selector, ref: request.ref });
+      sendResponse(error ? { error } : { success: true, invalid: invalidControls(form) });
+      return false;
+    } else if (request.action === 'chrome_form_helper_ping') {
+      sendResponse({ status: 'pong' });
+      return false;
+    }
+  });
+}
@@ -70,17 +70,33 @@
   }
 
   /**
-   * Generates a stable CSS selector for a given element.
+   * Generates a stable CSS selector for a given element. Elements inside a
+   * shadow root get a ">>>" selector through their host.
    * @param {Element} el The element.
    * @returns {string} A CSS selector.
    */
   function generateSelector(el) {
     if (!(el instanceof Element)) return '';
 
+    const root = el.getRootNode();
+    if (root instanceof ShadowRoot) {
+      return `${generateSelector(root.host)} >>> ${generateLocalSelector(el, root)}`;
+    }
+    return generateLocalSelector(el, document);
+  }
+
+  /**
+   * Generates a selector that is unique within the element's own document or
+   * shadow root.
+   * @param {Element} el The element.
+   * @param {Document|ShadowRoot} root The tree it lives in.
+   * @returns {string} A CSS selector.
+   */
+  function generateLocalSelector(el, root) {
     // Try ID first if it's unique
     if (el.id) {
       const idSelector = `#${CSS.escape(el.id)}`;
-      if (document.querySelectorAll(idSelector).length === 1) return idSelector;
+      if (root.querySelectorAll(idSelector).length === 1) return idSelector;
     }
 
     // Try data attributes commonly used for testing
@@ -88,7 +104,7 @@
       const attrValue = el.getAttribute(attr);
       if (attrValue) {
         const attrSelector = `[${attr}="${CSS.escape(attrValue)}"]`;
-        if (document.querySelectorAll(attrSelector).length === 1) return attrSelector;
+        if (root.querySelectorAll(attrSelector).length === 1) return attrSelector;
       }
     }
 
@@ -97,7 +113,7 @@
       const classes = el.className.split(' ').filter(c => c && !c.startsWith('_')); // Filter out dynamic classes
       if (classes.length > 0) {
         const classSelector = `${el.tagName.toLowerCase()}.${CSS.escape(classes[0])}`;
-        if (document.querySelectorAll(classSelector).length <= 3) { // Allow some duplicates
+        if (root.querySelectorAll(classSelector).length <= 3) { // Allow some duplicates
           return classSelector;
         }
       }
@@ -121,21 +137,35 @@
       path = path ? `${selector} > ${path}` : selector;
       current = parent;
     }
+    if (root instanceof ShadowRoot) {
+      // The path stops at the top of the shadow tree
+      return path;
+    }
     return path ? `body > ${path}` : 'body';
   }
 
+  /**
+   * Joined text of the elements an element's aria-labelledby lists.
+   * @param {Element} el The element.
+   * @returns {string}
+   */
+  function labelledByText(el) {
+    return window.__CHROME_PILOT_ELEMENTS__
+      .byIdList(el.getAttribute('aria-labelledby'), el.getRootNode())
+      .map((label) => label.textContent?.trim())
+      .filter(Boolean)
+      .join(' ');
+  }
+
   /**
    * Finds the accessible name for an element (label, aria-label, etc.).
    * @param {Element} el The element.
    * @returns {string} The accessible name.
    */
   function getAccessibleName(el) {
-    // aria-labelledby reference
-    const labelledby = el.getAttribute('aria-labelledby');
-    if (labelledby) {
-      const labelElement = document.getElementById(labelledby);
-      if (labelElement) return labelElement.textContent?.trim() || '';
-    }
+    // aria-labelledby references, looked up in the element's own tree
+    const labelledBy = labelledByText(el);
+    if (labelledBy) return labelledBy;
 
     // Direct aria-label
     const ariaLabel = el.getAttribute('aria-label');
@@ -208,6 +238,7 @@
     
     const info = {
       type,
+      ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(el),
       selector: generateSelector(el),
       text: accessibleName || el.textContent?.trim() || '',
       isInteractive: isInteractiveOverride !== null ? isInteractiveOverride : isActuallyInteractive,
@@ -217,6 +248,9 @@
       className: el.className || '',
     };
 
+    const root = el.getRootNode();
+    if (root instanceof ShadowRoot) info.shadowHost = generateSelector(root.host);
+
     // Add element-specific properties
     if (el.href) info.href = el.href;
     if (el.type) info.inputType = el.type;
@@ -256,7 +290,7 @@
       .join(', ');
     if (!selectorsToFind) return [];
 
-    const targetElements = Array.from(document.querySelectorAll(selectorsToFind));
+    const targetElements = window.__CHROME_PILOT_ELEMENTS__.queryAllDeep(document, selectorsToFind);
     const uniqueElements = new Set(targetElements);
     const results = [];
 
@@ -362,8 +396,8 @@
     const { selector, textQuery, includeCoordinates = true, types } = options;
 
     if (selector) {
-      // Direct selector-based search
-      const foundEls = Array.from(document.querySelectorAll(selector));
+      // Direct selector-based search, including open shadow roots
+      const foundEls = window.__CHROME_PILOT_ELEMENTS__.queryAllDeep(document, selector);
       return foundEls
         .filter(el => isElementVisible(el))
         .map((el) =>
@@ -380,17 +414,458 @@
     }
   }
 
+  // Annotated screenshots: the numbering of the latest snapshot is handed to
+  // the element resolver so click { mark } can find the element again
+  const MAX_MARKS = 200;
+  const MARKS_OVERLAY_ID = 'chrome-pilot-marks';
+  const MARK_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#9a6324', '#800000'];
+
+  /**
+   * Best-effort ARIA role: the explicit role attribute, else the implicit one.
+   * @param {Element} el The element.
+   * @param {string} type The ELEMENT_CONFIG type it matched.
+   * @returns {string}
+   */
+  function getRole(el, type) {
+    const explicitRole = el.getAttribute('role');
+    if (explicitRole) return explicitRole;
+
+    if (el.tagName === 'INPUT') {
+      const inputRoles = { search: 'searchbox', range: 'slider', number: 'spinbutton' };
+      if (type === 'input') return inputRoles[el.type] || 'textbox';
+    }
+    if (el.tagName === 'SELECT') {
+      return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+    }
+
+    const implicitRoles = {
+      button: 'button',
+      link: 'link',
+      checkbox: 'checkbox',
+      radio: 'radio',
+      textarea: 'textbox',
+    };
+    return implicitRoles[type] || 'generic';
+  }
+
+  /**
+   * Whether the element is inside the viewport and not covered at its center.
+   * @param {Element} el The element.
+   * @param {DOMRect} rect Its bounding rect.
+   * @returns {boolean}
+   */
+  function isInViewportAndUnobscured(el, rect) {
+    if (rect.width === 0 || rect.height === 0) return false;
+    if (rect.bottom <= 0 || rect.right <= 0 || rect.top >= window.innerHeight || rect.left >= window.innerWidth) {
+      return false;
+    }
+
+    const x = Math.min(Math.max(rect.left + rect.width / 2, 0), window.innerWidth - 1);
+    const y = Math.min(Math.max(rect.top + rect.height / 2, 0), window.innerHeight - 1);
+    const topElement = document.elementFromPoint(x, y);
+    return !!topElement && (el === topElement || el.contains(topElement) || topElement.contains(el));
+  }
+
+  /**
+   * Remove the marks overlay, if any. The marks themselves stay resolvable.
+   */
+  function removeAnnotations() {
+    const overlay = document.getElementById(MARKS_OVERLAY_ID);
+    if (overlay) overlay.remove();
+    return { success: true, removed: !!overlay };
+  }
+
+  /**
+   * Number every visible interactive element in the viewport, draw a box and
+   * label for each, and remember the numbering for click { mark }.
+   * @returns {Object} snapshotId and a legend of { mark, ref, selector, role, name, rect }
+   */
+  function annotateElements() {
+    removeAnnotations();
+
+    const overlay = document.createElement('div');
+    overlay.id = MARKS_OVERLAY_ID;
+    overlay.style.cssText =
+      'position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;';
+
+    const marked = new Map();
+    const legend = [];
+
+    for (const el of new Set(window.__CHROME_PILOT_ELEMENTS__.queryAllDeep(document, ANY_INTERACTIVE_SELECTOR))) {
+      if (legend.length >= MAX_MARKS) break;
+      if (!isElementVisible(el) || !isElementInteractive(el)) continue;
+
+      const rect = el.getBoundingClientRect();
+      if (!isInViewportAndUnobscured(el, rect)) continue;
+
+      let elementType = 'interactive';
+      for (const [type, typeSelector] of Object.entries(ELEMENT_CONFIG)) {
+        if (el.matches(typeSelector)) {
+          elementType = type;
+          break;
+        }
+      }
+
+      const mark = legend.length + 1;
+      const color = MARK_COLORS[mark % MARK_COLORS.length];
+
+      const box = document.createElement('div');
+      box.style.cssText =
+        `position: fixed; left: ${rect.left}px; top: ${rect.top}px; ` +
+        `width: ${rect.width}px; height: ${rect.height}px; ` +
+        `border: 2px solid ${color}; box-sizing: border-box;`;
+
+      const label = document.createElement('span');
+      label.textContent = String(mark);
+      label.style.cssText =
+        `position: absolute; left: -2px; top: ${rect.top >= 16 ? '-16px' : '-2px'}; ` +
+        `background: ${color}; color: #fff; font: bold 11px/14px monospace; padding: 0 3px;`;
+
+      box.appendChild(label);
+      overlay.appendChild(box);
+
+      marked.set(mark, el);
+      legend.push({
+        mark,
+        ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(el),
+        selector: generateSelector(el),
+        role: getRole(el, elementType),
+        name: getAccessibleName(el).replace(/\s+/g, ' ').substring(0, 100),
+        rect: {
+          x: Math.round(rect.x),
+          y: Math.round(rect.y),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+        },
+      });
+    }
+
+    document.documentElement.appendChild(overlay);
+
+    window.__CHROME_PILOT_ELEMENTS__.setMarks(marked);
+    return { success: true, snapshotId: Date.now().toString(36), legend };
+  }
+
+  // Accessibility snapshot: a compact indented outline of roles, names and
+  // states, similar to what a screen reader would announce
+  const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'META', 'LINK', 'HEAD']);
+
+  const TAG_ROLES = {
+    A: (el) => (el.hasAttribute('href') ? 'link' : null),
+    ARTICLE: () => 'article',
+    ASIDE: () => 'complementary',
+    BUTTON: () => 'button',
+    DIALOG: () => 'dialog',
+    DETAILS: () => 'group',
+    FIELDSET: () => 'group',
+    FIGURE: () => 'figure',
+    FOOTER: (el) => (el.closest('article, aside, main, nav, section') ? null : 'contentinfo'),
+    FORM: () => 'form',
+    H1: () => 'heading',
+    H2: () => 'heading',
+    H3: () => 'heading',
+    H4: () => 'heading',
+    H5: () => 'heading',
+    H6: () => 'heading',
+    HEADER: (el) => (el.closest('article, aside, main, nav, section') ? null : 'banner'),
+    HR: () => 'separator',
+    IFRAME: () => 'iframe',
+    IMG: (el) => (el.getAttribute('alt') === '' ? null : 'img'),
+    INPUT: (el) => {
+      const inputRoles = {
+        button: 'button',
+        submit: 'button',
+        reset: 'button',
+        image: 'button',
+        checkbox: 'checkbox',
+        radio: 'radio',
+        range: 'slider',
+        number: 'spinbutton',
+        search: 'searchbox',
+        hidden: null,
+      };
+      return el.type in inputRoles ? inputRoles[el.type] : 'textbox';
+    },
+    LI: () => 'listitem',
+    MAIN: () => 'main',
+    NAV: () => 'navigation',
+    OL: () => 'list',
+    OPTION: () => 'option',
+    PROGRESS: () => 'progressbar',
+    SECTION: (el) => (el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null),
+    SELECT: (el) => (el.multiple || el.size > 1 ? 'listbox' : 'combobox'),
+    SUMMARY: () => 'button',
+    TABLE: () => 'table',
+    TD: () => 'cell',
+    TEXTAREA: () => 'textbox',
+    TH: () => 'columnheader',
+    TR: () => 'row',
+    UL: () => 'list',
+  };
+
+  // Roles whose name comes from their text, so their subtree is not listed
+  const NAME_FROM_CONTENT_ROLES = new Set([
+    'button', 'link', 'heading', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+    'option', 'treeitem', 'checkbox', 'radio', 'switch', 'cell', 'columnheader', 'rowheader',
+  ]);
+
+  // Form controls, named by their label
+  const LABELLED_ROLES = new Set([
+    'textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'switch', 'slider', 'spinbutton',
+  ]);
+
+  /**
+   * Role of an element in the snapshot, or null when it only groups children.
+   * @param {Element} el The element.
+   * @returns {string|null}
+   */
+  function getSnapshotRole(el) {
+    const explicitRole = el.getAttribute('role');
+    if (explicitRole && explicitRole !== 'presentation' && explicitRole !== 'none') {
+      return explicitRole.split(' ')[0];
+    }
+    if (explicitRole) return null;
+
+    const implicitRole = TAG_ROLES[el.tagName];
+    return implicitRole ? implicitRole(el) : null;
+  }
+
+  /**
+   * Accessible name for the snapshot: full computation for controls and
+   * content-named roles, explicit labelling only for containers.
+   * @param {Element} el The element.
+   * @param {string} role Its snapshot role.
+   * @returns {string}
+   */
+  function getSnapshotName(el, role) {
+    let name;
+    if (NAME_FROM_CONTENT_ROLES.has(role) || LABELLED_ROLES.has(role)) {
+      name = getAccessibleName(el);
+      // Placeholder and value are reported separately for text fields
+      if ((role === 'textbox' || role === 'searchbox') && name === el.value) name = el.getAttribute('placeholder') || '';
+    } else if (role === 'img') {
+      name = el.getAttribute('aria-label') || el.getAttribute('alt') || el.getAttribute('title') || '';
+    } else {
+      name =
+        labelledByText(el) ||
+        el.getAttribute('aria-label') ||
+        (role === 'iframe' ? el.getAttribute('title') : '') ||
+        '';
+    }
+    return (name || '').replace(/\s+/g, ' ').trim().substring(0, 120);
+  }
+
+  /**
+   * States and value of a node as "[key=value]" / "[flag]" annotations.
+   * @param {Element} el The element.
+   * @param {string} role Its snapshot role.
+   * @returns {string[]}
+   */
+  function getSnapshotStates(el, role) {
+    const states = [];
+
+    if (role === 'heading') {
+      const level = el.getAttribute('aria-level') || el.tagName.match(/^H(\d)$/)?.[1];
+      if (level) states.push(`level=${level}`);
+    }
+
+    const ariaChecked = el.getAttribute('aria-checked');
+    if (ariaChecked !== null) {
+      states.push(ariaChecked === 'mixed' ? 'checked=mixed' : ariaChecked === 'true' ? 'checked' : 'unchecked');
+    } else if (el.type === 'checkbox' || el.type === 'radio') {
+      states.push(el.indeterminate ? 'checked=mixed' : el.checked ? 'checked' : 'unchecked');
+    }
+
+    const expanded = el.getAttribute('aria-expanded');
+    if (expanded !== null) states.push(expanded === 'true' ? 'expanded' : 'collapsed');
+    if (el.tagName === 'DETAILS') states.push(el.open ? 'expanded' : 'collapsed');
+
+    const pressed = el.getAttribute('aria-pressed');
+    if (pressed === 'true' || pressed === 'mixed') states.push(pressed === 'true' ? 'pressed' : 'pressed=mixed');
+
+    if (el.getAttribute('aria-selected') === 'true' || (el.tagName === 'OPTION' && el.selected)) {
+      states.push('selected');
+    }
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') states.push('disabled');
+    if (el.required || el.getAttribute('aria-required') === 'true') states.push('required');
+    if (el.readOnly && LABELLED_ROLES.has(role)) states.push('readonly');
+    if (el.getAttribute('aria-invalid') === 'true') states.push('invalid');
+    if (document.activeElement === el) states.push('focused');
+
+    let value = null;
+    if (el.tagName === 'SELECT') {
+      value = Array.from(el.selectedOptions).map((option) => option.text.trim()).join(', ');
+    } else if (el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && !['checkbox', 'radio'].includes(el.type))) {
+      value = el.type === 'password' ? (el.value ? '••••' : '') : el.value;
+    } else if (el.hasAttribute('aria-valuenow')) {
+      value = el.getAttribute('aria-valuetext') || el.getAttribute('aria-valuenow');
+    } else if (el.isContentEditable && el === el.closest('[contenteditable]')) {
+      value = el.innerText;
+    }
+    if (value) {
+      states.push(`value=${JSON.stringify(value.replace(/\s+/g, ' ').substring(0, 120))}`);
+    }
+
+    return states;
+  }
+
+  /**
+   * Whether a node is hidden from assistive technology.
+   * @param {Element} el The element.
+   * @returns {boolean}
+   */
+  function isHiddenFromSnapshot(el) {
+    if (SKIPPED_TAGS.has(el.tagName) || el.id === MARKS_OVERLAY_ID) return true;
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    if (el.tagName === 'INPUT' && el.type === 'hidden') return true;
+
+    const style = window.getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  }
+
+  /**
+   * Build the indented snapshot of a subtree.
+   * @param {Object} options - { root, maxDepth, maxNodes }
+   * @returns {Object} snapshot text plus node count and whether it was truncated
+   */
+  function buildAccessibilitySnapshot({ root, maxDepth = 25, maxNodes = 500 }) {
+    const lines = [];
+    let truncated = false;
+
+    function addLine(depth, text) {
+      if (lines.length >= maxNodes) {
+        truncated = true;
+        return false;
+      }
+      lines.push(`${'  '.repeat(depth)}- ${text}`);
+      return true;
+    }
+
+    // Children in rendering order: a shadow host shows its shadow tree, whose
+    // slots show the light children assigned to them (or their fallback);
+    // unassigned light children are not rendered at all
+    function visitChildren(node, depth) {
+      let children = node.childNodes;
+      if (node.shadowRoot) {
+        children = node.shadowRoot.childNodes;
+      } else if (node.tagName === 'SLOT') {
+        children = node.assignedNodes({ flatten: true });
+      }
+      for (const child of children) {
+        if (truncated) return;
+        visit(child, depth);
+      }
+    }
+
+    function visit(node, depth) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.replace(/\s+/g, ' ').trim();
+        if (text) addLine(depth, `text ${JSON.stringify(text.substring(0, 200))}`);
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || isHiddenFromSnapshot(node)) return;
+
+      const role = getSnapshotRole(node);
+      if (!role) {
+        // Generic containers are flattened into their parent
+        visitChildren(node, depth);
+        return;
+      }
+
+      const name = getSnapshotName(node, role);
+      let line = name ? `${role} ${JSON.stringify(name)}` : role;
+      const states = getSnapshotStates(node, role);
+      if (states.length > 0) line += ` [${states.join('] [')}]`;
+      if (node.matches(ANY_INTERACTIVE_SELECTOR) || node.isContentEditable) {
+        line += ` [ref=${window.__CHROME_PILOT_ELEMENTS__.registerElement(node)}]`;
+      }
+
+      if (!addLine(depth, line)) return;
+
+      const isLeaf = NAME_FROM_CONTENT_ROLES.has(role) && !node.querySelector(ANY_INTERACTIVE_SELECTOR);
+      if (isLeaf || (LABELLED_ROLES.has(role) && node.tagName !== 'SELECT')) return;
+
+      if (depth + 1 >= maxDepth) {
+        if (node.children.length > 0) addLine(depth + 1, '…');
+        return;
+      }
+      visitChildren(node, depth + 1);
+    }
+
+    visitChildren(root, 0);
+    if (truncated) {
+      lines.push(`- … (stopped after ${maxNodes} nodes)`);
+    }
+
+    return { snapshot: lines.join('\n'), nodeCount: Math.min(lines.length, maxNodes), truncated };
+  }
+
+  /**
+   * Accessibility snapshot of the page or of the subtree at selector / ref.
+   * @param {Object} options - { selector?, ref?, maxDepth?, maxNodes? }
+   */
+  function getAccessibilitySnapshot(options = {}) {
+    let root = document.body || document.documentElement;
+    if (options.selector || options.ref) {
+      const resolved = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(options);
+      if (resolved.error) return { error: resolved.error };
+      root = resolved.element;
+    }
+
+    // Include the scope element itself, not just its children
+    const scope = root === document.body ? root : { childNodes: [root] };
+    return {
+      success: true,
+      url: window.location.href,
+      title: document.title,
+      ...buildAccessibilitySnapshot({ ...options, root: scope }),
+    };
+  }
+
+  /**
+   * Frames embedded in this document, so the background can prefix selectors
+   * of elements found inside them with "iframe-selector >>> ".
+   * @returns {Array} { frameId, selector } for each loaded child frame
+   */
+  function describeChildFrames() {
+    return window.__CHROME_PILOT_ELEMENTS__
+      .queryAllDeep(document, 'iframe, frame')
+      .map((frame) => ({ frameId: chrome.runtime.getFrameId(frame), selector: generateSelector(frame) }))
+      .filter((frame) => frame.frameId >= 0);
+  }
+
   // Chrome Message Listener
   chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     if (request.action === 'getInteractiveElements') {
       try {
         const elements = findElements(request);
-        sendResponse({ success: true, elements });
+        sendResponse({ success: true, elements, childFrames: describeChildFrames() });
       } catch (error) {
         console.error('Error in getInteractiveElements:', error);
         sendResponse({ success: false, error: error.message });
       }
       return true; // Async response
+    } else if (request.action === 'annotateElements') {
+      try {
+        const result = annotateElements();
+        // Let the overlay paint before the background captures the tab
+        setTimeout(() => sendResponse(result), 50);
+        return true;
+      } catch (error) {
+        removeAnnotations();
+        sendResponse({ error: `Failed to annotate elements: ${error.message}` });
+        return false;
+      }
+    } else if (request.action === 'getAccessibilitySnapshot') {
+      try {
+        sendResponse(getAccessibilitySnapshot(request));
+      } catch (error) {
+        sendResponse({ error: `Failed to build accessibility snapshot: ${error.message}` });
+      }
+      return false;
+    } else if (request.action === 'removeAnnotations') {
+      sendResponse(removeAnnotations());
+      return false;
     } else if (request.action === 'chrome_interactive_elements_ping') {
       sendResponse({ status: 'pong' });
       return false;
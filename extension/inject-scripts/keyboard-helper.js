@@ -1,328 +1,591 @@
 // Keyboard simulation helper - Chrome Pilot
-// This script provides keyboard simulation capabilities
+// Types text and presses keys one key at a time with a US keyboard layout:
+// every stroke gets the real key, code and keyCode, shifted characters hold
+// Shift, and the key's default action (inserting text at the caret,
+// deleting, moving the caret, submitting, focusing the next field) only
+// happens when the page does not cancel keydown.
 
 if (window.__KEYBOARD_HELPER_INITIALIZED__) {
   // Already initialized, skip
 } else {
   window.__KEYBOARD_HELPER_INITIALIZED__ = true;
 
+  // [code, character, shifted character, keyCode] for each printable key
+  const PRINTABLE_KEYS = [
+    ['Backquote', '`', '~', 192],
+    ['Digit1', '1', '!', 49],
+    ['Digit2', '2', '@', 50],
+    ['Digit3', '3', '#', 51],
+    ['Digit4', '4', '$', 52],
+    ['Digit5', '5', '%', 53],
+    ['Digit6', '6', '^', 54],
+    ['Digit7', '7', '&', 55],
+    ['Digit8', '8', '*', 56],
+    ['Digit9', '9', '(', 57],
+    ['Digit0', '0', ')', 48],
+    ['Minus', '-', '_', 189],
+    ['Equal', '=', '+', 187],
+    ['BracketLeft', '[', '{', 219],
+    ['BracketRight', ']', '}', 221],
+    ['Backslash', '\\', '|', 220],
+    ['Semicolon', ';', ':', 186],
+    ['Quote', "'", '"', 222],
+    ['Comma', ',', '<', 188],
+    ['Period', '.', '>', 190],
+    ['Slash', '/', '?', 191],
+    ['Space', ' ', ' ', 32],
+    ...'abcdefghijklmnopqrstuvwxyz'.split('').map((letter, index) => [
+      `Key${letter.toUpperCase()}`,
+      letter,
+      letter.toUpperCase(),
+      65 + index,
+    ]),
+  ];
+
+  // Keys that do not type a character, by their KeyboardEvent.key name
+  const NAMED_KEYS = {
+    Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+    Tab: { code: 'Tab', keyCode: 9 },
+    Backspace: { code: 'Backspace', keyCode: 8 },
+    Delete: { code: 'Delete', keyCode: 46 },
+    Escape: { code: 'Escape', keyCode: 27 },
+    Insert: { code: 'Insert', keyCode: 45 },
+    Home: { code: 'Home', keyCode: 36 },
+    End: { code: 'End', keyCode: 35 },
+    PageUp: { code: 'PageUp', keyCode: 33 },
+    PageDown: { code: 'PageDown', keyCode: 34 },
+    ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+    ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+    ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+    ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+    CapsLock: { code: 'CapsLock', keyCode: 20 },
+    ContextMenu: { code: 'ContextMenu', keyCode: 93 },
+    Shift: { code: 'ShiftLeft', keyCode: 16, location: 1 },
+    Control: { code: 'ControlLeft', keyCode: 17, location: 1 },
+    Alt: { code: 'AltLeft', keyCode: 18, location: 1 },
+    Meta: { code: 'MetaLeft', keyCode: 91, location: 1 },
+  };
+  for (let n = 1; n <= 12; n++) {
+    NAMED_KEYS[`F${n}`] = { code: `F${n}`, keyCode: 111 + n };
+  }
+
+  const KEY_ALIASES = {
+    Ctrl: 'Control',
+    Cmd: 'Meta',
+    Command: 'Meta',
+    Win: 'Meta',
+    Option: 'Alt',
+    Esc: 'Escape',
+    Return: 'Enter',
+    Del: 'Delete',
+    Up: 'ArrowUp',
+    Down: 'ArrowDown',
+    Left: 'ArrowLeft',
+    Right: 'ArrowRight',
+    Space: ' ',
+  };
+
+  const MODIFIERS = ['Alt', 'Control', 'Meta', 'Shift'];
+
+  // Look-up by typed character: { code, keyCode, shift }
+  const CHARACTER_KEYS = new Map();
+  for (const [code, character, shifted, keyCode] of PRINTABLE_KEYS) {
+    CHARACTER_KEYS.set(character, { code, keyCode, shift: false });
+    if (shifted !== character) {
+      CHARACTER_KEYS.set(shifted, { code, keyCode, shift: true });
+    }
+  }
+
   /**
-   * Simulate keyboard input
-   * @param {Object} params - Keyboard simulation parameters
-   * @param {string} params.text - Text to type
-   * @param {Array} params.keys - Array of keys to press (e.g., ['Enter', 'Tab'])
-   * @param {string} params.selector - Optional selector to focus before typing
-   * @param {number} params.delay - Delay between keystrokes in ms
-   * @returns {Promise<Object>} - Result of keyboard simulation
+   * The stroke that types a character. Characters outside the US layout
+   * (accents, emoji) have no physical key and are typed as text only.
+   * @param {string} character
+   * @returns {Object} - { key, code, keyCode, text, modifiers }
    */
-  async function simulateKeyboard(params) {
-    try {
-      const { text, keys, selector, delay = 50 } = params;
-      let targetElement = null;
-
-      // Focus on target element if selector provided
-      if (selector) {
-        targetElement = document.querySelector(selector);
-        if (!targetElement) {
-          return {
-            error: `Element with selector "${selector}" not found`,
-          };
-        }
-        targetElement.focus();
-      } else {
-        targetElement = document.activeElement || document.body;
-      }
+  function strokeForCharacter(character) {
+    if (character === '\n' || character === '\r') {
+      return { key: 'Enter', ...NAMED_KEYS.Enter, modifiers: [] };
+    }
+    if (character === '\t') {
+      return { key: 'Tab', ...NAMED_KEYS.Tab, modifiers: [] };
+    }
+    const physical = CHARACTER_KEYS.get(character);
+    if (!physical) {
+      return { key: character, code: '', keyCode: 0, text: character, modifiers: [] };
+    }
+    return {
+      key: character,
+      code: physical.code,
+      keyCode: physical.keyCode,
+      text: character,
+      modifiers: physical.shift ? ['Shift'] : [],
+    };
+  }
 
-      const results = [];
-
-      // Type text if provided
-      if (text) {
-        for (let i = 0; i < text.length; i++) {
-          const char = text[i];
-          
-          // Dispatch keydown, keypress, and keyup events
-          const keydownEvent = new KeyboardEvent('keydown', {
-            key: char,
-            code: `Key${char.toUpperCase()}`,
-            bubbles: true,
-            cancelable: true,
-          });
-          
-          const keypressEvent = new KeyboardEvent('keypress', {
-            key: char,
-            code: `Key${char.toUpperCase()}`,
-            bubbles: true,
-            cancelable: true,
-          });
-          
-          const keyupEvent = new KeyboardEvent('keyup', {
-            key: char,
-            code: `Key${char.toUpperCase()}`,
-            bubbles: true,
-            cancelable: true,
-          });
+  /**
+   * Parse a key or combination such as "Enter", "Control+a", "Shift+Tab"
+   * or "Control++"
+   * @param {string} combo
+   * @returns {Object} - Stroke { key, code, keyCode, text?, location?,
+   *   modifiers } or { error }
+   */
+  function strokeForCombo(combo) {
+    const parts = combo.length > 1 && combo.endsWith('++')
+      ? [...combo.slice(0, -2).split('+'), '+']
+      : combo === '+' ? ['+'] : combo.split('+');
+    const names = parts.map((part) => KEY_ALIASES[part] || part);
+    const modifiers = names.slice(0, -1);
+    const name = names[names.length - 1];
 
-          targetElement.dispatchEvent(keydownEvent);
-          targetElement.dispatchEvent(keypressEvent);
-          
-          // Update input value for input elements
-          if (targetElement.tagName === 'INPUT' || targetElement.tagName === 'TEXTAREA') {
-            targetElement.value += char;
-            targetElement.dispatchEvent(new Event('input', { bubbles: true }));
-          }
-          
-          targetElement.dispatchEvent(keyupEvent);
-          
-          // Add delay between keystrokes
-          if (delay > 0) {
-            await new Promise(resolve => setTimeout(resolve, delay));
-          }
-        }
-        
-        results.push({ action: 'type', text, success: true });
-      }
+    const unknownModifier = modifiers.find((modifier) => !MODIFIERS.includes(modifier));
+    if (unknownModifier) {
+      return { error: `"${unknownModifier}" in "${combo}" is not a modifier; use ${MODIFIERS.join(', ')}` };
+    }
 
-      // Press special keys if provided
-      if (keys && Array.isArray(keys)) {
-        for (const key of keys) {
-          await pressKey(targetElement, key);
-          results.push({ action: 'keypress', key, success: true });
-          
-          if (delay > 0) {
-            await new Promise(resolve => setTimeout(resolve, delay));
-          }
-        }
-      }
+    if (NAMED_KEYS[name]) {
+      const { text, ...key } = NAMED_KEYS[name];
+      // Modifier shortcuts (Control+Enter) do not type
+      const typed = modifiers.some((modifier) => modifier !== 'Shift') ? undefined : text;
+      return { key: name, ...key, text: typed, modifiers };
+    }
+    if ([...name].length !== 1) {
+      return { error: `Unknown key "${name}" in "${combo}"` };
+    }
 
-      // Trigger change event for form elements
-      if (targetElement.tagName === 'INPUT' || targetElement.tagName === 'TEXTAREA' || targetElement.tagName === 'SELECT') {
-        targetElement.dispatchEvent(new Event('change', { bubbles: true }));
+    // "Shift+a" types "A", like the real keyboard
+    const shifted = modifiers.includes('Shift') && /^[a-z]$/.test(name) ? name.toUpperCase() : name;
+    const stroke = strokeForCharacter(shifted);
+    const allModifiers = [...new Set([...modifiers, ...stroke.modifiers])];
+    const typed = allModifiers.some((modifier) => modifier !== 'Shift') ? undefined : stroke.text;
+    return { ...stroke, text: typed, modifiers: allModifiers };
+  }
+
+  /**
+   * Strokes for text or for a list of key combinations
+   * @param {Object} request - { text } or { keys }
+   * @returns {Object} - { strokes } or { error }
+   */
+  function describeStrokes(request) {
+    if (typeof request.text === 'string') {
+      return { strokes: [...request.text].map(strokeForCharacter) };
+    }
+    const strokes = [];
+    for (const combo of request.keys || []) {
+      const stroke = strokeForCombo(combo);
+      if (stroke.error) {
+        return { error: stroke.error };
       }
+      strokes.push(stroke);
+    }
+    return { strokes };
+  }
 
-      return {
-        success: true,
-        message: 'Keyboard simulation completed successfully',
-        results: results,
-        targetElement: {
-          tagName: targetElement.tagName,
-          id: targetElement.id,
-          className: targetElement.className,
-        }
-      };
-    } catch (error) {
-      return {
-        error: `Error simulating keyboard: ${error.message}`,
-      };
+  /**
+   * The focused element, looking inside shadow roots
+   * @returns {Element}
+   */
+  function deepActiveElement() {
+    let active = document.activeElement || document.body;
+    while (active?.shadowRoot?.activeElement) {
+      active = active.shadowRoot.activeElement;
     }
+    return active || document.body;
+  }
+
+  const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel', 'password', 'email', 'number'];
+
+  function isTextField(element) {
+    return element.tagName === 'TEXTAREA'
+      || (element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type));
+  }
+
+  // email and number inputs are text fields without a caret API
+  function hasCaret(element) {
+    return isTextField(element) && typeof element.selectionStart === 'number';
+  }
+
+  function isEditable(element) {
+    return isTextField(element) || element.isContentEditable;
   }
 
   /**
-   * Press a specific key
-   * @param {Element} element - Target element
-   * @param {string} key - Key to press
+   * Focus the element keys go to and put the caret at the end, as clicking
+   * after the last character would
+   * @param {Object} target - { selector?, ref? }
+   * @returns {Object} - { element } or { error }
    */
-  async function pressKey(element, key) {
-    const keyCode = getKeyCode(key);
-    
-    const keydownEvent = new KeyboardEvent('keydown', {
-      key: key,
-      code: getKeyCode(key, 'code'),
-      keyCode: keyCode,
-      which: keyCode,
-      bubbles: true,
-      cancelable: true,
-    });
-    
-    const keyupEvent = new KeyboardEvent('keyup', {
-      key: key,
-      code: getKeyCode(key, 'code'),
-      keyCode: keyCode,
-      which: keyCode,
+  function focusTarget(target) {
+    if (!target.selector && !target.ref) {
+      return { element: deepActiveElement() };
+    }
+    const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+    const editor = window.__CHROME_PILOT_ELEMENTS__.findEditor(element);
+    const focusable = editor ? editor.element : element;
+    focusable.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    focusable.focus();
+    const active = deepActiveElement();
+    if (active !== focusable && !focusable.contains(active)) {
+      return { error: `Element with ${label} cannot be focused` };
+    }
+
+    if (hasCaret(active)) {
+      active.setSelectionRange(active.value.length, active.value.length);
+    } else if (active.isContentEditable) {
+      const range = document.createRange();
+      range.selectNodeContents(active);
+      range.collapse(false);
+      window.getSelection().removeAllRanges();
+      window.getSelection().addRange(range);
+    }
+    return { element: active };
+  }
+
+  /**
+   * Insert text at the caret, replacing the selection. execCommand fires
+   * beforeinput/input like typing does and keeps the undo stack; the manual
+   * path covers fields where it is unavailable.
+   * @param {Element} element
+   * @param {string} text
+   */
+  function insertAtCaret(element, text) {
+    if (document.execCommand('insertText', false, text)) {
+      return;
+    }
+    if (!hasCaret(element)) {
+      return;
+    }
+    const beforeInput = new InputEvent('beforeinput', {
       bubbles: true,
       cancelable: true,
+      composed: true,
+      inputType: 'insertText',
+      data: text,
     });
+    if (element.dispatchEvent(beforeInput)) {
+      element.setRangeText(text, element.selectionStart, element.selectionEnd, 'end');
+      element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'insertText', data: text }));
+    }
+  }
 
-    element.dispatchEvent(keydownEvent);
-    
-    // Handle special key behaviors
-    switch (key.toLowerCase()) {
-      case 'enter':
-        // Trigger form submission for form elements
-        const form = element.closest('form');
-        if (form) {
-          form.dispatchEvent(new Event('submit', { bubbles: true }));
-        }
-        break;
-      case 'tab':
-        // Move to next focusable element
-        const focusableElements = document.querySelectorAll(
-          'input, button, select, textarea, a[href], [tabindex]:not([tabindex="-1"])'
-        );
-        const currentIndex = Array.from(focusableElements).indexOf(element);
-        if (currentIndex >= 0 && currentIndex < focusableElements.length - 1) {
-          focusableElements[currentIndex + 1].focus();
-        }
-        break;
-      case 'escape':
-        // Blur current element
-        element.blur();
-        break;
-      case 'backspace':
-        // Remove last character for input elements
-        if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-          if (element.value.length > 0) {
-            element.value = element.value.slice(0, -1);
-            element.dispatchEvent(new Event('input', { bubbles: true }));
-          }
-        }
-        break;
+  /**
+   * Delete the selection, or one character before (backward) or after the
+   * caret
+   * @param {Element} element
+   * @param {boolean} backward
+   * @param {boolean} word - Delete a word (Control/Alt held), in
+   *   contenteditable only
+   */
+  function deleteAtCaret(element, backward, word) {
+    // Word deletion relies on Selection.modify, which does not reach inside fields
+    if (word && element.isContentEditable && window.getSelection().isCollapsed) {
+      window.getSelection().modify('extend', backward ? 'backward' : 'forward', 'word');
+    }
+    if (document.execCommand(backward ? 'delete' : 'forwardDelete')) {
+      return;
+    }
+    if (!hasCaret(element)) {
+      return;
+    }
+    let start = element.selectionStart;
+    let end = element.selectionEnd;
+    if (start === end) {
+      if (backward) {
+        start = Math.max(0, start - 1);
+      } else {
+        end = Math.min(element.value.length, end + 1);
+      }
+    }
+    const inputType = backward ? 'deleteContentBackward' : 'deleteContentForward';
+    const beforeInput = new InputEvent('beforeinput', { bubbles: true, cancelable: true, composed: true, inputType });
+    if (start !== end && element.dispatchEvent(beforeInput)) {
+      element.setRangeText('', start, end, 'end');
+      element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType }));
     }
-    
-    element.dispatchEvent(keyupEvent);
   }
 
   /**
-   * Get key code for a key name
-   * @param {string} key - Key name
-   * @param {string} type - Type of code to return ('keyCode' or 'code')
-   * @returns {string|number} - Key code
+   * Move the caret (or extend the selection with Shift) inside an input or
+   * textarea, whose caret window.getSelection() cannot move
+   * @param {HTMLInputElement|HTMLTextAreaElement} field
+   * @param {string} key - Arrow key, Home or End
+   * @param {boolean} extend - Shift held
    */
-  function getKeyCode(key, type = 'keyCode') {
-    const keyMap = {
-      'Enter': { keyCode: 13, code: 'Enter' },
-      'Tab': { keyCode: 9, code: 'Tab' },
-      'Escape': { keyCode: 27, code: 'Escape' },
-      'Backspace': { keyCode: 8, code: 'Backspace' },
-      'Delete': { keyCode: 46, code: 'Delete' },
-      'ArrowUp': { keyCode: 38, code: 'ArrowUp' },
-      'ArrowDown': { keyCode: 40, code: 'ArrowDown' },
-      'ArrowLeft': { keyCode: 37, code: 'ArrowLeft' },
-      'ArrowRight': { keyCode: 39, code: 'ArrowRight' },
-      'Space': { keyCode: 32, code: 'Space' },
-      'Home': { keyCode: 36, code: 'Home' },
-      'End': { keyCode: 35, code: 'End' },
-      'PageUp': { keyCode: 33, code: 'PageUp' },
-      'PageDown': { keyCode: 34, code: 'PageDown' },
-    };
+  function moveFieldCaret(field, key, extend) {
+    const value = field.value;
+    const forward = field.selectionDirection !== 'backward';
+    const anchor = forward ? field.selectionStart : field.selectionEnd;
+    let focus = forward ? field.selectionEnd : field.selectionStart;
+    const lineStart = value.lastIndexOf('\n', focus - 1) + 1;
+    const lineEndIndex = value.indexOf('\n', focus);
+    const lineEnd = lineEndIndex === -1 ? value.length : lineEndIndex;
+
+    if (!extend && field.selectionStart !== field.selectionEnd && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+      // An arrow collapses a selection to its edge
+      focus = key === 'ArrowLeft' ? field.selectionStart : field.selectionEnd;
+    } else if (key === 'ArrowLeft') {
+      focus = Math.max(0, focus - 1);
+    } else if (key === 'ArrowRight') {
+      focus = Math.min(value.length, focus + 1);
+    } else if (key === 'Home') {
+      focus = lineStart;
+    } else if (key === 'End') {
+      focus = lineEnd;
+    } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+      if (field.tagName !== 'TEXTAREA') {
+        return;
+      }
+      const column = focus - lineStart;
+      if (key === 'ArrowUp') {
+        if (lineStart === 0) {
+          focus = 0;
+        } else {
+          const previousStart = value.lastIndexOf('\n', lineStart - 2) + 1;
+          focus = Math.min(previousStart + column, lineStart - 1);
+        }
+      } else if (lineEnd === value.length) {
+        focus = value.length;
+      } else {
+        const nextEnd = value.indexOf('\n', lineEnd + 1);
+        focus = Math.min(lineEnd + 1 + column, nextEnd === -1 ? value.length : nextEnd);
+      }
+    }
 
-    const mapping = keyMap[key];
-    if (mapping) {
-      return mapping[type];
+    if (extend) {
+      field.setSelectionRange(Math.min(anchor, focus), Math.max(anchor, focus), focus < anchor ? 'backward' : 'forward');
+    } else {
+      field.setSelectionRange(focus, focus);
     }
+  }
 
-    // For single characters
-    if (key.length === 1) {
-      const charCode = key.toUpperCase().charCodeAt(0);
-      if (type === 'code') {
-        return `Key${key.toUpperCase()}`;
-      }
-      return charCode;
+  // Selection.modify() arguments for caret keys in contenteditable
+  const CARET_MOVES = {
+    ArrowLeft: ['backward', 'character'],
+    ArrowRight: ['forward', 'character'],
+    ArrowUp: ['backward', 'line'],
+    ArrowDown: ['forward', 'line'],
+    Home: ['backward', 'lineboundary'],
+    End: ['forward', 'lineboundary'],
+  };
+
+  function isTabbable(element) {
+    if (element.disabled || element.tabIndex < 0 || element.closest('[inert]')) {
+      return false;
     }
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && window.getComputedStyle(element).visibility !== 'hidden';
+  }
 
-    return type === 'code' ? key : 0;
+  /**
+   * Move focus to the next (or previous) tabbable element in document order
+   * @param {Element} element - Currently focused element
+   * @param {boolean} backward
+   */
+  function moveFocus(element, backward) {
+    const tabbable = window.__CHROME_PILOT_ELEMENTS__
+      .queryAllDeep(document, 'a[href], button, input, select, textarea, [tabindex], [contenteditable]:not([contenteditable="false"])')
+      .filter(isTabbable)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    const index = tabbable.indexOf(element);
+    const next = tabbable[backward ? index - 1 : index + 1] ?? tabbable[backward ? tabbable.length - 1 : 0];
+    next?.focus();
   }
 
   /**
-   * Simulate key combination (e.g., Ctrl+C, Alt+Tab)
-   * @param {Object} params - Key combination parameters
-   * @param {Array} params.keys - Array of keys in combination
-   * @param {string} params.selector - Optional selector to focus
-   * @returns {Promise<Object>} - Result of key combination
+   * What the browser does for a key the page did not cancel
+   * @param {Element} element - Focused element
+   * @param {Object} stroke
+   * @param {Object} held - { Alt, Control, Meta, Shift } booleans
    */
-  async function simulateKeyCombination(params) {
-    try {
-      const { keys, selector } = params;
-      let targetElement = document.activeElement || document.body;
-
-      if (selector) {
-        targetElement = document.querySelector(selector);
-        if (!targetElement) {
-          return {
-            error: `Element with selector "${selector}" not found`,
-          };
+  function defaultAction(element, stroke, held) {
+    const shortcut = held.Control || held.Meta;
+    const { key } = stroke;
+
+    if (shortcut && /^[azy]$/i.test(key)) {
+      if (key.toLowerCase() === 'a') {
+        if (isTextField(element)) {
+          element.select();
+        } else {
+          document.execCommand('selectAll');
         }
-        targetElement.focus();
+      } else if (isEditable(element)) {
+        const redo = key.toLowerCase() === 'y' || held.Shift;
+        document.execCommand(redo ? 'redo' : 'undo');
       }
+      return;
+    }
 
-      if (!keys || !Array.isArray(keys) || keys.length === 0) {
-        return {
-          error: 'Keys array is required and must not be empty',
-        };
+    if (key === 'Enter') {
+      if (element.tagName === 'TEXTAREA' || element.isContentEditable) {
+        document.execCommand(element.isContentEditable && !held.Shift ? 'insertParagraph' : 'insertLineBreak')
+          || insertAtCaret(element, '\n');
+      } else if (element.tagName === 'INPUT' && element.form) {
+        // Implicit submission: through the default button, or when the
+        // form has no button at all
+        const submitter = element.form.querySelector('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+        if (submitter) {
+          if (!submitter.disabled) {
+            submitter.click();
+          }
+        } else {
+          element.form.requestSubmit();
+        }
+      } else if (element.matches('a[href], button, [role="button"], [role="link"]')) {
+        element.click();
       }
-
-      // Determine modifier keys and main key
-      const modifiers = {
-        ctrlKey: keys.includes('Ctrl') || keys.includes('Control'),
-        altKey: keys.includes('Alt'),
-        shiftKey: keys.includes('Shift'),
-        metaKey: keys.includes('Meta') || keys.includes('Cmd'),
-      };
-
-      const mainKey = keys.find(key => 
-        !['Ctrl', 'Control', 'Alt', 'Shift', 'Meta', 'Cmd'].includes(key)
-      );
-
-      if (!mainKey) {
-        return {
-          error: 'A main key (non-modifier) is required',
-        };
+      return;
+    }
+    if (stroke.text !== undefined) {
+      if (isEditable(element)) {
+        insertAtCaret(element, stroke.text);
+      } else if (key === ' ') {
+        if (element.matches('button, input[type="checkbox"], input[type="radio"], input[type="button"], input[type="submit"], [role="button"], [role="checkbox"]')) {
+          element.click();
+        } else {
+          window.scrollBy(0, (held.Shift ? -1 : 1) * window.innerHeight * 0.875);
+        }
       }
+      return;
+    }
 
-      const keyCode = getKeyCode(mainKey);
-
-      // Dispatch keydown for all keys
-      for (const key of keys) {
-        const keydownEvent = new KeyboardEvent('keydown', {
-          key: key,
-          code: getKeyCode(key, 'code'),
-          keyCode: getKeyCode(key),
-          ...modifiers,
-          bubbles: true,
-          cancelable: true,
-        });
-        targetElement.dispatchEvent(keydownEvent);
+    if (key === 'Backspace' || key === 'Delete') {
+      if (isEditable(element)) {
+        deleteAtCaret(element, key === 'Backspace', held.Control || held.Alt);
       }
-
-      // Dispatch keyup for all keys (in reverse order)
-      for (let i = keys.length - 1; i >= 0; i--) {
-        const key = keys[i];
-        const keyupEvent = new KeyboardEvent('keyup', {
-          key: key,
-          code: getKeyCode(key, 'code'),
-          keyCode: getKeyCode(key),
-          ...modifiers,
-          bubbles: true,
-          cancelable: true,
-        });
-        targetElement.dispatchEvent(keyupEvent);
+    } else if (key === 'Tab') {
+      moveFocus(element, held.Shift);
+    } else if (CARET_MOVES[key]) {
+      if (hasCaret(element)) {
+        moveFieldCaret(element, key, held.Shift);
+      } else if (element.isContentEditable) {
+        const [direction, granularity] = CARET_MOVES[key];
+        const wordJump = shortcut && granularity === 'character';
+        window.getSelection().modify(held.Shift ? 'extend' : 'move', direction, wordJump ? 'word' : granularity);
+      } else if (!isTextField(element)) {
+        // Outside fields, caret keys scroll the page
+        const step = 40;
+        const scrolls = { ArrowUp: [0, -step], ArrowDown: [0, step], ArrowLeft: [-step, 0], ArrowRight: [step, 0] };
+        if (scrolls[key]) {
+          window.scrollBy(...scrolls[key]);
+        } else {
+          window.scrollTo(window.scrollX, key === 'Home' ? 0 : document.documentElement.scrollHeight);
+        }
+      }
+    } else if (key === 'PageUp' || key === 'PageDown') {
+      if (!isTextField(element)) {
+        window.scrollBy(0, (key === 'PageUp' ? -1 : 1) * window.innerHeight * 0.875);
       }
+    }
+  }
 
-      return {
-        success: true,
-        message: `Key combination ${keys.join('+')} simulated successfully`,
-        keys: keys,
-        modifiers: modifiers,
-      };
-    } catch (error) {
-      return {
-        error: `Error simulating key combination: ${error.message}`,
-      };
+  function keyboardEvent(type, stroke, held) {
+    return new KeyboardEvent(type, {
+      key: stroke.key,
+      code: stroke.code,
+      keyCode: stroke.keyCode,
+      which: stroke.keyCode,
+      charCode: type === 'keypress' ? stroke.text.charCodeAt(0) : 0,
+      location: stroke.location || 0,
+      altKey: held.Alt,
+      ctrlKey: held.Control,
+      metaKey: held.Meta,
+      shiftKey: held.Shift,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+    });
+  }
+
+  /**
+   * Press one stroke: modifier keydowns, the key's keydown / keypress /
+   * default action / keyup, then modifier keyups. Events go to whatever is
+   * focused at that moment, since keys like Tab move focus.
+   * @param {Object} stroke
+   * @returns {boolean} - Whether the page cancelled the key
+   */
+  function pressStroke(stroke) {
+    const held = { Alt: false, Control: false, Meta: false, Shift: false };
+    for (const modifier of stroke.modifiers) {
+      held[modifier] = true;
+      deepActiveElement().dispatchEvent(keyboardEvent('keydown', { key: modifier, ...NAMED_KEYS[modifier] }, held));
+    }
+
+    const element = deepActiveElement();
+    let cancelled = !element.dispatchEvent(keyboardEvent('keydown', stroke, held));
+    if (!cancelled && stroke.text !== undefined) {
+      cancelled = !element.dispatchEvent(keyboardEvent('keypress', stroke, held));
+    }
+    if (!cancelled) {
+      defaultAction(element, stroke, held);
+    }
+    deepActiveElement().dispatchEvent(keyboardEvent('keyup', stroke, held));
+
+    for (const modifier of [...stroke.modifiers].reverse()) {
+      held[modifier] = false;
+      deepActiveElement().dispatchEvent(keyboardEvent('keyup', { key: modifier, ...NAMED_KEYS[modifier] }, held));
     }
+    return cancelled;
+  }
+
+  /**
+   * Delay before the next key: delay ms, varied by up to jitter (0-1) of it
+   * either way
+   */
+  function keyDelay(delay, jitter) {
+    const ms = delay * (1 + (Math.random() * 2 - 1) * jitter);
+    return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+  }
+
+  /**
+   * Type text or press key combinations, one stroke at a time
+   * @param {Object} request - { text } or { keys }, plus selector?/ref? to
+   *   focus first, delay (ms between keys) and jitter (0-1)
+   * @returns {Promise<Object>} - { success, strokes, prevented, focused }
+   */
+  async function pressKeys(request) {
+    const { delay = 50, jitter = 0 } = request;
+    const described = describeStrokes(request);
+    if (described.error) {
+      return { error: described.error };
+    }
+    const focused = focusTarget(request);
+    if (focused.error) {
+      return { error: focused.error };
+    }
+
+    let prevented = 0;
+    for (let i = 0; i < described.strokes.length; i++) {
+      if (pressStroke(described.strokes[i])) {
+        prevented++;
+      }
+      if (delay > 0 && i < described.strokes.length - 1) {
+        await keyDelay(delay, jitter);
+      }
+    }
+
+    const active = deepActiveElement();
+    // Passwords are never echoed back, only whether something was typed
+    const isPassword = active.type === 'password';
+    return {
+      success: true,
+      strokes: described.strokes.length,
+      prevented,
+      focused: {
+        tagName: active.tagName,
+        id: active.id || undefined,
+        value: isTextField(active) && !isPassword ? active.value : undefined,
+        filled: isPassword ? active.value !== '' : undefined,
+      },
+    };
   }
 
   // Listen for messages from the extension
   chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
-    if (request.action === 'simulateKeyboard') {
-      simulateKeyboard(request)
-        .then(sendResponse)
-        .catch((error) => {
-          sendResponse({
-            error: `Unexpected error: ${error.message}`,
-          });
-        });
-      return true; // Indicates async response
-    } else if (request.action === 'simulateKeyCombination') {
-      simulateKeyCombination(request)
+    if (request.action === 'pressKeys') {
+      pressKeys(request)
         .then(sendResponse)
         .catch((error) => {
           sendResponse({
@@ -330,11 +593,15 @@ if (window.__KEYBOARD_HELPER_INITIALIZED__) {
           });
         });
       return true; // Indicates async response
+    } else if (request.action === 'describeKeys') {
+      // For the trusted backend, which presses the same strokes itself
+      const described = describeStrokes(request);
+      const focused = described.error ? described : focusTarget(request);
+      sendResponse(focused.error ? { error: focused.error } : described);
+      return false;
     } else if (request.action === 'chrome_keyboard_helper_ping') {
       sendResponse({ status: 'pong' });
       return false;
     }
   });
-
-  console.log('Keyboard helper script loaded');
-}
\ No newline at end of file
+}
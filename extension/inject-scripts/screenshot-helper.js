@@ -30,6 +30,7 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
         ) {
           fixed.push({
             element: htmlEl,
+            sticky: style.position === 'sticky',
             originalDisplay: htmlEl.style.display,
             originalVisibility: htmlEl.style.visibility,
           });
@@ -45,7 +46,12 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
   function hideFixedElements() {
     hiddenFixedElements = getFixedElements();
     hiddenFixedElements.forEach((item) => {
-      item.element.style.display = 'none';
+      // Sticky elements still take up space in the flow, so keep their box
+      if (item.sticky) {
+        item.element.style.visibility = 'hidden';
+      } else {
+        item.element.style.display = 'none';
+      }
     });
   }
 
@@ -55,6 +61,7 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
   function showFixedElements() {
     hiddenFixedElements.forEach((item) => {
       item.element.style.display = item.originalDisplay || '';
+      item.element.style.visibility = item.originalVisibility || '';
     });
     hiddenFixedElements = [];
   }
@@ -114,9 +121,9 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
    * @param {string} selector - CSS selector for the element
    */
   function getElementDetails(selector) {
-    const element = document.querySelector(selector);
-    if (!element) {
-      return { error: `Element with selector "${selector}" not found.` };
+    const { element, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget({ selector });
+    if (error) {
+      return { error };
     }
 
     // Scroll element into view for accurate positioning
@@ -205,13 +212,13 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
 
   /**
    * Highlight an element for screenshot purposes
-   * @param {string} selector - CSS selector for the element to highlight
+   * @param {Object} target - Element to highlight: { selector?, ref? }
    * @param {Object} options - Highlight options
    */
-  function highlightElement(selector, options = {}) {
-    const element = document.querySelector(selector);
-    if (!element) {
-      return { error: `Element with selector "${selector}" not found.` };
+  function highlightElement(target, options = {}) {
+    const { element, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
     }
 
     const { 
@@ -245,25 +252,29 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
     // Auto-remove highlight after duration
     if (duration > 0) {
       setTimeout(() => {
-        unhighlightElement(selector);
+        unhighlightElement(target);
       }, duration);
     }
 
     return { 
       success: true, 
-      selector,
+      selector: target.selector,
+      ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
       highlightApplied: true 
     };
   }
 
   /**
    * Remove highlight from an element
-   * @param {string} selector - CSS selector for the element to unhighlight
+   * @param {Object} target - Element to unhighlight: { selector?, ref? }
    */
-  function unhighlightElement(selector) {
-    const element = document.querySelector(selector);
-    if (!element || !window.__highlighted_elements__) {
-      return { error: `Element with selector "${selector}" not found or not highlighted.` };
+  function unhighlightElement(target) {
+    const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+    if (!window.__highlighted_elements__) {
+      return { error: `Element with ${label} is not highlighted.` };
     }
 
     const originalStyle = window.__highlighted_elements__.get(element);
@@ -279,7 +290,8 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
 
     return { 
       success: true, 
-      selector,
+      selector: target.selector,
+      ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
       highlightRemoved: true 
     };
   }
@@ -307,7 +319,7 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
   chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     try {
       switch (request.action) {
-        case 'chrome_screenshot_ping':
+        case 'chrome_screenshot_helper_ping':
           sendResponse({ status: 'pong' });
           return false;
 
@@ -319,12 +331,18 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
           }, 50);
           return true; // Async response
 
+        case 'hideFixedElements':
+          hideFixedElements();
+          sendResponse({ success: true, hidden: hiddenFixedElements.length });
+          return false;
+
         case 'getPageDetails':
           sendResponse(getPageDetails());
           return false;
 
         case 'getElementDetails':
-          getElementDetails(request.selector)
+          // Resolves immediately with { error } when the element is missing
+          Promise.resolve(getElementDetails(request.selector))
             .then(sendResponse)
             .catch((error) => {
               sendResponse({ error: error.message });
@@ -345,12 +363,15 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
           return false;
 
         case 'highlightElement':
-          const highlightResult = highlightElement(request.selector, request.options);
+          const highlightResult = highlightElement(
+            { selector: request.selector, ref: request.ref },
+            request.options,
+          );
           sendResponse(highlightResult);
           return false;
 
         case 'unhighlightElement':
-          const unhighlightResult = unhighlightElement(request.selector);
+          const unhighlightResult = unhighlightElement({ selector: request.selector, ref: request.ref });
           sendResponse(unhighlightResult);
           return false;
 
@@ -360,7 +381,7 @@ if (window.__SCREENSHOT_HELPER_INITIALIZED__) {
           return false;
 
         default:
-          sendResponse({ error: `Unknown action: ${request.action}` });
+          // Not ours - leave it for the other helper scripts
           return false;
       }
     } catch (error) {
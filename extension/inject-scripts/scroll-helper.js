@@ -0,0 +1,300 @@
+// Scroll helper - Chrome Pilot
+// Scrolls the page or a scrollable container by an amount or to one end,
+// scrolls elements into view, and keeps scrolling infinite feeds until an
+// element appears, enough items have loaded or no more content comes.
+
+if (window.__SCROLL_HELPER_INITIALIZED__) {
+  // Already initialized, skip
+} else {
+  window.__SCROLL_HELPER_INITIALIZED__ = true;
+
+  // Share of the visible height one scroll_until step moves, so every item
+  // passes through the viewport (lazy lists only render what is near it)
+  const STEP_FRACTION = 0.9;
+
+  // Pause between scroll_until steps that do not reach the end
+  const STEP_PAUSE_MS = 50;
+
+  // How often scroll_until looks for new content while waiting at the end
+  const LOAD_POLL_MS = 100;
+
+  function pageScroller() {
+    return document.scrollingElement || document.documentElement;
+  }
+
+  function isScrollable(element) {
+    const style = window.getComputedStyle(element);
+    const scrolls = (overflow) => /(auto|scroll|overlay)/.test(overflow);
+    return (
+      (scrolls(style.overflowY) && element.scrollHeight > element.clientHeight) ||
+      (scrolls(style.overflowX) && element.scrollWidth > element.clientWidth)
+    );
+  }
+
+  /**
+   * The element that scrolls for a target: the target itself when it
+   * scrolls, else its nearest scrollable ancestor (across shadow roots),
+   * else the page
+   * @param {Element} element
+   * @returns {Element}
+   */
+  function scrollerFor(element) {
+    for (let node = element; node; node = node.parentElement || node.getRootNode().host) {
+      if (node === document.body || node === document.documentElement) {
+        break;
+      }
+      if (isScrollable(node)) {
+        return node;
+      }
+    }
+    return pageScroller();
+  }
+
+  /**
+   * The container a request scrolls: the one its selector or ref names, or
+   * the page
+   * @param {Object} target - { selector?, ref? }
+   * @returns {Object} - { scroller, ref? } or { error }
+   */
+  function resolveScroller(target) {
+    if (!target.selector && !target.ref) {
+      return { scroller: pageScroller() };
+    }
+    const { element, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+    const scroller = scrollerFor(element);
+    return {
+      scroller,
+      ref: scroller === pageScroller() ? undefined : window.__CHROME_PILOT_ELEMENTS__.registerElement(scroller),
+    };
+  }
+
+  /**
+   * Where a container is scrolled to and whether it is at either end
+   * @param {Element} scroller
+   * @returns {Object}
+   */
+  function positionOf(scroller) {
+    const x = Math.round(scroller.scrollLeft);
+    const y = Math.round(scroller.scrollTop);
+    return {
+      x,
+      y,
+      scrollWidth: scroller.scrollWidth,
+      scrollHeight: scroller.scrollHeight,
+      clientWidth: scroller.clientWidth,
+      clientHeight: scroller.clientHeight,
+      atTop: y <= 0,
+      // Fractional zoom leaves the last pixel unreachable
+      atBottom: y + scroller.clientHeight >= scroller.scrollHeight - 1,
+    };
+  }
+
+  /**
+   * Scroll a container by an amount or to one end
+   * @param {Element} scroller
+   * @param {string} direction - up, down, left, right, top or bottom
+   * @param {number} amount - Pixels for up, down, left and right
+   */
+  function scrollBy(scroller, direction, amount) {
+    const offsets = {
+      up: { top: -amount },
+      down: { top: amount },
+      left: { left: -amount },
+      right: { left: amount },
+    };
+    if (direction === 'top') {
+      scroller.scrollTo({ top: 0, behavior: 'instant' });
+    } else if (direction === 'bottom') {
+      scroller.scrollTo({ top: scroller.scrollHeight, behavior: 'instant' });
+    } else if (offsets[direction]) {
+      scroller.scrollBy({ ...offsets[direction], behavior: 'instant' });
+    } else {
+      throw new Error(`Invalid scroll direction: ${direction}`);
+    }
+  }
+
+  /**
+   * Scroll an element into view, every scrollable ancestor included
+   * @param {Object} request - { selector?, ref?, block? }
+   * @returns {Object} - { success, ref, rect, position }
+   */
+  function scrollIntoView(request) {
+    const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(request);
+    if (error) {
+      return { error };
+    }
+    element.scrollIntoView({ behavior: 'instant', block: request.block || 'center', inline: 'nearest' });
+    const rect = element.getBoundingClientRect();
+    return {
+      success: true,
+      target: label,
+      ref: window.__CHROME_PILOT_ELEMENTS__.registerElement(element),
+      rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+      position: positionOf(pageScroller()),
+    };
+  }
+
+  /**
+   * Scroll the page or a container, or without a direction scroll the
+   * target into view
+   * @param {Object} request - { direction?, amount?, selector?, ref?, block? }
+   * @returns {Object} - { success, moved, position, container? }
+   */
+  function scroll(request) {
+    if (!request.direction) {
+      return scrollIntoView(request);
+    }
+    const { scroller, ref, error } = resolveScroller(request);
+    if (error) {
+      return { error };
+    }
+    const before = positionOf(scroller);
+    scrollBy(scroller, request.direction, request.amount ?? 500);
+    const position = positionOf(scroller);
+    return {
+      success: true,
+      container: ref,
+      moved: position.x !== before.x || position.y !== before.y,
+      position,
+    };
+  }
+
+  /**
+   * Keep scrolling a feed until the wanted element exists, count items match
+   * itemSelector, or the end is reached and nothing more loads within
+   * idleTimeout
+   * @param {Object} request - { selector?, ref?, untilSelector?, itemSelector?,
+   *   count?, direction?, maxScrolls?, idleTimeout?, timeout? }
+   * @returns {Promise<Object>} - { success, reason, reachedEnd, scrolls,
+   *   position, itemCount?, found?, ref? }
+   */
+  async function scrollUntil(request) {
+    const { scroller, ref, error } = resolveScroller(request);
+    if (error) {
+      return { error };
+    }
+    const { resolveTarget, queryAllDeep, registerElement } = window.__CHROME_PILOT_ELEMENTS__;
+    const {
+      untilSelector,
+      itemSelector,
+      count,
+      direction = 'down',
+      maxScrolls = 50,
+      idleTimeout = 2000,
+      timeout = 30000,
+    } = request;
+    const scope = scroller === pageScroller() ? document : scroller;
+    const deadline = Date.now() + timeout;
+    const countItems = () => (itemSelector ? queryAllDeep(scope, itemSelector).length : undefined);
+    const atEnd = () => (direction === 'up' ? positionOf(scroller).atTop : positionOf(scroller).atBottom);
+    const snapshot = () => ({ height: scroller.scrollHeight, items: countItems() });
+    // untilSelector may pierce shadow roots with ">>>"; not found just means
+    // keep scrolling
+    const findWanted = () => (untilSelector ? resolveTarget({ selector: untilSelector }).element || null : null);
+
+    // Surface selector syntax errors instead of scrolling them out
+    if (untilSelector) {
+      const probe = resolveTarget({ selector: untilSelector });
+      if (probe.error && /^Invalid selector|another frame/.test(probe.error)) {
+        return { error: probe.error };
+      }
+    }
+    try {
+      countItems();
+    } catch (error) {
+      return { error: `Invalid selector "${itemSelector}": ${error.message}` };
+    }
+
+    // Resolves true once the content grows, false after idleTimeout
+    const waitForMore = async (before) => {
+      const until = Math.min(Date.now() + idleTimeout, deadline);
+      while (Date.now() < until) {
+        await new Promise((resolve) => setTimeout(resolve, LOAD_POLL_MS));
+        const now = snapshot();
+        if (now.height !== before.height || now.items !== before.items) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    let scrolls = 0;
+    let reason;
+    let found = null;
+    for (;;) {
+      found = findWanted();
+      if (found) {
+        found.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'nearest' });
+        reason = 'found';
+        break;
+      }
+      if (count && countItems() >= count) {
+        reason = 'count';
+        break;
+      }
+      if (scrolls >= maxScrolls) {
+        reason = 'maxScrolls';
+        break;
+      }
+      if (Date.now() >= deadline) {
+        reason = 'timeout';
+        break;
+      }
+
+      const before = snapshot();
+      const step = Math.max(1, Math.round(scroller.clientHeight * STEP_FRACTION));
+      scrollBy(scroller, direction, step);
+      scrolls++;
+      if (!atEnd()) {
+        // Give scroll listeners and lazy rendering a moment to react
+        await new Promise((resolve) => setTimeout(resolve, STEP_PAUSE_MS));
+        continue;
+      }
+      // At the end: a feed loads more now, or it is exhausted. A wait cut
+      // short by the deadline ends as a timeout on the next pass.
+      const loaded = await waitForMore(before);
+      if (!loaded && atEnd() && Date.now() < deadline) {
+        reason = 'end';
+        break;
+      }
+    }
+
+    return {
+      success: true,
+      reason,
+      reachedEnd: reason === 'end',
+      found: untilSelector ? Boolean(found) : undefined,
+      ref: found ? registerElement(found) : undefined,
+      itemCount: countItems(),
+      scrolls,
+      container: ref,
+      position: positionOf(scroller),
+    };
+  }
+
+  chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'scroll') {
+      try {
+        sendResponse(scroll(request));
+      } catch (error) {
+        sendResponse({ error: `Unexpected error: ${error.message}` });
+      }
+      return false;
+    } else if (request.action === 'scrollUntil') {
+      scrollUntil(request)
+        .then(sendResponse)
+        .catch((error) => {
+          sendResponse({
+            error: `Unexpected error: ${error.message}`,
+          });
+        });
+      return true; // Indicates async response
+    } else if (request.action === 'chrome_scroll_helper_ping') {
+      sendResponse({ status: 'pong' });
+      return false;
+    }
+  });
+}
@@ -0,0 +1,375 @@
+// Select helper - Chrome Pilot
+// Picks options in native <select> elements and in ARIA listboxes and
+// comboboxes (design-system dropdowns), and sets checkboxes, radios and
+// switches. Every action reports the state the control ended up in.
+
+if (window.__SELECT_HELPER_INITIALIZED__) {
+  // Already initialized, skip
+} else {
+  window.__SELECT_HELPER_INITIALIZED__ = true;
+
+  // How long a custom dropdown gets to render its options after opening
+  const LISTBOX_OPEN_TIMEOUT_MS = 2000;
+
+  /**
+   * Build an option matcher from the request. Each criterion takes one
+   * value or an array of them (multi-select).
+   * @param {Object} request - One of { value, label, index, match }
+   * @returns {Object} - { wanted: [test(option, index)], description } or
+   *   { error }
+   */
+  function buildMatchers(request) {
+    const list = (item) => (Array.isArray(item) ? item : [item]);
+    if (request.value !== undefined) {
+      // Exact visible text still counts, as select_option always allowed it
+      return {
+        description: `value ${JSON.stringify(request.value)}`,
+        wanted: list(request.value).map((value) => (option) => option.value === String(value) || option.label === String(value)),
+      };
+    }
+    if (request.label !== undefined) {
+      return {
+        description: `label ${JSON.stringify(request.label)}`,
+        wanted: list(request.label).map((label) => (option) => option.label === String(label).trim()),
+      };
+    }
+    if (request.index !== undefined) {
+      return {
+        description: `index ${JSON.stringify(request.index)}`,
+        wanted: list(request.index).map((index) => (option) => option.index === Number(index)),
+      };
+    }
+    if (request.match !== undefined) {
+      const patterns = [];
+      for (const source of list(request.match)) {
+        const literal = String(source).match(/^\/(.+)\/([a-z]*)$/);
+        try {
+          patterns.push(literal ? new RegExp(literal[1], literal[2]) : new RegExp(source, 'i'));
+        } catch (error) {
+          return { error: `Invalid pattern ${source}: ${error.message}` };
+        }
+      }
+      return {
+        description: `pattern ${list(request.match).join(', ')}`,
+        wanted: patterns.map((pattern) => (option) => pattern.test(option.label)),
+      };
+    }
+    return { error: 'Give one of value, label, index or match' };
+  }
+
+  /**
+   * Pick the options each matcher wants, first match per matcher
+   * @param {Array} options - [{ value, label, index, disabled, element }]
+   * @param {Object} matchers - From buildMatchers
+   * @param {boolean} multiple - Whether more than one may be selected
+   * @returns {Object} - { picked } or { error }
+   */
+  function pickOptions(options, matchers, multiple) {
+    if (matchers.wanted.length > 1 && !multiple) {
+      return { error: `The element takes a single option but ${matchers.wanted.length} were asked for` };
+    }
+    const picked = [];
+    for (const test of matchers.wanted) {
+      const option = options.find((candidate) => !candidate.disabled && test(candidate));
+      if (!option) {
+        const available = options.slice(0, 20).map((candidate) => candidate.label).join(', ');
+        return { error: `No enabled option matches ${matchers.description}. Options: ${available}` };
+      }
+      picked.push(option);
+    }
+    return { picked };
+  }
+
+  function describeOption(option) {
+    return { value: option.value, label: option.label, index: option.index };
+  }
+
+  /**
+   * Select options in a native <select>
+   * @param {HTMLSelectElement} select
+   * @param {Object} matchers
+   * @returns {Object} - { success, selected }
+   */
+  function selectNative(select, matchers) {
+    if (select.disabled) {
+      return { error: 'The select is disabled' };
+    }
+    const options = Array.from(select.options).map((option) => ({
+      value: option.value,
+      label: option.label.trim(),
+      index: option.index,
+      disabled: option.disabled || option.parentElement?.disabled === true,
+      element: option,
+    }));
+    const chosen = pickOptions(options, matchers, select.multiple);
+    if (chosen.error) {
+      return chosen;
+    }
+
+    select.focus();
+    for (const option of options) {
+      option.element.selected = chosen.picked.includes(option);
+    }
+    select.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+
+    return {
+      success: true,
+      kind: 'select',
+      selected: Array.from(select.selectedOptions).map((option) => ({
+        value: option.value,
+        label: option.label.trim(),
+        index: option.index,
+      })),
+    };
+  }
+
+  // Pointer and mouse events a real click on a custom widget sends
+  function clickLikeUser(element) {
+    element.scrollIntoView({ behavior: 'instant', block: 'nearest', inline: 'nearest' });
+    const rect = element.getBoundingClientRect();
+    const base = {
+      view: window,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+    };
+    const pointer = { pointerId: 1, pointerType: 'mouse', isPrimary: true };
+    element.dispatchEvent(new PointerEvent('pointerdown', { ...base, ...pointer, buttons: 1 }));
+    element.dispatchEvent(new MouseEvent('mousedown', { ...base, buttons: 1 }));
+    element.dispatchEvent(new PointerEvent('pointerup', { ...base, ...pointer }));
+    element.dispatchEvent(new MouseEvent('mouseup', base));
+    element.click();
+  }
+
+  function isShown(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && window.getComputedStyle(element).visibility !== 'hidden';
+  }
+
+  /**
+   * The listbox a combobox controls, once it is rendered: through
+   * aria-controls / aria-owns, inside it, or with anywhere set (just after
+   * opening it) the only visible listbox on the page
+   * @param {Element} combobox
+   * @param {boolean} anywhere
+   * @returns {Element|null}
+   */
+  function findListbox(combobox, anywhere = false) {
+    const { byIdList } = window.__CHROME_PILOT_ELEMENTS__;
+    const referenced = [
+      ...byIdList(combobox.getAttribute('aria-controls')),
+      ...byIdList(combobox.getAttribute('aria-owns')),
+    ];
+    for (const element of referenced) {
+      const listbox = element.matches('[role="listbox"]') ? element : element.querySelector('[role="listbox"]');
+      if (listbox && isShown(listbox)) {
+        return listbox;
+      }
+    }
+    const inside = combobox.querySelector('[role="listbox"]');
+    if (inside && isShown(inside)) {
+      return inside;
+    }
+    if (!anywhere) {
+      return null;
+    }
+    const visible = window.__CHROME_PILOT_ELEMENTS__
+      .queryAllDeep(document, '[role="listbox"]')
+      .filter(isShown);
+    return visible.length === 1 ? visible[0] : null;
+  }
+
+  async function waitForListbox(combobox) {
+    const deadline = Date.now() + LISTBOX_OPEN_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const listbox = findListbox(combobox, true);
+      if (listbox) {
+        return listbox;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    return null;
+  }
+
+  function ariaOptions(listbox) {
+    return Array.from(listbox.querySelectorAll('[role="option"]')).map((element, index) => ({
+      value: element.getAttribute('data-value') ?? element.getAttribute('value') ?? element.id ?? '',
+      label: (element.getAttribute('aria-label') || element.textContent || '').trim(),
+      index,
+      disabled: element.getAttribute('aria-disabled') === 'true',
+      selected: element.getAttribute('aria-selected') === 'true',
+      element,
+    }));
+  }
+
+  /**
+   * Select options in an ARIA listbox, opening its combobox first when the
+   * target is one
+   * @param {Element} element - role=listbox, role=combobox, or a button
+   *   with aria-haspopup=listbox
+   * @param {Object} matchers
+   * @returns {Promise<Object>} - { success, selected, value? }
+   */
+  async function selectAria(element, matchers) {
+    if (element.getAttribute('aria-disabled') === 'true') {
+      return { error: 'The dropdown is disabled' };
+    }
+    let listbox = element.matches('[role="listbox"]') ? element : findListbox(element);
+    if (!listbox) {
+      clickLikeUser(element);
+      listbox = await waitForListbox(element);
+      if (!listbox) {
+        return { error: 'The dropdown did not open a listbox (role=listbox) after clicking it' };
+      }
+    }
+
+    const multiple = listbox.getAttribute('aria-multiselectable') === 'true';
+    const options = ariaOptions(listbox);
+    const chosen = pickOptions(options, matchers, multiple);
+    if (chosen.error) {
+      return chosen;
+    }
+    // As with a native multi-select, the picked options replace the
+    // selection: clicks toggle, so click whatever has to change
+    const toClick = multiple
+      ? options.filter((option) => !option.disabled && chosen.picked.includes(option) !== option.selected)
+      : chosen.picked;
+    for (const option of toClick) {
+      clickLikeUser(option.element);
+      // A dropdown that closes on pick has taken all it will take
+      if (!listbox.isConnected || !isShown(listbox)) {
+        break;
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const selected = listbox.isConnected
+      ? ariaOptions(listbox).filter((option) => option.selected).map(describeOption)
+      : chosen.picked.map(describeOption);
+    const combobox = element.matches('[role="listbox"]') ? null : element;
+    return {
+      success: true,
+      kind: 'listbox',
+      selected,
+      value: combobox ? (combobox.value ?? combobox.textContent.trim()) : undefined,
+    };
+  }
+
+  /**
+   * Select options by value, label, index or pattern
+   * @param {Object} request - { selector?, ref?, value?, label?, index?,
+   *   match? }
+   * @returns {Promise<Object>}
+   */
+  async function selectOption(request) {
+    const { element, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(request);
+    if (error) {
+      return { error };
+    }
+    const matchers = buildMatchers(request);
+    if (matchers.error) {
+      return { error: matchers.error };
+    }
+
+    const select = element.tagName === 'LABEL' ? element.control : element;
+    if (select?.tagName === 'SELECT') {
+      return selectNative(select, matchers);
+    }
+    if (element.matches('[role="listbox"], [role="combobox"], [aria-haspopup="listbox"]')) {
+      return await selectAria(element, matchers);
+    }
+    const inner = element.querySelector('select, [role="combobox"], [role="listbox"]');
+    if (inner) {
+      return inner.tagName === 'SELECT' ? selectNative(inner, matchers) : await selectAria(inner, matchers);
+    }
+    return { error: `${element.tagName.toLowerCase()} is not a <select>, listbox or combobox` };
+  }
+
+  /**
+   * The checkable control a target stands for, and how to read its state
+   * @param {Element} element
+   * @returns {Object|null} - { control, kind, read() }
+   */
+  function checkableFor(element) {
+    const control = element.tagName === 'LABEL' && element.control ? element.control : element;
+    if (control.tagName === 'INPUT' && (control.type === 'checkbox' || control.type === 'radio')) {
+      return { control, kind: control.type, read: () => control.checked };
+    }
+    const role = control.getAttribute('role');
+    if (['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(role)) {
+      const attribute = control.hasAttribute('aria-checked') || role !== 'switch' ? 'aria-checked' : 'aria-pressed';
+      return { control, kind: role, read: () => control.getAttribute(attribute) === 'true' };
+    }
+    const inner = control.querySelector('input[type="checkbox"], input[type="radio"], [role="checkbox"], [role="radio"], [role="switch"]');
+    return inner ? checkableFor(inner) : null;
+  }
+
+  /**
+   * Check or uncheck a checkbox, radio or switch by clicking it like a user
+   * would, so the page's own handlers run
+   * @param {Object} target - { selector?, ref? }
+   * @param {boolean} checked
+   * @returns {Promise<Object>} - { success, checked, changed, kind }
+   */
+  async function setChecked(target, checked) {
+    const { element, label, error } = window.__CHROME_PILOT_ELEMENTS__.resolveTarget(target);
+    if (error) {
+      return { error };
+    }
+    const checkable = checkableFor(element);
+    if (!checkable) {
+      return { error: `Element with ${label} is not a checkbox, radio or switch` };
+    }
+    const { control, kind, read } = checkable;
+    if (control.disabled || control.getAttribute('aria-disabled') === 'true') {
+      return { error: `The ${kind} with ${label} is disabled` };
+    }
+
+    const before = read();
+    if (before === checked) {
+      return { success: true, checked, changed: false, kind };
+    }
+    if (!checked && (kind === 'radio' || kind === 'menuitemradio')) {
+      return { error: 'A radio button cannot be unchecked; check another option in its group instead' };
+    }
+
+    // Visually hidden inputs are usually toggled through their label
+    const clickTarget = isShown(control) || !control.labels?.length ? control : control.labels[0];
+    clickLikeUser(clickTarget);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const after = read();
+    if (after !== checked) {
+      return { error: `Clicking the ${kind} with ${label} did not change it; the page may be blocking the change` };
+    }
+    return { success: true, checked: after, changed: true, kind };
+  }
+
+  chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'selectOption') {
+      selectOption(request)
+        .then(sendResponse)
+        .catch((error) => {
+          sendResponse({
+            error: `Unexpected error: ${error.message}`,
+          });
+        });
+      return true; // Indicates async response
+    } else if (request.action === 'setChecked') {
+      setChecked({ selector: request.selector, ref: request.ref }, request.checked)
+        .then(sendResponse)
+        .catch((error) => {
+          sendResponse({
+            error: `Unexpected error: ${error.message}`,
+          });
+        });
+      return true; // Indicates async response
+    } else if (request.action === 'chrome_select_helper_ping') {
+      sendResponse({ status: 'pong' });
+      return false;
+    }
+  });
+}
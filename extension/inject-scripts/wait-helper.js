@@ -0,0 +1,157 @@
+// Wait helper - Chrome Pilot
+// Waits for element state and text conditions in the page. Element
+// conditions are re-checked on every DOM mutation and on a polling interval,
+// since CSS and layout changes (e.g. a fade-out) do not always mutate the
+// DOM. Text conditions are only polled: reading innerText forces a layout,
+// which is too costly to do for every mutation batch of a busy page.
+
+if (window.__WAIT_HELPER_INITIALIZED__) {
+  // Already initialized, skip
+} else {
+  window.__WAIT_HELPER_INITIALIZED__ = true;
+
+  /**
+   * Whether an element is rendered with a non-empty box. Unlike the click
+   * helper this ignores the viewport: scrolled-away elements still count.
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  function isRendered(element) {
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+      return false;
+    }
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  function isEnabled(element) {
+    return !element.disabled
+      && !element.closest('fieldset:disabled')
+      && element.getAttribute('aria-disabled') !== 'true';
+  }
+
+  /**
+   * Build a check function for the requested condition
+   * @param {Object} request - { selector?, ref?, state?, text?, textGone? }
+   * @returns {Object} - { description, check, pollOnly? } where check()
+   *   returns true once the condition holds, or { error } for an unusable
+   *   request
+   */
+  function buildCondition(request) {
+    const { selector, ref, state = 'visible', text, textGone } = request;
+
+    if (selector || ref) {
+      // Surface selector syntax errors instead of waiting them out
+      if (selector && !ref) {
+        const probe = window.__CHROME_PILOT_ELEMENTS__.resolveTarget({ selector });
+        if (probe.error && /^Invalid selector|another frame/.test(probe.error)) {
+          return { error: probe.error };
+        }
+      }
+
+      const find = () => window.__CHROME_PILOT_ELEMENTS__.resolveTarget({ selector, ref });
+      const label = find().label;
+      const checks = {
+        attached: (element) => Boolean(element),
+        detached: (element) => !element,
+        visible: (element) => Boolean(element) && isRendered(element),
+        hidden: (element) => !element || !isRendered(element),
+        enabled: (element) => Boolean(element) && isEnabled(element),
+      };
+      if (!checks[state]) {
+        return { error: `Unknown element state "${state}"` };
+      }
+      return {
+        description: `${label} is ${state}`,
+        check: () => checks[state](find().element),
+      };
+    }
+
+    if (text !== undefined) {
+      return {
+        description: `text "${text}" is present`,
+        check: () => (document.body?.innerText || '').includes(text),
+        pollOnly: true,
+      };
+    }
+    if (textGone !== undefined) {
+      return {
+        description: `text "${textGone}" is absent`,
+        check: () => !(document.body?.innerText || '').includes(textGone),
+        pollOnly: true,
+      };
+    }
+    return { error: 'No element or text condition given' };
+  }
+
+  /**
+   * Wait until a condition holds or the timeout passes
+   * @param {Object} request - Condition plus timeout and pollInterval (ms)
+   * @returns {Promise<Object>} - { success, condition, elapsed } or
+   *   { timedOut, condition, elapsed } (not an error, so the background can
+   *   tell it apart from a lost connection)
+   */
+  function waitForCondition(request) {
+    const { timeout = 10000, pollInterval = 100 } = request;
+    const condition = buildCondition(request);
+    if (condition.error) {
+      return Promise.resolve({ error: condition.error });
+    }
+
+    const startTime = Date.now();
+    return new Promise((resolve) => {
+      let finished = false;
+      let observer = null;
+      let poller = null;
+      let timer = null;
+
+      function finish(result) {
+        finished = true;
+        observer?.disconnect();
+        clearInterval(poller);
+        clearTimeout(timer);
+        resolve({ ...result, condition: condition.description, elapsed: Date.now() - startTime });
+      }
+
+      function evaluate() {
+        if (!finished && condition.check()) {
+          finish({ success: true });
+        }
+      }
+
+      evaluate();
+      if (finished) {
+        return;
+      }
+
+      if (!condition.pollOnly) {
+        observer = new MutationObserver(evaluate);
+        observer.observe(document.documentElement, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          characterData: true,
+        });
+      }
+      poller = setInterval(evaluate, pollInterval);
+      timer = setTimeout(() => finish({ timedOut: true }), timeout);
+    });
+  }
+
+  chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'waitForCondition') {
+      waitForCondition(request)
+        .then(sendResponse)
+        .catch((error) => {
+          sendResponse({
+            error: `Unexpected error: ${error.message}`,
+          });
+        });
+      return true; // Indicates async response
+    } else if (request.action === 'chrome_wait_helper_ping') {
+      sendResponse({ status: 'pong' });
+      return false;
+    }
+  });
+}
@@ -17,13 +17,14 @@ if (window.__WEB_FETCHER_HELPER_INITIALIZED__) {
       let htmlContent = '';
 
       if (selector) {
-        targetElement = document.querySelector(selector);
-        if (!targetElement) {
+        const resolved = window.__CHROME_PILOT_ELEMENTS__.resolveTarget({ selector });
+        if (resolved.error) {
           return {
             success: false,
-            error: `Element with selector "${selector}" not found`,
+            error: resolved.error,
           };
         }
+        targetElement = resolved.element;
         htmlContent = targetElement.outerHTML;
       } else {
         htmlContent = document.documentElement.outerHTML;
@@ -59,13 +60,14 @@ if (window.__WEB_FETCHER_HELPER_INITIALIZED__) {
       let structure = {};
 
       if (selector) {
-        targetElement = document.querySelector(selector);
-        if (!targetElement) {
+        const resolved = window.__CHROME_PILOT_ELEMENTS__.resolveTarget({ selector });
+        if (resolved.error) {
           return {
             success: false,
-            error: `Element with selector "${selector}" not found`,
+            error: resolved.error,
           };
         }
+        targetElement = resolved.element;
         textContent = targetElement.textContent || targetElement.innerText || '';
       } else {
         targetElement = document.body || document;
@@ -538,10 +540,7 @@ if (window.__WEB_FETCHER_HELPER_INITIALIZED__) {
           return false;
 
         default:
-          sendResponse({ 
-            success: false, 
-            error: `Unknown action: ${request.action}` 
-          });
+          // Not ours - leave it for the other helper scripts
           return false;
       }
     } catch (error) {
@@ -3,6 +3,8 @@
 document.addEventListener('DOMContentLoaded', function() {
   const statusDiv = document.getElementById('status');
   const wsUrlInput = document.getElementById('wsUrl');
+  const browserNameInput = document.getElementById('browserName');
+  const browserProfileInput = document.getElementById('browserProfile');
   const saveConfigBtn = document.getElementById('saveConfig');
   const reconnectBtn = document.getElementById('reconnect');
   const testConnectionBtn = document.getElementById('testConnection');
@@ -10,12 +12,14 @@ document.addEventListener('DOMContentLoaded', function() {
   const logDiv = document.getElementById('log');
 
   // Load saved configuration
-  chrome.storage.local.get(['wsServerUrl'], (result) => {
+  chrome.storage.local.get(['wsServerUrl', 'browserName', 'browserProfile'], (result) => {
     if (result.wsServerUrl) {
       wsUrlInput.value = result.wsServerUrl;
     } else {
       wsUrlInput.value = 'ws://172.25.0.1:9222/ws'; // Default WSL IP
     }
+    browserNameInput.value = result.browserName || '';
+    browserProfileInput.value = result.browserProfile || '';
   });
 
   // Update status from background script
@@ -54,8 +58,10 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
-    chrome.storage.local.set({wsServerUrl: wsUrl}, () => {
-      log(`Configuration saved: ${wsUrl}`);
+    const browserName = browserNameInput.value.trim();
+    const browserProfile = browserProfileInput.value.trim();
+    chrome.storage.local.set({wsServerUrl: wsUrl, browserName, browserProfile}, () => {
+      log(`Configuration saved: ${wsUrl}${browserName ? ` as ${browserName}` : ''}`);
       // The background script will automatically reconnect due to storage change listener
     });
   });
@@ -7,21 +7,24 @@ import {
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { NativeMessenger } from "./native-host.js";
-import { ChromeTools } from "./tools/chrome-tools.js";
+import { parseServerOptions, ServerOptions } from "./options.js";
+import { toolRegistry } from "./tools/definitions/index.js";
+import { ToolValidationError } from "./tools/registry.js";
 import { ChromeWebSocketServer } from "./websocket-server.js";
-import { ChromeWebSocketTools } from "./websocket-tools.js";
 
 class ChromeMCPServer {
   private server: Server;
   private nativeMessenger?: NativeMessenger;
-  private chromeTools?: ChromeTools;
   private webSocketServer?: ChromeWebSocketServer;
-  private webSocketTools?: ChromeWebSocketTools;
   private mode: "stdio" | "websocket";
+  private options: ServerOptions;
   private shutdown!: (signal: string) => Promise<void>;
 
-  constructor(mode: "stdio" | "websocket" = "stdio") {
-    this.mode = mode;
+  constructor(
+    options: ServerOptions = { mode: "stdio", inputMode: "synthetic" },
+  ) {
+    this.options = options;
+    this.mode = options.mode;
     this.server = new Server(
       {
         name: "chrome-mcp-server",
@@ -37,10 +40,8 @@ class ChromeMCPServer {
     // Initialize based on mode
     if (this.mode === "websocket") {
       this.webSocketServer = new ChromeWebSocketServer();
-      this.webSocketTools = new ChromeWebSocketTools(this.webSocketServer);
     } else {
       this.nativeMessenger = new NativeMessenger();
-      this.chromeTools = new ChromeTools(this.nativeMessenger);
     }
 
     this.setupErrorHandling();
@@ -130,300 +131,52 @@ class ChromeMCPServer {
 
   private setupToolHandlers(): void {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: "navigate",
-            description: "Navigate to a URL in the browser",
-            inputSchema: {
-              type: "object",
-              properties: {
-                url: {
-                  type: "string",
-                  description: "The URL to navigate to",
-                },
-                tabId: {
-                  type: "number",
-                  description:
-                    "Optional tab ID. If not provided, uses the active tab",
-                },
-              },
-              required: ["url"],
-            },
-          },
-          {
-            name: "get_tabs",
-            description: "Get all open browser tabs",
-            inputSchema: {
-              type: "object",
-              properties: {},
-              required: [],
-            },
-          },
-          {
-            name: "get_current_tab",
-            description: "Get information about the currently active tab",
-            inputSchema: {
-              type: "object",
-              properties: {},
-              required: [],
-            },
-          },
-          {
-            name: "close_tab",
-            description: "Close a browser tab",
-            inputSchema: {
-              type: "object",
-              properties: {
-                tabId: {
-                  type: "number",
-                  description: "The ID of the tab to close",
-                },
-              },
-              required: ["tabId"],
-            },
-          },
-          {
-            name: "click",
-            description: "Click on an element in the page",
-            inputSchema: {
-              type: "object",
-              properties: {
-                selector: {
-                  type: "string",
-                  description: "CSS selector or XPath of the element to click",
-                },
-                tabId: {
-                  type: "number",
-                  description:
-                    "Optional tab ID. If not provided, uses the active tab",
-                },
-              },
-              required: ["selector"],
-            },
-          },
-          {
-            name: "type",
-            description: "Type text into an input field",
-            inputSchema: {
-              type: "object",
-              properties: {
-                selector: {
-                  type: "string",
-                  description: "CSS selector of the input element",
-                },
-                text: {
-                  type: "string",
-                  description: "Text to type",
-                },
-                tabId: {
-                  type: "number",
-                  description:
-                    "Optional tab ID. If not provided, uses the active tab",
-                },
-              },
-              required: ["selector", "text"],
-            },
-          },
-          {
-            name: "scroll",
-            description: "Scroll the page in a specified direction",
-            inputSchema: {
-              type: "object",
-              properties: {
-                direction: {
-                  type: "string",
-                  enum: ["up", "down", "left", "right"],
-                  description: "Direction to scroll",
-                },
-                amount: {
-                  type: "number",
-                  description: "Amount to scroll in pixels (default: 500)",
-                },
-                tabId: {
-                  type: "number",
-                  description:
-                    "Optional tab ID. If not provided, uses the active tab",
-                },
-              },
-              required: ["direction"],
-            },
-          },
-          {
-            name: "screenshot",
-            description: "Take a screenshot of the current page",
-            inputSchema: {
-              type: "object",
-              properties: {
-                tabId: {
-                  type: "number",
-                  description:
-                    "Optional tab ID. If not provided, uses the active tab",
-                },
-              },
-              required: [],
-            },
-          },
-          {
-            name: "get_content",
-            description: "Get the content of the page or a specific element",
-            inputSchema: {
-              type: "object",
-              properties: {
-                selector: {
-                  type: "string",
-                  description:
-                    "Optional CSS selector to get content from a specific element",
-                },
-                tabId: {
-                  type: "number",
-                  description:
-                    "Optional tab ID. If not provided, uses the active tab",
-                },
-              },
-              required: [],
-            },
-          },
-          {
-            name: "get_interactive_elements",
-            description:
-              "Get all interactive elements on the page (buttons, inputs, links, etc.)",
-            inputSchema: {
-              type: "object",
-              properties: {
-                tabId: {
-                  type: "number",
-                  description:
-                    "Optional tab ID. If not provided, uses the active tab",
-                },
-              },
-              required: [],
-            },
-          },
-          {
-            name: "wait_for_element",
-            description: "Wait for an element to appear on the page",
-            inputSchema: {
-              type: "object",
-              properties: {
-                selector: {
-                  type: "string",
-                  description: "CSS selector of the element to wait for",
-                },
-                timeout: {
-                  type: "number",
-                  description: "Timeout in milliseconds (default: 10000)",
-                },
-                tabId: {
-                  type: "number",
-                  description:
-                    "Optional tab ID. If not provided, uses the active tab",
-                },
-              },
-              required: ["selector"],
-            },
-          },
-        ],
-      };
+      return { tools: toolRegistry.list() };
     });
 
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
 
-      if (!args) {
-        throw new Error("Missing arguments");
-      }
-
       try {
-        let result;
-
-        // Use appropriate tools based on mode
-        const tools =
-          this.mode === "websocket" ? this.webSocketTools : this.chromeTools;
-
-        if (!tools) {
-          throw new Error(`Tools not initialized for mode: ${this.mode}`);
+        // Use the transport for the current mode
+        const transport =
+          this.mode === "websocket"
+            ? this.webSocketServer
+            : this.nativeMessenger;
+
+        if (!transport) {
+          throw new Error(`Transport not initialized for mode: ${this.mode}`);
         }
 
-        switch (name) {
-          case "navigate":
-            result = await tools.navigate(
-              args.url as string,
-              args.tabId as number,
-            );
-            break;
-
-          case "get_tabs":
-            result = await tools.getTabs();
-            break;
-
-          case "get_current_tab":
-            result = await tools.getCurrentTab();
-            break;
-
-          case "close_tab":
-            result = await tools.closeTab(args.tabId as number);
-            break;
-
-          case "click":
-            result = await tools.click(
-              args.selector as string,
-              args.tabId as number,
-            );
-            break;
-
-          case "type":
-            result = await tools.type(
-              args.selector as string,
-              args.text as string,
-              args.tabId as number,
-            );
-            break;
-
-          case "scroll":
-            result = await tools.scroll(
-              args.direction as string,
-              args.amount as number,
-              args.tabId as number,
-            );
-            break;
-
-          case "screenshot":
-            result = await tools.screenshot(args.tabId as number);
-            break;
-
-          case "get_content":
-            result = await tools.getContent(
-              args.selector as string,
-              args.tabId as number,
-            );
-            break;
-
-          case "get_interactive_elements":
-            result = await tools.getInteractiveElements(args.tabId as number);
-            break;
+        const content = await toolRegistry.call(name, args, {
+          transport,
+          options: this.options,
+        });
 
-          case "wait_for_element":
-            result = await tools.waitForElement(
-              args.selector as string,
-              args.timeout as number,
-              args.tabId as number,
-            );
-            break;
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+        return { content };
+      } catch (error) {
+        if (error instanceof ToolValidationError) {
+          // Structured so the model can see exactly which argument to fix
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    error: "invalid_arguments",
+                    tool: error.tool,
+                    message: error.message,
+                    issues: error.issues,
+                  },
+                  null,
+                  2,
+                ),
+              },
+            ],
+            isError: true,
+          };
         }
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
-      } catch (error) {
         return {
           content: [
             {
@@ -480,8 +233,6 @@ class ChromeMCPServer {
 
 // Check if we're being run directly
 if (process.argv[1] && process.argv[1].endsWith("index.js")) {
-  // Check for WebSocket mode argument
-  const mode = process.argv.includes("--websocket") ? "websocket" : "stdio";
-  const server = new ChromeMCPServer(mode);
+  const server = new ChromeMCPServer(parseServerOptions());
   server.run().catch(console.error);
 }
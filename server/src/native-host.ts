@@ -1,4 +1,5 @@
 import { EventEmitter } from "events";
+import type { BrowserInfo } from "./tools/registry.js";
 
 interface NativeMessage {
   id: string;
@@ -19,6 +20,8 @@ export class NativeMessenger extends EventEmitter {
     { resolve: Function; reject: Function; timeout: NodeJS.Timeout }
   >();
   private isRunning = false;
+  /** The browser that started this host, asked once for list_browsers */
+  private browser?: Promise<BrowserInfo>;
 
   constructor() {
     super();
@@ -125,7 +128,35 @@ export class NativeMessenger extends EventEmitter {
     }
   }
 
-  public sendCommand(action: string, params: any = {}): Promise<any> {
+  /**
+   * Native messaging reaches only the browser that started this host; a
+   * command naming another browser fails
+   */
+  public async sendCommand(
+    action: string,
+    params: any = {},
+    browser?: string,
+  ): Promise<any> {
+    if (browser !== undefined) {
+      const [connected] = await this.listBrowsers();
+      if (connected.name !== browser) {
+        throw new Error(
+          `Browser "${browser}" is not connected (connected: ${connected.name}). Run the server with --websocket to drive several browsers`,
+        );
+      }
+    }
+    return this.request(action, params);
+  }
+
+  public async listBrowsers(): Promise<BrowserInfo[]> {
+    this.browser ??= this.request("list_browsers").catch((error) => {
+      this.browser = undefined;
+      throw error;
+    });
+    return [await this.browser];
+  }
+
+  private request(action: string, params: any = {}): Promise<any> {
     return new Promise((resolve, reject) => {
       const messageId = this.generateId();
       const message: NativeMessage = {
@@ -134,11 +165,13 @@ export class NativeMessenger extends EventEmitter {
         params,
       };
 
-      // Set up response handler
+      // Set up response handler. Tools that wait (navigate, wait_for) pass
+      // their own timeout; leave them room to report it first
+      const timeoutMs = Math.max(30000, (Number(params.timeout) || 0) + 5000);
       const timeout = setTimeout(() => {
         this.messageHandlers.delete(messageId);
         reject(new Error(`Request timeout for action: ${action}`));
-      }, 30000); // 30 second timeout
+      }, timeoutMs);
 
       this.messageHandlers.set(messageId, { resolve, reject, timeout });
 
@@ -0,0 +1,50 @@
+import { resolve } from "path";
+
+export interface ServerOptions {
+  mode: "stdio" | "websocket";
+  /** When set, screenshots are also written to this directory */
+  screenshotDir?: string;
+  /**
+   * Default input backend for click, type and clear_input: synthetic DOM
+   * events, or trusted input through chrome.debugger
+   */
+  inputMode: InputMode;
+}
+
+export type InputMode = "synthetic" | "trusted";
+
+const INPUT_MODES: InputMode[] = ["synthetic", "trusted"];
+
+/** Value following `flag`, or the `flag=value` form */
+function flagValue(argv: string[], flag: string): string | undefined {
+  const index = argv.indexOf(flag);
+  if (index !== -1) {
+    const value = argv[index + 1];
+    if (!value || value.startsWith("--")) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    return value;
+  }
+
+  const inline = argv.find((arg) => arg.startsWith(`${flag}=`));
+  return inline ? inline.slice(flag.length + 1) : undefined;
+}
+
+/** Read server options from the command line */
+export function parseServerOptions(
+  argv: string[] = process.argv.slice(2),
+): ServerOptions {
+  const screenshotDir = flagValue(argv, "--screenshot-dir");
+  const inputMode = flagValue(argv, "--input-mode") ?? "synthetic";
+  if (!INPUT_MODES.includes(inputMode as InputMode)) {
+    throw new Error(
+      `Invalid --input-mode "${inputMode}": expected ${INPUT_MODES.join(" or ")}`,
+    );
+  }
+
+  return {
+    mode: argv.includes("--websocket") ? "websocket" : "stdio",
+    screenshotDir: screenshotDir ? resolve(screenshotDir) : undefined,
+    inputMode: inputMode as InputMode,
+  };
+}
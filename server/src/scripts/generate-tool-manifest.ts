@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+// Regenerates the files derived from the tool registry:
+//   - extension/common/tool-actions.js (the extension's dispatch table)
+//   - the "Available Tools" table in README.md
+// Run with `npm run generate` after adding or changing a tool definition.
+
+import { readFileSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { toolRegistry } from "../tools/definitions/index.js";
+
+const repoRoot = join(
+  dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "..",
+  "..",
+);
+const actionsPath = join(repoRoot, "extension", "common", "tool-actions.js");
+const readmePath = join(repoRoot, "README.md");
+
+const README_START = "<!-- tools:start -->";
+const README_END = "<!-- tools:end -->";
+
+function renderToolActions(): string {
+  const entries = Object.entries(toolRegistry.extensionActions()).map(
+    ([action, target]) => {
+      const fields = Object.entries(target)
+        .map(([key, value]) => `${key}: '${value}'`)
+        .join(", ");
+      return `  ${action}: { ${fields} },`;
+    },
+  );
+
+  return [
+    "// Generated by `npm run generate` in server/ from the tool registry - do not edit.",
+    "// Maps each action the server sends to where the extension executes it:",
+    "//   background - handler in the service worker",
+    "//   helper     - message to an injected helper script in the tab",
+    "//   page       - pageAction function run via chrome.scripting",
+    "",
+    "export const TOOL_ACTIONS = {",
+    ...entries,
+    "};",
+    "",
+  ].join("\n");
+}
+
+function renderToolTable(): string {
+  const rows = toolRegistry.all().map((tool) => {
+    // browser is on every tool; the README explains it once
+    const params = Object.entries(tool.inputSchema.shape)
+      .filter(([key]) => key !== "browser")
+      .map(([key, schema]) =>
+        (schema as { isOptional(): boolean }).isOptional()
+          ? `\`${key}?\``
+          : `\`${key}\``,
+      )
+      .join(", ");
+    return `| \`${tool.name}\` | ${tool.description} | ${params || "-"} |`;
+  });
+
+  return [
+    "| Tool | Description | Parameters |",
+    "|------|-------------|------------|",
+    ...rows,
+  ].join("\n");
+}
+
+function updateReadme(table: string): void {
+  const readme = readFileSync(readmePath, "utf8");
+  const start = readme.indexOf(README_START);
+  const end = readme.indexOf(README_END);
+
+  if (start === -1 || end === -1) {
+    throw new Error(
+      `README.md is missing the ${README_START} / ${README_END} markers`,
+    );
+  }
+
+  const updated =
+    readme.slice(0, start + README_START.length) +
+    "\n" +
+    table +
+    "\n" +
+    readme.slice(end);
+  writeFileSync(readmePath, updated);
+}
+
+writeFileSync(actionsPath, renderToolActions());
+updateReadme(renderToolTable());
+console.error(`Wrote ${actionsPath}`);
+console.error(`Updated tool table in ${readmePath}`);
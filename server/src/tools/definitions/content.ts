@@ -0,0 +1,258 @@
+import { z } from "zod";
+import { ContentResult, defineTool } from "../registry.js";
+import {
+  atMostOneOf,
+  elementLabel,
+  exactlyOneOf,
+  frameIdSchema,
+  numberArg,
+  refArg,
+  selectorArg,
+  tabIdSchema,
+  tabLabel,
+} from "../schemas.js";
+
+// Runs in the background so it can collect elements from every frame
+const interactiveElementsInAllFrames = { target: "background" } as const;
+
+function shapeElements(result: any, tabId?: number) {
+  const elements = result.elements || result;
+  return {
+    success: true,
+    elements,
+    count: elements.length,
+    ...(result.skippedFrames?.length && {
+      skippedFrames: result.skippedFrames,
+    }),
+    tabId: tabLabel(tabId),
+    message: `Found ${elements.length} interactive elements`,
+  };
+}
+
+export const contentTools = [
+  defineTool({
+    name: "get_content",
+    description: "Get the content of the page or a specific element",
+    inputSchema: z.object({
+      selector: z
+        .string()
+        .optional()
+        .describe(
+          "Optional CSS selector to get content from a specific element",
+        ),
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    action: "get_web_content",
+    extension: {
+      target: "helper",
+      script: "web-fetcher-helper.js",
+      message: "getTextContent",
+    },
+    shape: (result, { selector, tabId }) => ({
+      success: true,
+      content: result,
+      selector: selector || "page",
+      tabId: tabLabel(tabId),
+      message: selector
+        ? `Successfully retrieved content from element: ${selector}`
+        : "Successfully retrieved page content",
+    }),
+  }),
+
+  defineTool({
+    name: "get_html",
+    description: "Get the HTML of the page or a specific element",
+    inputSchema: z.object({
+      selector: z
+        .string()
+        .optional()
+        .describe("Optional CSS selector to get HTML from a specific element"),
+      tabId: tabIdSchema,
+    }),
+    action: "get_html_content",
+    extension: {
+      target: "helper",
+      script: "web-fetcher-helper.js",
+      message: "getHTMLContent",
+    },
+    shape: (result, { selector, tabId }) => ({
+      success: true,
+      htmlContent: result.htmlContent || result,
+      selector: selector || "page",
+      tabId: tabLabel(tabId),
+      message: selector
+        ? `HTML content extracted from: ${selector}`
+        : "Page HTML content extracted",
+    }),
+  }),
+
+  defineTool({
+    name: "get_interactive_elements",
+    description:
+      "Get all interactive elements on the page (buttons, inputs, links, etc.), including those inside " +
+      "open shadow roots and iframes. Each element reports its frameId and shadowHost where relevant.",
+    inputSchema: z.object({ frameId: frameIdSchema, tabId: tabIdSchema }),
+    action: "get_interactive_elements",
+    extension: interactiveElementsInAllFrames,
+    shape: (result, { tabId }) => shapeElements(result, tabId),
+  }),
+
+  defineTool({
+    name: "find_elements_by_text",
+    description: "Find interactive elements whose text matches a query",
+    inputSchema: z.object({
+      text: z.string().describe("Text to search for (fuzzy match)"),
+      tabId: tabIdSchema,
+    }),
+    action: "get_interactive_elements",
+    extension: interactiveElementsInAllFrames,
+    params: ({ text, tabId }) => ({ textQuery: text, tabId }),
+    shape: (result, { text, tabId }) => {
+      const shaped = shapeElements(result, tabId);
+      return {
+        ...shaped,
+        searchText: text,
+        message: `Found ${shaped.count} elements containing "${text}"`,
+      };
+    },
+  }),
+
+  defineTool({
+    name: "get_accessibility_snapshot",
+    description:
+      "Get a compact accessibility tree of the page: one indented line per node with its role, name, " +
+      "states (checked, expanded, disabled, focused, ...) and value. Actionable nodes carry a ref usable " +
+      "with click, type and the other element tools.",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "Only include the subtree under this element",
+      ).optional(),
+      ref: refArg.optional(),
+      maxDepth: numberArg(z.number().int().positive())
+        .default(25)
+        .describe("Deepest nesting level to include (default: 25)"),
+      maxNodes: numberArg(z.number().int().positive())
+        .default(500)
+        .describe("Stop after this many lines (default: 500)"),
+      tabId: tabIdSchema,
+    }),
+    refine: atMostOneOf("selector", "ref"),
+    action: "get_accessibility_snapshot",
+    extension: {
+      target: "helper",
+      script: "interactive-elements-helper.js",
+      message: "getAccessibilitySnapshot",
+    },
+    // Plain text: the indented tree is unreadable once JSON-escaped
+    shape: (result) =>
+      new ContentResult([
+        {
+          type: "text",
+          text:
+            `Page: ${result.title} (${result.url})\n` +
+            `Nodes: ${result.nodeCount}${result.truncated ? " (truncated)" : ""}\n\n` +
+            result.snapshot,
+        },
+      ]),
+  }),
+
+  defineTool({
+    name: "get_forms",
+    description:
+      "Describe the forms on the page so a fill can be planned without a screenshot: each field's label, type, current value, " +
+      "constraints (required, pattern, min, max, ...), options for selects and radio groups, validity and validation message, " +
+      "plus the form's submit buttons. Fields outside any form are grouped under form: null. Refs work with fill_form, type and click.",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "Only describe the form this selects, or the forms inside it",
+      ).optional(),
+      ref: refArg.optional(),
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: atMostOneOf("selector", "ref"),
+    action: "get_forms",
+    extension: { target: "background" },
+    shape: (result, { tabId }) => {
+      const fieldCount = result.forms.reduce(
+        (total: number, form: any) => total + form.fields.length,
+        0,
+      );
+      return {
+        success: true,
+        forms: result.forms,
+        count: result.forms.length,
+        ...(result.frameId && { frameId: result.frameId }),
+        tabId: tabLabel(tabId),
+        message: `Found ${result.forms.length} form(s) with ${fieldCount} field(s)`,
+      };
+    },
+  }),
+
+  defineTool({
+    name: "highlight_element",
+    description: "Highlight an element on the page with a colored border",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "CSS selector of the element to highlight",
+      ).optional(),
+      ref: refArg.optional(),
+      options: z
+        .object({
+          borderColor: z.string().optional(),
+          borderWidth: z.string().optional(),
+          borderStyle: z.string().optional(),
+          backgroundColor: z.string().optional(),
+          duration: numberArg()
+            .optional()
+            .describe("Milliseconds to keep the highlight, 0 keeps it"),
+        })
+        .optional()
+        .describe("Optional highlight styling"),
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref"),
+    action: "highlight_element",
+    extension: {
+      target: "helper",
+      script: "screenshot-helper.js",
+      message: "highlightElement",
+    },
+    shape: (result, { selector, ref, tabId }) => ({
+      success: true,
+      selector,
+      highlighted: true,
+      tabId: tabLabel(tabId),
+      message: `Element highlighted: ${elementLabel({ selector, ref })}`,
+      ...result,
+    }),
+  }),
+
+  defineTool({
+    name: "unhighlight_element",
+    description: "Remove a highlight added by highlight_element",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "CSS selector of the highlighted element",
+      ).optional(),
+      ref: refArg.optional(),
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref"),
+    action: "unhighlight_element",
+    extension: {
+      target: "helper",
+      script: "screenshot-helper.js",
+      message: "unhighlightElement",
+    },
+    shape: (result, { selector, ref, tabId }) => ({
+      success: true,
+      selector,
+      highlighted: false,
+      tabId: tabLabel(tabId),
+      message: `Element unhighlighted: ${elementLabel({ selector, ref })}`,
+      ...result,
+    }),
+  }),
+];
@@ -0,0 +1,18 @@
+import { ToolRegistry } from "../registry.js";
+import { contentTools } from "./content.js";
+import { interactionTools } from "./interaction.js";
+import { navigationTools } from "./navigation.js";
+import { screenshotTools } from "./screenshot.js";
+import { scriptingTools } from "./scripting.js";
+import { tabTools } from "./tabs.js";
+
+// Every tool the server exposes. Order here is the order tools are listed to
+// MCP clients and in the README.
+export const toolRegistry = new ToolRegistry([
+  ...navigationTools,
+  ...tabTools,
+  ...interactionTools,
+  ...contentTools,
+  ...screenshotTools,
+  ...scriptingTools,
+]);
@@ -0,0 +1,1153 @@
+import { z } from "zod";
+import { readFileSync } from "fs";
+import { basename, extname, resolve } from "path";
+import type { ServerOptions } from "../../options.js";
+import { defineTool } from "../registry.js";
+import {
+  atMostOneOf,
+  booleanArg,
+  elementLabel,
+  exactlyOneOf,
+  frameIdSchema,
+  navigationTimeoutSchema,
+  numberArg,
+  refArg,
+  selectorArg,
+  tabIdSchema,
+  tabLabel,
+  trustedArg,
+  waitUntilSchema,
+  withInputMode,
+} from "../schemas.js";
+
+const clickHelper = {
+  target: "helper",
+  script: "click-helper.js",
+  message: "clickElement",
+} as const;
+
+const fillHelper = {
+  target: "helper",
+  script: "fill-helper.js",
+  message: "fillElement",
+} as const;
+
+const selectHelper = {
+  target: "helper",
+  script: "select-helper.js",
+} as const;
+
+/** A single value, or several for multi-select */
+function oneOrMany<T extends z.ZodTypeAny>(schema: T) {
+  return z.union([schema, z.array(schema).min(1)]);
+}
+
+const keyboardHelper = {
+  target: "helper",
+  script: "keyboard-helper.js",
+  message: "pressKeys",
+} as const;
+
+/** Pace of the keyboard tools */
+const keyDelayArgs = {
+  delay: numberArg(z.number().int().nonnegative().max(5000))
+    .default(50)
+    .describe("Milliseconds between keys (default: 50)"),
+  jitter: numberArg(z.number().min(0).max(1))
+    .default(0)
+    .describe(
+      "Vary each delay randomly by up to this fraction of it, e.g. 0.5 for 25-75ms at delay 50 (default: 0)",
+    ),
+};
+
+/**
+ * How long a keyboard tool may take, passed as `timeout` so the transport
+ * waits for slow typing to finish
+ */
+function keyboardTimeout(keyCount: number, delay: number, jitter: number) {
+  return Math.ceil(keyCount * delay * (1 + jitter));
+}
+
+/** Button, click count and held modifiers shared by the click tools */
+const mouseArgs = {
+  button: z
+    .enum(["left", "right", "middle"])
+    .default("left")
+    .describe(
+      "Mouse button (default: left). right opens the context menu, middle opens links in a new tab with trusted input",
+    ),
+  clickCount: numberArg(z.number().int().min(1).max(3))
+    .default(1)
+    .describe("2 for a double click, 3 for a triple click (default: 1)"),
+  modifiers: z
+    .array(z.enum(["Alt", "Control", "Meta", "Shift"]))
+    .default([])
+    .describe('Keys held during the click, e.g. ["Control"] or ["Shift"]'),
+};
+
+/** How a click result describes the kind of click */
+function clickKind(button: string, clickCount: number, modifiers: string[]) {
+  const count = ({ 2: "double-", 3: "triple-" } as Record<number, string>)[
+    clickCount
+  ];
+  const kind = button === "left" ? "clicked" : `${button}-clicked`;
+  const held = modifiers.length > 0 ? ` with ${modifiers.join("+")} held` : "";
+  return `Successfully ${count ?? ""}${kind}${held}`;
+}
+
+/** One end of a drag: an element, or a point in the frame's viewport */
+function dragEndpoint(end: "source" | "target") {
+  return z
+    .object({
+      selector: selectorArg(`CSS selector of the ${end} element`).optional(),
+      ref: refArg.optional(),
+      x: numberArg()
+        .optional()
+        .describe(`X coordinate of the ${end}, relative to the viewport`),
+      y: numberArg()
+        .optional()
+        .describe(`Y coordinate of the ${end}, relative to the viewport`),
+    })
+    .superRefine((endpoint, ctx) => {
+      if ((endpoint.x === undefined) !== (endpoint.y === undefined)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [endpoint.x === undefined ? "x" : "y"],
+          message: "x and y must be given together",
+        });
+        return;
+      }
+      exactlyOneOf("selector", "ref", "x")(endpoint, ctx);
+    });
+}
+
+/** How a drag result names one of its ends */
+function endpointLabel(endpoint: {
+  selector?: string;
+  ref?: string;
+  x?: number;
+  y?: number;
+}): string {
+  return endpoint.x !== undefined
+    ? `(${endpoint.x}, ${endpoint.y})`
+    : elementLabel(endpoint);
+}
+
+/** MIME types guessed from file extensions when the caller gives none */
+const MIME_TYPES: Record<string, string> = {
+  ".csv": "text/csv",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".gif": "image/gif",
+  ".html": "text/html",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".json": "application/json",
+  ".md": "text/markdown",
+  ".mp3": "audio/mpeg",
+  ".mp4": "video/mp4",
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain",
+  ".webp": "image/webp",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".xml": "application/xml",
+  ".zip": "application/zip",
+};
+
+/**
+ * Chrome drops native messages from the host above 1 MB, and base64 adds a
+ * third; larger uploads need --websocket or browserPath
+ */
+const MAX_NATIVE_UPLOAD_BYTES = 700 * 1024;
+const MAX_WEBSOCKET_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+const uploadFileSchema = z
+  .object({
+    name: z
+      .string()
+      .min(1)
+      .optional()
+      .describe("File name the page sees (default: the path's file name)"),
+    content: z
+      .string()
+      .optional()
+      .describe("Base64-encoded file contents, instead of path"),
+    path: z
+      .string()
+      .min(1)
+      .optional()
+      .describe(
+        "Path of a file on the machine running this server, which reads it and sends the contents",
+      ),
+    browserPath: z
+      .string()
+      .min(1)
+      .optional()
+      .describe(
+        "Path of a file on the machine running the browser, which reads it itself through the debugger (no size limit, shows Chrome's debugging bar)",
+      ),
+    mimeType: z
+      .string()
+      .optional()
+      .describe("MIME type (default: guessed from the file name)"),
+  })
+  .superRefine((file, ctx) => {
+    exactlyOneOf("content", "path", "browserPath")(file, ctx);
+    if (file.content !== undefined && file.name === undefined) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["name"],
+        message: "name is required with content",
+      });
+    }
+  });
+
+/**
+ * Work out a file's name and type, and read server-side paths so their bytes
+ * travel to the extension. A browserPath is passed on for the browser to read.
+ */
+function loadUploadFile(file: z.infer<typeof uploadFileSchema>) {
+  const path = file.path === undefined ? undefined : resolve(file.path);
+  // The browser may run on another OS, so split on either separator
+  const name =
+    file.name ??
+    (path ? basename(path) : file.browserPath!.split(/[\\/]/).pop()!);
+  const mimeType =
+    file.mimeType ??
+    MIME_TYPES[extname(name).toLowerCase()] ??
+    "application/octet-stream";
+  if (path === undefined) {
+    return {
+      name,
+      mimeType,
+      content: file.content,
+      browserPath: file.browserPath,
+    };
+  }
+
+  try {
+    return { name, mimeType, content: readFileSync(path!).toString("base64") };
+  } catch (error) {
+    throw new Error(
+      `Cannot read ${path}: ${error instanceof Error ? error.message : String(error)}`,
+    );
+  }
+}
+
+function checkUploadSize(
+  files: { content?: string }[],
+  options: ServerOptions,
+) {
+  const bytes = files.reduce(
+    (total, file) => total + Math.ceil(((file.content?.length ?? 0) * 3) / 4),
+    0,
+  );
+  const limit =
+    options.mode === "websocket"
+      ? MAX_WEBSOCKET_UPLOAD_BYTES
+      : MAX_NATIVE_UPLOAD_BYTES;
+  if (bytes > limit) {
+    throw new Error(
+      `Files total ${bytes} bytes, over the ${limit} byte limit of the ${options.mode} connection. Pass browserPath so the browser reads them from its own disk${options.mode === "websocket" ? "" : ", or run the server with --websocket"}`,
+    );
+  }
+}
+
+/** Result of fill_form with values, from what the extension reports */
+function fillByName(
+  args: { values?: Record<string, unknown>; submit: boolean; tabId?: number },
+  result: any,
+) {
+  const filled = result.fields.filter((field: any) => field.success).length;
+  const requested = Object.keys(args.values ?? {}).length;
+  const problems = [
+    result.unmatched.length &&
+      `no field found for ${result.unmatched.map((name: string) => JSON.stringify(name)).join(", ")}`,
+    result.ambiguous.length &&
+      `several fields match ${result.ambiguous.map((entry: any) => JSON.stringify(entry.name)).join(", ")}`,
+  ].filter(Boolean);
+
+  let submission = "";
+  if (args.submit) {
+    if (!result.submitted) {
+      submission = `; not submitted: ${result.submitError ?? `${result.invalid.length} field(s) failed validation`}`;
+    } else if (result.invalid?.length) {
+      submission = `; submitted, but ${result.invalid.length} field(s) are marked invalid`;
+    } else {
+      submission = result.navigation?.navigated
+        ? `; submitted and navigated to ${result.navigation.url}`
+        : "; submitted";
+    }
+  }
+
+  return {
+    success:
+      filled === result.fields.length &&
+      problems.length === 0 &&
+      (!args.submit || (result.submitted && !result.invalid?.length)),
+    fields: result.fields,
+    unmatched: result.unmatched,
+    ambiguous: result.ambiguous,
+    form: result.form,
+    submitted: args.submit ? result.submitted : undefined,
+    invalid: result.invalid,
+    navigation: result.navigation,
+    tabId: tabLabel(args.tabId),
+    message: `Filled ${filled}/${result.fields.length} field(s) for ${requested} name(s)${problems.length ? `; ${problems.join("; ")}` : ""}${submission}`,
+  };
+}
+
+export const interactionTools = [
+  defineTool({
+    name: "click",
+    description:
+      "Click on an element in the page, with any button, as a double click or with modifier keys held",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "CSS selector or XPath of the element to click",
+      ).optional(),
+      ref: refArg.optional(),
+      mark: numberArg(z.number().int().positive())
+        .optional()
+        .describe(
+          "Number of an element from the latest screenshot_annotated legend, instead of selector",
+        ),
+      ...mouseArgs,
+      waitUntil: waitUntilSchema
+        .optional()
+        .describe(
+          "If the click may navigate (links, submit buttons), wait for the new page to reach this stage. Returns at once when no navigation starts within a second",
+        ),
+      timeout: navigationTimeoutSchema,
+      trusted: trustedArg,
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref", "mark"),
+    action: "click_enhanced",
+    extension: clickHelper,
+    params: (args, { options }) => withInputMode(args, options),
+    shape: (
+      result,
+      { selector, ref, mark, button, clickCount, modifiers, tabId },
+    ) => ({
+      success: true,
+      selector,
+      ref: ref ?? result.elementInfo?.ref,
+      mark,
+      tabId: tabLabel(tabId),
+      navigationOccurred:
+        result.navigationOccurred || result.navigation?.navigated || false,
+      navigation: result.navigation,
+      trusted: result.trusted || false,
+      obscuredBy: result.obscuredBy,
+      message: `${clickKind(button, clickCount, modifiers)} element: ${elementLabel({ selector, ref, mark })}`,
+    }),
+  }),
+
+  defineTool({
+    name: "click_coordinates",
+    description: "Click at specific viewport coordinates",
+    inputSchema: z.object({
+      x: numberArg().describe("X coordinate relative to the viewport"),
+      y: numberArg().describe("Y coordinate relative to the viewport"),
+      ...mouseArgs,
+      trusted: trustedArg,
+      tabId: tabIdSchema,
+    }),
+    action: "click_enhanced",
+    extension: clickHelper,
+    params: ({ x, y, ...rest }, { options }) =>
+      withInputMode({ ...rest, coordinates: { x, y } }, options),
+    shape: (result, { x, y, button, clickCount, modifiers, tabId }) => ({
+      success: true,
+      coordinates: { x, y },
+      tabId: tabLabel(tabId),
+      message: `${clickKind(button, clickCount, modifiers)} at coordinates (${x}, ${y})`,
+      ...result,
+    }),
+  }),
+
+  defineTool({
+    name: "hover",
+    description:
+      "Move the pointer onto an element and hold it there, to open hover menus and tooltips. Reports the elements that became visible. CSS :hover only reacts to trusted input",
+    inputSchema: z.object({
+      selector: selectorArg("CSS selector of the element to hover").optional(),
+      ref: refArg.optional(),
+      mark: numberArg(z.number().int().positive())
+        .optional()
+        .describe(
+          "Number of an element from the latest screenshot_annotated legend, instead of selector",
+        ),
+      duration: numberArg(z.number().int().nonnegative().max(10000))
+        .default(500)
+        .describe(
+          "How long to hold the pointer before looking for revealed elements, in milliseconds (default: 500)",
+        ),
+      trusted: trustedArg,
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref", "mark"),
+    action: "hover",
+    extension: { target: "background" },
+    params: (args, { options }) => withInputMode(args, options),
+    shape: (result, { selector, ref, mark, tabId }) => ({
+      success: true,
+      selector,
+      ref: ref ?? result.elementInfo?.ref,
+      mark,
+      revealed: result.revealed,
+      trusted: result.trusted,
+      obscuredBy: result.obscuredBy,
+      tabId: tabLabel(tabId),
+      message: `Hovered ${elementLabel({ selector, ref, mark })}; ${result.revealed.length} elements became visible`,
+    }),
+  }),
+
+  defineTool({
+    name: "drag",
+    description:
+      "Drag from one element or point to another: presses the mouse at the source, moves in steps and releases at the target. Draggable sources also get the HTML5 dragstart/dragover/drop events with a DataTransfer. For Kanban boards, sortable lists, sliders and drop zones",
+    inputSchema: z.object({
+      source: dragEndpoint("source").describe(
+        "Where the drag starts: selector, ref or x/y",
+      ),
+      target: dragEndpoint("target").describe(
+        "Where the drag ends: selector, ref or x/y. Must be visible once the source is scrolled into view",
+      ),
+      steps: numberArg(z.number().int().min(1).max(100))
+        .default(10)
+        .describe(
+          "Pointer moves between source and target (default: 10). Some libraries need several moves before a drag starts",
+        ),
+      trusted: trustedArg,
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    action: "drag",
+    extension: { target: "background" },
+    params: (args, { options }) => withInputMode(args, options),
+    shape: (result, { source, target, tabId }) => ({
+      success: true,
+      source: result.source,
+      target: result.target,
+      html5: result.html5,
+      dropped: result.dropped,
+      trusted: result.trusted,
+      tabId: tabLabel(tabId),
+      message: `Dragged ${endpointLabel(source)} to ${endpointLabel(target)}`,
+    }),
+  }),
+
+  defineTool({
+    name: "type",
+    description:
+      "Type text into an input field, a contenteditable element or a rich-text or code editor (ProseMirror, Slate, Lexical, Quill, Draft.js, CodeMirror, Monaco)",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "CSS selector of the input element or editor",
+      ).optional(),
+      ref: refArg.optional(),
+      text: z.string().describe("Text to type"),
+      mode: z
+        .enum(["replace", "append"])
+        .default("replace")
+        .describe("replace the current contents (default) or append to them"),
+      format: z
+        .enum(["text", "html", "markdown"])
+        .default("text")
+        .describe(
+          "For rich-text editors: paste text as HTML or Markdown so it keeps its formatting (default: text). Plain fields and code editors always get plain text",
+        ),
+      trusted: trustedArg,
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref"),
+    action: "fill_enhanced",
+    extension: fillHelper,
+    params: ({ text, ...rest }, { options }) =>
+      withInputMode({ ...rest, value: text }, options),
+    shape: (result, { selector, ref, text, mode, tabId }) => ({
+      success: true,
+      selector,
+      ref,
+      text,
+      editor: result?.elementInfo?.editor,
+      tabId: tabLabel(tabId),
+      message: `Successfully ${mode === "append" ? "appended" : "typed"} "${text}" ${mode === "append" ? "to" : "into"} ${elementLabel({ selector, ref })}`,
+    }),
+  }),
+
+  defineTool({
+    name: "clear_input",
+    description: "Clear the value of an input field",
+    inputSchema: z.object({
+      selector: selectorArg("CSS selector of the input element").optional(),
+      ref: refArg.optional(),
+      trusted: trustedArg,
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref"),
+    action: "clear_enhanced",
+    extension: {
+      target: "helper",
+      script: "fill-helper.js",
+      message: "clearElement",
+    },
+    params: (args, { options }) => withInputMode(args, options),
+    shape: (_result, { selector, ref, tabId }) => ({
+      success: true,
+      selector,
+      ref,
+      tabId: tabLabel(tabId),
+      message: `Successfully cleared input: ${elementLabel({ selector, ref })}`,
+    }),
+  }),
+
+  defineTool({
+    name: "type_text",
+    description:
+      "Type text one key at a time with real key events (US keyboard layout), inserting at the caret like a person typing. Slower than type, but fires keydown/keypress/keyup for every character and respects pages that cancel keys. Newlines press Enter",
+    inputSchema: z.object({
+      text: z.string().min(1).describe("Text to type"),
+      selector: selectorArg(
+        "CSS selector of the element to focus first; keys go to the focused element otherwise",
+      ).optional(),
+      ref: refArg.optional(),
+      ...keyDelayArgs,
+      trusted: trustedArg,
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: atMostOneOf("selector", "ref"),
+    action: "type_text",
+    extension: keyboardHelper,
+    params: (args, { options }) =>
+      withInputMode(
+        {
+          ...args,
+          timeout: keyboardTimeout(args.text.length, args.delay, args.jitter),
+        },
+        options,
+      ),
+    shape: (result, { text, selector, ref, tabId }) => ({
+      success: true,
+      text,
+      selector,
+      ref,
+      prevented: result.prevented,
+      focused: result.focused,
+      trusted: result.trusted || false,
+      tabId: tabLabel(tabId),
+      message: `Typed ${result.strokes} keys${result.prevented ? ` (${result.prevented} cancelled by the page)` : ""}`,
+    }),
+  }),
+
+  defineTool({
+    name: "press_key",
+    description:
+      'Press keys or shortcuts in order, e.g. ["Enter"], ["Control+a", "Backspace"], ["Shift+Tab"]. Keys: Enter, Tab, Backspace, Delete, Escape, Insert, Home, End, PageUp, PageDown, ArrowUp/Down/Left/Right, F1-F12, Space and any single character; modifiers: Control, Shift, Alt, Meta',
+    inputSchema: z.object({
+      keys: z
+        .array(z.string().min(1))
+        .min(1)
+        .describe('Keys or "+"-joined combinations to press one after another'),
+      selector: selectorArg(
+        "CSS selector of the element to focus first; keys go to the focused element otherwise",
+      ).optional(),
+      ref: refArg.optional(),
+      ...keyDelayArgs,
+      trusted: trustedArg,
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: atMostOneOf("selector", "ref"),
+    action: "press_key",
+    extension: keyboardHelper,
+    params: (args, { options }) =>
+      withInputMode(
+        {
+          ...args,
+          timeout: keyboardTimeout(args.keys.length, args.delay, args.jitter),
+        },
+        options,
+      ),
+    shape: (result, { keys, selector, ref, tabId }) => ({
+      success: true,
+      keys,
+      selector,
+      ref,
+      prevented: result.prevented,
+      focused: result.focused,
+      trusted: result.trusted || false,
+      tabId: tabLabel(tabId),
+      message: `Pressed ${keys.join(", ")}${result.prevented ? ` (${result.prevented} cancelled by the page)` : ""}`,
+    }),
+  }),
+
+  defineTool({
+    name: "select_option",
+    description:
+      "Select options in a <select>, or in a custom ARIA listbox or combobox dropdown (opened by clicking it). Match by value, visible label, index or regular expression; pass arrays to select several in a multi-select, which replaces its whole selection. Returns the options selected afterwards",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "CSS selector of the select, listbox or combobox",
+      ).optional(),
+      ref: refArg.optional(),
+      value: oneOrMany(z.string())
+        .optional()
+        .describe("Option value (exact visible text also matches)"),
+      label: oneOrMany(z.string())
+        .optional()
+        .describe("Visible option text, matched exactly"),
+      index: oneOrMany(numberArg(z.number().int().nonnegative()))
+        .optional()
+        .describe("0-based position of the option"),
+      match: oneOrMany(z.string().min(1))
+        .optional()
+        .describe(
+          'Regular expression tested against the option text; case-insensitive unless written as "/pattern/flags"',
+        ),
+      tabId: tabIdSchema,
+    }),
+    refine: (args, ctx) => {
+      exactlyOneOf("selector", "ref")(args, ctx);
+      exactlyOneOf("value", "label", "index", "match")(args, ctx);
+    },
+    action: "select_option",
+    extension: { ...selectHelper, message: "selectOption" },
+    shape: (result, { selector, ref, tabId }) => ({
+      success: true,
+      selector,
+      ref,
+      kind: result.kind,
+      selected: result.selected,
+      value: result.value,
+      tabId: tabLabel(tabId),
+      message: `Selected ${result.selected.map((option: { label: string }) => `"${option.label}"`).join(", ") || "nothing"} in ${elementLabel({ selector, ref })}`,
+    }),
+  }),
+
+  defineTool({
+    name: "set_checked",
+    description:
+      "Check or uncheck a checkbox, radio button or switch (native inputs, their labels, or role=checkbox/radio/switch). Clicks it like a user so the page's handlers run, and returns the resulting state",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "CSS selector of the checkbox, radio, switch or its label",
+      ).optional(),
+      ref: refArg.optional(),
+      checked: booleanArg().describe("Whether it should end up checked"),
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref"),
+    action: "set_checked",
+    extension: { ...selectHelper, message: "setChecked" },
+    shape: (result, { selector, ref, tabId }) => ({
+      success: true,
+      selector,
+      ref,
+      kind: result.kind,
+      checked: result.checked,
+      changed: result.changed,
+      tabId: tabLabel(tabId),
+      message: `${elementLabel({ selector, ref })} is ${result.checked ? "checked" : "unchecked"}${result.changed ? "" : " (unchanged)"}`,
+    }),
+  }),
+
+  defineTool({
+    name: "check_checkbox",
+    description: "Check or uncheck a checkbox (same as set_checked)",
+    inputSchema: z.object({
+      selector: selectorArg("CSS selector of the checkbox").optional(),
+      ref: refArg.optional(),
+      checked: booleanArg().describe("Whether the checkbox should be checked"),
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref"),
+    action: "check_checkbox",
+    extension: { ...selectHelper, message: "setChecked" },
+    shape: (result, { selector, ref, checked, tabId }) => ({
+      success: true,
+      selector,
+      ref,
+      checked: result.checked ?? checked,
+      changed: result.changed,
+      tabId: tabLabel(tabId),
+      message: `Successfully ${checked ? "checked" : "unchecked"} checkbox: ${elementLabel({ selector, ref })}`,
+    }),
+  }),
+
+  defineTool({
+    name: "fill_form",
+    description:
+      "Fill several form fields in one call, either by the names a person would use (label, aria-label, placeholder or name attribute) or by CSS selector. Text fields are typed into, selects and dropdowns pick an option, checkboxes and radios are set. Reports names that match no field or several, and can submit the form",
+    inputSchema: z.object({
+      values: z
+        .record(
+          z.string(),
+          z.union([z.string(), z.number(), z.boolean(), z.array(z.string())]),
+        )
+        .optional()
+        .describe(
+          'Values keyed by field name, e.g. {"Email": "a@b.co", "Shipping ZIP": "10115", "Country": "Germany", "I agree to the terms": true}. Checkboxes and switches take true/false; a group of radios or checkboxes named by its legend takes the option label (or a list of them for checkboxes). Fields are filled in page order',
+        ),
+      fields: z
+        .array(
+          z.object({
+            selector: selectorArg("CSS selector of the field"),
+            value: z.any().describe("Value to fill into the field"),
+          }),
+        )
+        .optional()
+        .describe("Fields to fill by selector, in order, instead of values"),
+      form: selectorArg(
+        "CSS selector of the form to look for the named fields in (default: the whole page)",
+      ).optional(),
+      submit: booleanArg()
+        .default(false)
+        .describe(
+          "Submit the form after filling (with values) and report the fields that fail validation",
+        ),
+      waitUntil: waitUntilSchema
+        .optional()
+        .describe(
+          "When submitting navigates, wait for the new page to reach this stage (default: load)",
+        ),
+      timeout: navigationTimeoutSchema,
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: (args, ctx) => {
+      exactlyOneOf("values", "fields")(args, ctx);
+      if (args.fields && (args.submit || args.form !== undefined)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [args.submit ? "submit" : "form"],
+          message: "form and submit work with values, not fields",
+        });
+      }
+    },
+    action: "fill_form",
+    extension: { target: "background" },
+    run: async (args, { transport }) => {
+      const { fields, tabId } = args;
+      if (!fields) {
+        return fillByName(args, await transport.sendCommand("fill_form", args));
+      }
+
+      const results = [];
+
+      // Fill each field individually so one failure does not stop the rest
+      for (const field of fields) {
+        try {
+          const result = await transport.sendCommand("fill_enhanced", {
+            selector: field.selector,
+            value: field.value,
+            frameId: args.frameId,
+            tabId,
+          });
+          results.push({ ...result, success: true, selector: field.selector });
+        } catch (error) {
+          results.push({
+            success: false,
+            selector: field.selector,
+            value: field.value,
+            error: error instanceof Error ? error.message : String(error),
+          });
+        }
+      }
+
+      const successCount = results.filter((r) => r.success).length;
+
+      return {
+        success: true,
+        fields,
+        results,
+        successCount,
+        totalCount: fields.length,
+        tabId: tabLabel(tabId),
+        message: `Successfully filled ${successCount}/${fields.length} form fields`,
+      };
+    },
+  }),
+
+  defineTool({
+    name: "upload_file",
+    description:
+      "Attach files to an <input type=file>, or drop them onto a drop zone. Files are given as base64 content or as paths on the server's machine, whose contents are sent to the page, " +
+      "or all as browserPath: paths on the browser's machine that the browser reads itself through the debugger. Files the input's accept attribute rules out are skipped",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "CSS selector of the file input, its label, or a drop zone",
+      ).optional(),
+      ref: refArg.optional(),
+      files: z
+        .array(uploadFileSchema)
+        .min(1)
+        .describe(
+          "Files to attach. More than one needs an input with the multiple attribute",
+        ),
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: (args, ctx) => {
+      exactlyOneOf("selector", "ref")(args, ctx);
+      // One upload goes either through the page or through the debugger
+      const browserPaths = args.files.filter(
+        (file) => file.browserPath !== undefined,
+      ).length;
+      if (browserPaths > 0 && browserPaths < args.files.length) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["files"],
+          message: "browserPath cannot be mixed with content or path files",
+        });
+      }
+    },
+    action: "upload_file",
+    extension: { target: "background" },
+    run: async ({ files, ...args }, { transport, options }) => {
+      const loaded = files.map(loadUploadFile);
+      checkUploadSize(loaded, options);
+
+      const result = await transport.sendCommand("upload_file", {
+        ...args,
+        files: loaded,
+      });
+      return {
+        success: true,
+        selector: args.selector,
+        ref: args.ref ?? result.elementInfo?.ref,
+        method: result.method,
+        files: result.files,
+        rejected: result.rejected,
+        dropAccepted: result.dropAccepted,
+        trusted: result.trusted,
+        tabId: tabLabel(args.tabId),
+        message: `${result.method === "drop" ? "Dropped" : "Attached"} ${result.files.length} file(s) ${result.method === "drop" ? "onto" : "to"} ${elementLabel(args)}`,
+      };
+    },
+  }),
+
+  defineTool({
+    name: "scroll",
+    description:
+      "Scroll the page or a scrollable container (a list, panel or dialog) by an amount or to its top or bottom, or scroll an element into view. Returns the scroll position afterwards and whether it moved",
+    inputSchema: z.object({
+      direction: z
+        .enum(["up", "down", "left", "right", "top", "bottom"])
+        .optional()
+        .describe(
+          "Direction to scroll, or top/bottom to jump to that end. Leave out to scroll the selector or ref element into view instead",
+        ),
+      amount: numberArg()
+        .default(500)
+        .describe(
+          "Amount to scroll in pixels for up, down, left and right (default: 500)",
+        ),
+      selector: selectorArg(
+        "With direction, the container to scroll (its nearest scrollable ancestor if it does not scroll itself; default: the page). Without, the element to scroll into view",
+      ).optional(),
+      ref: refArg.optional(),
+      block: z
+        .enum(["start", "center", "end", "nearest"])
+        .default("center")
+        .describe(
+          "Where to place an element scrolled into view vertically (default: center)",
+        ),
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: (args, ctx) => {
+      atMostOneOf("selector", "ref")(args, ctx);
+      if (!args.direction && args.selector === undefined && !args.ref) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["direction"],
+          message: "Give a direction, or a selector or ref to scroll into view",
+        });
+      }
+    },
+    action: "scroll",
+    extension: {
+      target: "helper",
+      script: "scroll-helper.js",
+      message: "scroll",
+    },
+    shape: (result, { direction, amount, selector, ref, tabId }) => {
+      const where = result.container
+        ? `container ${elementLabel({ selector, ref })}`
+        : "page";
+      let message;
+      if (!direction) {
+        message = `Scrolled element into view: ${elementLabel({ selector, ref })}`;
+      } else if (direction === "top" || direction === "bottom") {
+        message = `Scrolled ${where} to the ${direction}`;
+      } else {
+        message = `Scrolled ${where} ${direction} by ${amount} pixels`;
+      }
+      return {
+        success: true,
+        direction,
+        amount:
+          direction && direction !== "top" && direction !== "bottom"
+            ? amount
+            : undefined,
+        ref: result.ref,
+        container: result.container,
+        moved: result.moved,
+        position: result.position,
+        rect: result.rect,
+        tabId: tabLabel(tabId),
+        message:
+          result.moved === false ? `${message} (already at the end)` : message,
+      };
+    },
+  }),
+
+  defineTool({
+    name: "scroll_to_element",
+    description: "Scroll the page until an element is in view",
+    inputSchema: z.object({
+      selector: selectorArg("CSS selector of the element").optional(),
+      ref: refArg.optional(),
+      block: z
+        .enum(["start", "center", "end", "nearest"])
+        .default("center")
+        .describe("Where to place the element vertically (default: center)"),
+      tabId: tabIdSchema,
+    }),
+    refine: exactlyOneOf("selector", "ref"),
+    action: "scroll_to_element",
+    extension: {
+      target: "helper",
+      script: "element-resolver.js",
+      message: "scrollToElement",
+    },
+    shape: (result, { selector, ref, tabId }) => ({
+      success: true,
+      selector,
+      ref: result.ref,
+      rect: result.rect,
+      tabId: tabLabel(tabId),
+      message: `Scrolled to element: ${elementLabel({ selector, ref })}`,
+    }),
+  }),
+
+  defineTool({
+    name: "scroll_until",
+    description:
+      "Keep scrolling the page or a container (an infinite feed) until an element appears, a number of items has loaded, or the end is reached and no more content loads. Returns why it stopped, the scroll position and the item count",
+    inputSchema: z.object({
+      untilSelector: selectorArg(
+        "Stop once an element matching this exists",
+      ).optional(),
+      // Counted with querySelectorAll (open shadow roots included), so no
+      // ">>>" hint
+      itemSelector: z
+        .string()
+        .min(1, "Selector must not be empty")
+        .optional()
+        .describe(
+          "CSS selector of one feed item, counted as content loads (open shadow roots are searched too)",
+        ),
+      count: numberArg(z.number().int().positive())
+        .optional()
+        .describe("Stop once itemSelector matches this many elements"),
+      selector: selectorArg(
+        "Container to scroll, or an element inside it (default: the page)",
+      ).optional(),
+      ref: refArg.optional(),
+      direction: z
+        .enum(["down", "up"])
+        .default("down")
+        .describe(
+          "down for feeds, up for chat histories that load older messages (default: down)",
+        ),
+      maxScrolls: numberArg(z.number().int().positive().max(1000))
+        .default(50)
+        .describe("Stop after this many scroll steps (default: 50)"),
+      idleTimeout: numberArg(z.number().int().positive())
+        .default(2000)
+        .describe(
+          "Milliseconds to wait at the end for more content before deciding there is none (default: 2000)",
+        ),
+      timeout: numberArg(z.number().int().positive().max(300000))
+        .default(30000)
+        .describe("Give up after this many milliseconds (default: 30000)"),
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    refine: (args, ctx) => {
+      atMostOneOf("selector", "ref")(args, ctx);
+      if (args.count !== undefined && args.itemSelector === undefined) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["count"],
+          message: "count needs itemSelector to count",
+        });
+      }
+    },
+    action: "scroll_until",
+    extension: {
+      target: "helper",
+      script: "scroll-helper.js",
+      message: "scrollUntil",
+    },
+    shape: (result, { untilSelector, count, tabId }) => {
+      const stopped: Record<string, string> = {
+        found: `found ${untilSelector}`,
+        count: `${result.itemCount} items loaded`,
+        end: "reached the end, no more content loaded",
+        maxScrolls: "hit maxScrolls",
+        timeout: "timed out",
+      };
+      return {
+        success: true,
+        reason: result.reason,
+        reachedEnd: result.reachedEnd,
+        found: result.found,
+        ref: result.ref,
+        itemCount: result.itemCount,
+        scrolls: result.scrolls,
+        container: result.container,
+        position: result.position,
+        tabId: tabLabel(tabId),
+        message:
+          `Scrolled ${result.scrolls} time(s): ${stopped[result.reason]}` +
+          (untilSelector && !result.found
+            ? `; ${untilSelector} not found`
+            : "") +
+          (count && result.reason !== "count"
+            ? `; ${result.itemCount}/${count} items`
+            : ""),
+      };
+    },
+  }),
+
+  defineTool({
+    name: "wait_for",
+    description:
+      "Wait for one condition: an element (selector or ref) reaching a state, text appearing (text) or disappearing " +
+      "(textGone), the URL matching a pattern, a JavaScript predicate becoming truthy, the network going idle, " +
+      "or a fixed delay. Reports which condition was met and how long it took.",
+    inputSchema: z.object({
+      selector: selectorArg(
+        "CSS selector of the element to wait for",
+      ).optional(),
+      ref: refArg.optional(),
+      state: z
+        .enum(["visible", "hidden", "enabled", "attached", "detached"])
+        .default("visible")
+        .describe(
+          "Element state to wait for with selector or ref (default: visible). hidden and detached are also met when the element does not exist",
+        ),
+      text: z
+        .string()
+        .min(1)
+        .optional()
+        .describe("Wait until the page text contains this"),
+      textGone: z
+        .string()
+        .min(1)
+        .optional()
+        .describe("Wait until the page text no longer contains this"),
+      url: z
+        .string()
+        .min(1)
+        .optional()
+        .describe(
+          'Wait until the tab URL matches: a substring, a glob with * ("*/checkout/*") or a /regex/',
+        ),
+      predicate: z
+        .string()
+        .min(1)
+        .optional()
+        .describe(
+          'JavaScript expression evaluated in the page (MAIN world) until truthy, e.g. "window.appReady === true". Promises are awaited',
+        ),
+      networkIdle: booleanArg()
+        .optional()
+        .describe("Wait until no requests have been in flight for 500ms"),
+      delay: numberArg(z.number().int().nonnegative())
+        .optional()
+        .describe(
+          "Just wait this many milliseconds (timeout is raised to at least this)",
+        ),
+      timeout: numberArg(z.number().int().positive())
+        .default(10000)
+        .describe("Give up after this many milliseconds (default: 10000)"),
+      pollInterval: numberArg(z.number().int().positive())
+        .default(100)
+        .describe(
+          "How often to re-check conditions that cannot be observed, in milliseconds (default: 100)",
+        ),
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    // networkIdle: false asks for nothing, so it does not count as a condition
+    refine: (args, ctx) =>
+      exactlyOneOf(
+        "selector",
+        "ref",
+        "text",
+        "textGone",
+        "url",
+        "predicate",
+        "networkIdle",
+        "delay",
+      )({ ...args, networkIdle: args.networkIdle || undefined }, ctx),
+    action: "wait_for",
+    extension: { target: "background" },
+    // A delay longer than the timeout would otherwise hit the deadline (and
+    // the transport's timeout) before it ends
+    params: (args) => ({
+      ...args,
+      timeout:
+        args.delay === undefined
+          ? args.timeout
+          : Math.max(args.timeout, args.delay),
+    }),
+    shape: (result, { tabId }) => ({
+      success: true,
+      condition: result.condition,
+      elapsed: result.elapsed,
+      url: result.url,
+      tabId: tabLabel(tabId),
+      message: `Condition met after ${result.elapsed}ms: ${result.condition}`,
+    }),
+  }),
+
+  defineTool({
+    name: "wait_for_element",
+    description: "Wait for an element to appear on the page",
+    inputSchema: z.object({
+      // Polled with document.querySelector, so no ">>>" hint
+      selector: z
+        .string()
+        .min(1, "Selector must not be empty")
+        .describe("CSS selector of the element to wait for"),
+      timeout: numberArg()
+        .default(10000)
+        .describe("Timeout in milliseconds (default: 10000)"),
+      tabId: tabIdSchema,
+    }),
+    action: "wait_for_element",
+    extension: { target: "page" },
+    shape: (_result, { selector, timeout, tabId }) => ({
+      success: true,
+      selector,
+      timeout,
+      tabId: tabLabel(tabId),
+      message: `Element appeared: ${selector}`,
+    }),
+  }),
+];
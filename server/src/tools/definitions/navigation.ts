@@ -0,0 +1,93 @@
+import { z } from "zod";
+import { defineTool } from "../registry.js";
+import {
+  navigationTimeoutSchema,
+  tabIdSchema,
+  tabLabel,
+  waitUntilSchema,
+} from "../schemas.js";
+
+const waitArgs = {
+  waitUntil: waitUntilSchema.default("load"),
+  timeout: navigationTimeoutSchema,
+};
+
+/** Final URL, HTTP status and timing reported by the extension */
+function shapeNavigation(
+  result: any,
+  tabId: number | undefined,
+  message: string,
+) {
+  return {
+    success: true,
+    url: result.url,
+    status: result.status,
+    statusText: result.statusText,
+    sameDocument: result.sameDocument || undefined,
+    waitUntil: result.waitUntil,
+    timing: result.timing,
+    tabId: tabLabel(tabId),
+    message: result.status ? `${message} (HTTP ${result.status})` : message,
+  };
+}
+
+export const navigationTools = [
+  defineTool({
+    name: "navigate",
+    description:
+      "Navigate to a URL in the browser and wait for the page (waitUntil, default load). Returns the final URL, HTTP status and timing.",
+    inputSchema: z.object({
+      url: z.string().min(1).describe("The URL to navigate to"),
+      ...waitArgs,
+      tabId: tabIdSchema,
+    }),
+    action: "navigate",
+    extension: { target: "background" },
+    shape: (result, { url, tabId }) => ({
+      ...shapeNavigation(
+        result,
+        tabId,
+        `Successfully navigated to ${result.url ?? url}`,
+      ),
+      requestedUrl: url,
+    }),
+  }),
+
+  defineTool({
+    name: "go_back",
+    description: "Navigate back in the tab's history and wait for the page",
+    inputSchema: z.object({ ...waitArgs, tabId: tabIdSchema }),
+    action: "go_back",
+    extension: { target: "background" },
+    shape: (result, { tabId }) =>
+      shapeNavigation(
+        result,
+        tabId,
+        `Successfully navigated back to ${result.url}`,
+      ),
+  }),
+
+  defineTool({
+    name: "go_forward",
+    description: "Navigate forward in the tab's history and wait for the page",
+    inputSchema: z.object({ ...waitArgs, tabId: tabIdSchema }),
+    action: "go_forward",
+    extension: { target: "background" },
+    shape: (result, { tabId }) =>
+      shapeNavigation(
+        result,
+        tabId,
+        `Successfully navigated forward to ${result.url}`,
+      ),
+  }),
+
+  defineTool({
+    name: "refresh",
+    description: "Reload the current page and wait for it",
+    inputSchema: z.object({ ...waitArgs, tabId: tabIdSchema }),
+    action: "refresh",
+    extension: { target: "background" },
+    shape: (result, { tabId }) =>
+      shapeNavigation(result, tabId, "Successfully refreshed page"),
+  }),
+];
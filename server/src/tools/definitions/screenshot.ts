@@ -0,0 +1,181 @@
+import { z } from "zod";
+import { mkdirSync, writeFileSync } from "fs";
+import { join } from "path";
+import { ContentResult, defineTool, ToolContent } from "../registry.js";
+import { booleanArg, numberArg, selectorArg, tabIdSchema } from "../schemas.js";
+
+/**
+ * Split a data URL (or bare base64 string) into its image format and payload
+ */
+function parseImageData(data: string): { format: string; base64: string } {
+  const dataUrlMatch = data.match(/^data:image\/([^;]+);base64,(.*)$/);
+  if (dataUrlMatch) {
+    return { format: dataUrlMatch[1], base64: dataUrlMatch[2] };
+  }
+
+  if (data.startsWith("data:")) {
+    // Handle other data URL formats
+    const [header, payload] = data.split(",");
+    if (payload !== undefined) {
+      const formatMatch = header.match(/data:image\/([^;]+)/);
+      return { format: formatMatch ? formatMatch[1] : "png", base64: payload };
+    }
+  }
+
+  return { format: "png", base64: data };
+}
+
+function saveScreenshot(directory: string, format: string, base64: string) {
+  const buffer = Buffer.from(base64, "base64");
+  const extension = format === "jpeg" ? "jpg" : format;
+  const filepath = join(
+    directory,
+    `chrome-screenshot-${Date.now()}.${extension}`,
+  );
+
+  mkdirSync(directory, { recursive: true });
+  writeFileSync(filepath, buffer);
+  return filepath;
+}
+
+/** Output options shared by the screenshot tools */
+const imageArgs = {
+  format: z
+    .enum(["png", "jpeg"])
+    .default("png")
+    .describe("Image format (default: png)"),
+  quality: numberArg(z.number().int().min(1).max(100))
+    .optional()
+    .describe("JPEG quality from 1 to 100 (default: 80)"),
+  maxWidth: numberArg(z.number().int().positive())
+    .optional()
+    .describe("Downscale so the image is at most this many pixels wide"),
+  maxHeight: numberArg(z.number().int().positive())
+    .optional()
+    .describe("Downscale so the image is at most this many pixels high"),
+  activateFallback: booleanArg()
+    .default(false)
+    .describe(
+      "Background tabs are captured without switching to them. If that fails, allow briefly activating the tab and switching back afterwards (default: false)",
+    ),
+};
+
+/**
+ * Image block for a capture, plus the metadata every screenshot tool reports.
+ * Saves a copy when the server runs with --screenshot-dir.
+ */
+function imageContent(result: any, screenshotDir?: string) {
+  const { format, base64 } = parseImageData(result.screenshot);
+  if (base64.length === 0) {
+    throw new Error("Invalid screenshot data: empty image");
+  }
+
+  const savedTo = screenshotDir
+    ? saveScreenshot(screenshotDir, format, base64)
+    : undefined;
+
+  const image: ToolContent = {
+    type: "image",
+    data: base64,
+    mimeType: `image/${format}`,
+  };
+  const metadata = {
+    tabId: result.tabId,
+    captureMethod: result.captureMethod,
+    fallbackReason: result.fallbackReason,
+    url: result.url,
+    format,
+    width: result.width,
+    height: result.height,
+    scale: result.scale,
+    timestamp: result.timestamp,
+    savedTo,
+  };
+
+  return { image, metadata };
+}
+
+function textContent(value: unknown): ToolContent {
+  return { type: "text", text: JSON.stringify(value, null, 2) };
+}
+
+export const screenshotTools = [
+  defineTool({
+    name: "screenshot",
+    description:
+      "Take a screenshot of the visible part of the page, the whole scrollable page (fullPage) or a single element (selector), returned as an image. " +
+      "Use format jpeg and maxWidth/maxHeight to keep large captures small.",
+    inputSchema: z.object({
+      tabId: tabIdSchema,
+      fullPage: booleanArg()
+        .default(false)
+        .describe(
+          "Scroll through the page and stitch the whole document into one image (default: false)",
+        ),
+      selector: selectorArg(
+        "CSS selector of an element to capture on its own, cropped to its bounds",
+      ).optional(),
+      padding: numberArg(z.number().min(0))
+        .default(0)
+        .describe(
+          "With selector, extra CSS pixels to include around the element (default: 0)",
+        ),
+      maxPageHeight: numberArg(z.number().int().positive())
+        .optional()
+        .describe(
+          "With fullPage or selector, stop stitching after this many CSS pixels (default: 20000)",
+        ),
+      ...imageArgs,
+      includeMetadata: booleanArg()
+        .default(true)
+        .describe(
+          "Also return a text block with size, tab and URL (default: true)",
+        ),
+    }),
+    action: "screenshot",
+    extension: { target: "background" },
+    params: ({ includeMetadata, ...params }) => params,
+    shape: (result, { includeMetadata }, { options }) => {
+      const { image, metadata } = imageContent(result, options.screenshotDir);
+      if (!includeMetadata) {
+        return new ContentResult([image]);
+      }
+
+      return new ContentResult([
+        image,
+        textContent({
+          ...metadata,
+          fullPage: result.fullPage || false,
+          selector: result.selector,
+          elementRect: result.elementRect,
+          pageHeight: result.pageHeight,
+          truncated: result.truncated,
+        }),
+      ]);
+    },
+  }),
+  defineTool({
+    name: "screenshot_annotated",
+    description:
+      "Screenshot the viewport with a numbered box drawn on every visible interactive element (set-of-marks), " +
+      "plus a legend mapping each number to its selector, role and accessible name. " +
+      "Pass a number to click { mark } to click that element.",
+    inputSchema: z.object({
+      tabId: tabIdSchema,
+      ...imageArgs,
+    }),
+    action: "screenshot_annotated",
+    extension: { target: "background" },
+    shape: (result, _args, { options }) => {
+      const { image, metadata } = imageContent(result, options.screenshotDir);
+      return new ContentResult([
+        image,
+        textContent({
+          ...metadata,
+          snapshotId: result.snapshotId,
+          legend: result.legend,
+        }),
+      ]);
+    },
+  }),
+];
@@ -0,0 +1,49 @@
+import { z } from "zod";
+import { defineTool } from "../registry.js";
+import { frameIdSchema, tabIdSchema, tabLabel } from "../schemas.js";
+
+export const scriptingTools = [
+  defineTool({
+    name: "inject_script",
+    description:
+      "Inject helper files or run JavaScript in the page, in the isolated content-script world or the page's MAIN world",
+    inputSchema: z.object({
+      jsCode: z.string().optional().describe("JavaScript source to execute"),
+      files: z
+        .array(z.string())
+        .optional()
+        .describe("Helper scripts from extension/inject-scripts to inject"),
+      world: z
+        .enum(["ISOLATED", "MAIN"])
+        .default("ISOLATED")
+        .describe("Execution world (default: ISOLATED)"),
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    action: "inject_script",
+    extension: { target: "background" },
+    shape: (result, { world, tabId }) => ({
+      ...result,
+      world,
+      tabId: tabLabel(tabId),
+    }),
+  }),
+
+  defineTool({
+    name: "send_command_to_inject_script",
+    description:
+      "Send an event to a script previously injected with inject_script and return its response",
+    inputSchema: z.object({
+      eventName: z.string().describe("Action name the injected script handles"),
+      payload: z.any().optional().describe("Data passed to the handler"),
+      targetWorld: z
+        .enum(["ISOLATED", "MAIN"])
+        .default("ISOLATED")
+        .describe("World the receiving script runs in (default: ISOLATED)"),
+      frameId: frameIdSchema,
+      tabId: tabIdSchema,
+    }),
+    action: "send_command_to_inject_script",
+    extension: { target: "background" },
+  }),
+];
@@ -0,0 +1,104 @@
+import { z } from "zod";
+import { defineTool } from "../registry.js";
+import { numberArg, tabIdSchema, tabLabel } from "../schemas.js";
+
+export const tabTools = [
+  defineTool({
+    name: "list_browsers",
+    description:
+      "List the browsers connected to this server with their name, profile and versions. " +
+      "When several are connected, pass one's name as browser to any other tool to run it there.",
+    inputSchema: z.object({}),
+    action: "list_browsers",
+    extension: { target: "background" },
+    run: async (_args, { transport }) => {
+      const browsers = await transport.listBrowsers();
+      return {
+        success: true,
+        browsers,
+        count: browsers.length,
+        message:
+          browsers.length > 0
+            ? `${browsers.length} browser(s) connected: ${browsers.map((browser) => browser.name).join(", ")}`
+            : "No browser connected",
+      };
+    },
+  }),
+
+  defineTool({
+    name: "get_tabs",
+    description: "Get all open browser tabs",
+    inputSchema: z.object({}),
+    action: "get_tabs",
+    extension: { target: "background" },
+    shape: (tabs) => ({
+      success: true,
+      tabs,
+      count: tabs.length,
+      message: `Found ${tabs.length} open tabs`,
+    }),
+  }),
+
+  defineTool({
+    name: "get_current_tab",
+    description: "Get information about the currently active tab",
+    inputSchema: z.object({}),
+    action: "get_active_tab",
+    extension: { target: "background" },
+    shape: (tab) => ({
+      success: true,
+      tab,
+      message: `Current tab: ${tab.title} (${tab.url})`,
+    }),
+  }),
+
+  defineTool({
+    name: "get_frames",
+    description:
+      "List every frame in a tab (the page and all nested iframes) with its frameId, URL and parent. " +
+      "Pass a frameId to click, type, get_content, get_interactive_elements or inject_script to work inside that frame.",
+    inputSchema: z.object({ tabId: tabIdSchema }),
+    action: "get_frames",
+    extension: { target: "background" },
+    shape: (frames, { tabId }) => ({
+      success: true,
+      frames,
+      count: frames.length,
+      tabId: tabLabel(tabId),
+      message: `Found ${frames.length} frames`,
+    }),
+  }),
+
+  defineTool({
+    name: "create_tab",
+    description: "Open a new browser tab",
+    inputSchema: z.object({
+      url: z.string().min(1).describe("The URL to open in the new tab"),
+    }),
+    action: "create_tab",
+    extension: { target: "background" },
+    shape: (tab, { url }) => ({
+      success: true,
+      tab,
+      url,
+      message: `Successfully created new tab: ${url}`,
+    }),
+  }),
+
+  defineTool({
+    name: "close_tab",
+    description: "Close a browser tab",
+    inputSchema: z.object({
+      tabId: numberArg(z.number().int().positive()).describe(
+        "The ID of the tab to close",
+      ),
+    }),
+    action: "close_tab",
+    extension: { target: "background" },
+    shape: (_result, { tabId }) => ({
+      success: true,
+      tabId,
+      message: `Successfully closed tab ${tabId}`,
+    }),
+  }),
+];
@@ -0,0 +1,279 @@
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import type { ServerOptions } from "../options.js";
+import { browserSchema } from "./schemas.js";
+
+/** A browser the server can send commands to, as list_browsers reports it */
+export interface BrowserInfo {
+  /** What the browser argument of every tool takes */
+  name: string;
+  profile?: string;
+  /** Extension version */
+  version?: string;
+  browserVersion?: string;
+  platform?: string;
+  remoteAddress?: string;
+  connectedAt?: string;
+  /** False for an extension that has not introduced itself */
+  identified?: boolean;
+}
+
+/**
+ * Anything that can deliver an action to the extension and resolve with its
+ * result. Both NativeMessenger and ChromeWebSocketServer satisfy this.
+ */
+export interface CommandTransport {
+  /** Sends to the browser called `browser`, or the only one connected */
+  sendCommand(action: string, params?: any, browser?: string): Promise<any>;
+  listBrowsers(): BrowserInfo[] | Promise<BrowserInfo[]>;
+}
+
+/**
+ * Where the extension executes an action:
+ * - background: a handler in the service worker (tabs, screenshots, ...)
+ * - helper: a message to an injected helper script in the tab
+ * - page: the self-contained pageAction function run via chrome.scripting
+ */
+export type ExtensionTarget =
+  | { target: "background" }
+  | { target: "helper"; script: string; message: string }
+  | { target: "page" };
+
+/** What a tool gets to work with besides its arguments */
+export interface ToolContext {
+  transport: CommandTransport;
+  options: ServerOptions;
+}
+
+export type ToolContent =
+  | { type: "text"; text: string }
+  | { type: "image"; data: string; mimeType: string };
+
+/**
+ * Returned from shape/run when a tool needs to hand MCP content blocks (e.g.
+ * images) to the client as-is. Any other result is sent as JSON text.
+ */
+export class ContentResult {
+  constructor(public readonly content: ToolContent[]) {}
+}
+
+type ToolArgs<S extends z.AnyZodObject> = z.infer<S>;
+
+export interface ToolDefinition<S extends z.AnyZodObject = z.AnyZodObject> {
+  name: string;
+  description: string;
+  inputSchema: S;
+  /** Action name sent to the extension */
+  action: string;
+  /** How the extension dispatches `action` */
+  extension: ExtensionTarget;
+  /** Cross-argument checks a single field schema can't express */
+  refine?: (args: ToolArgs<S>, ctx: z.RefinementCtx) => void;
+  /** Maps validated arguments to action params (defaults to the arguments) */
+  params?: (args: ToolArgs<S>, context: ToolContext) => Record<string, any>;
+  /** Shapes the raw extension result into the tool result */
+  shape?: (result: any, args: ToolArgs<S>, context: ToolContext) => any;
+  /** Replaces the default single send for tools that need several commands */
+  run?: (args: ToolArgs<S>, context: ToolContext) => Promise<any>;
+}
+
+export interface ValidationIssue {
+  /** Dotted path of the offending argument, e.g. "fields.0.selector" */
+  field: string;
+  /** What the tool expected at that path */
+  expected: string;
+  /** What was actually sent, when zod reports it */
+  received?: string;
+  message: string;
+}
+
+/**
+ * Thrown when tool arguments fail schema validation, before anything is sent
+ * to the extension.
+ */
+export class ToolValidationError extends Error {
+  constructor(
+    public readonly tool: string,
+    public readonly issues: ValidationIssue[],
+  ) {
+    super(
+      `Invalid arguments for ${tool}: ` +
+        issues.map((issue) => `${issue.field}: ${issue.message}`).join("; "),
+    );
+    this.name = "ToolValidationError";
+  }
+}
+
+function describeIssue(issue: z.ZodIssue): ValidationIssue {
+  const field = issue.path.length > 0 ? issue.path.join(".") : "(arguments)";
+
+  switch (issue.code) {
+    case z.ZodIssueCode.invalid_type:
+      return {
+        field,
+        expected: issue.expected,
+        received: issue.received,
+        message:
+          issue.received === "undefined"
+            ? `Required ${issue.expected} is missing`
+            : `Expected ${issue.expected}, received ${issue.received}`,
+      };
+    case z.ZodIssueCode.invalid_enum_value:
+      return {
+        field,
+        expected: issue.options
+          .map((option) => JSON.stringify(option))
+          .join(" | "),
+        received: JSON.stringify(issue.received),
+        message: issue.message,
+      };
+    case z.ZodIssueCode.too_small:
+    case z.ZodIssueCode.too_big:
+      return {
+        field,
+        expected: `${issue.type} ${issue.code === z.ZodIssueCode.too_small ? ">=" : "<="} ${issue.code === z.ZodIssueCode.too_small ? issue.minimum : issue.maximum}`,
+        message: issue.message,
+      };
+    case z.ZodIssueCode.custom:
+      return {
+        field,
+        expected: issue.params?.expected ?? issue.code,
+        message: issue.message,
+      };
+    default:
+      return { field, expected: issue.code, message: issue.message };
+  }
+}
+
+/**
+ * Identity helper so each definition gets its argument types inferred from
+ * its own schema.
+ */
+export function defineTool<S extends z.AnyZodObject>(
+  definition: ToolDefinition<S>,
+): ToolDefinition<S> {
+  return definition;
+}
+
+export class ToolRegistry {
+  private tools = new Map<string, ToolDefinition<any>>();
+
+  constructor(definitions: ToolDefinition<any>[]) {
+    for (const definition of definitions) {
+      if (this.tools.has(definition.name)) {
+        throw new Error(`Duplicate tool definition: ${definition.name}`);
+      }
+      // Every tool can be sent to a particular browser
+      this.tools.set(definition.name, {
+        ...definition,
+        inputSchema: definition.inputSchema.extend({ browser: browserSchema }),
+      });
+    }
+  }
+
+  public all(): ToolDefinition<any>[] {
+    return Array.from(this.tools.values());
+  }
+
+  /** Tool list in the shape expected by ListToolsRequestSchema */
+  public list() {
+    return this.all().map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: toJsonSchema(tool.inputSchema),
+    }));
+  }
+
+  public async call(
+    name: string,
+    args: unknown,
+    context: ToolContext,
+  ): Promise<ToolContent[]> {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    const schema = tool.refine
+      ? tool.inputSchema.superRefine(tool.refine)
+      : tool.inputSchema;
+    const validation = schema.safeParse(args ?? {});
+    if (!validation.success) {
+      throw new ToolValidationError(
+        name,
+        validation.error.issues.map(describeIssue),
+      );
+    }
+    const { browser, ...parsed } = validation.data;
+    const routed =
+      browser === undefined ? context : forBrowser(context, browser);
+
+    let result: any;
+    try {
+      if (tool.run) {
+        result = await tool.run(parsed, routed);
+      } else {
+        const raw = await routed.transport.sendCommand(
+          tool.action,
+          tool.params ? tool.params(parsed, routed) : parsed,
+        );
+        result = tool.shape ? await tool.shape(raw, parsed, routed) : raw;
+      }
+    } catch (error) {
+      throw new Error(
+        `${tool.name} failed: ${error instanceof Error ? error.message : String(error)}`,
+      );
+    }
+
+    if (result instanceof ContentResult) {
+      return result.content;
+    }
+    return [{ type: "text", text: JSON.stringify(result, null, 2) }];
+  }
+
+  /**
+   * Extension dispatch table keyed by action. Several tools may share an
+   * action, but they must agree on how the extension runs it.
+   */
+  public extensionActions(): Record<string, ExtensionTarget> {
+    const actions: Record<string, ExtensionTarget> = {};
+
+    for (const tool of this.all()) {
+      const existing = actions[tool.action];
+      if (
+        existing &&
+        JSON.stringify(existing) !== JSON.stringify(tool.extension)
+      ) {
+        throw new Error(
+          `Conflicting extension targets for action "${tool.action}" (tool ${tool.name})`,
+        );
+      }
+      actions[tool.action] = tool.extension;
+    }
+
+    return actions;
+  }
+}
+
+/** Context whose commands all go to one browser, for a call naming it */
+function forBrowser(context: ToolContext, browser: string): ToolContext {
+  const { transport } = context;
+  return {
+    ...context,
+    transport: {
+      sendCommand: (action, params) =>
+        transport.sendCommand(action, params, browser),
+      listBrowsers: () => transport.listBrowsers(),
+    },
+  };
+}
+
+function toJsonSchema(schema: z.AnyZodObject) {
+  // Widened to avoid zod-to-json-schema's deep generic instantiation
+  const convert = zodToJsonSchema as unknown as (
+    schema: z.ZodTypeAny,
+    options: { $refStrategy: "none" },
+  ) => Record<string, any>;
+  const { $schema, ...jsonSchema } = convert(schema, { $refStrategy: "none" });
+  return jsonSchema as { type: "object"; [key: string]: unknown };
+}
@@ -0,0 +1,154 @@
+import { z } from "zod";
+import type { ServerOptions } from "../options.js";
+
+// Argument schemas shared by several tool definitions. Models regularly send
+// numbers and booleans as strings ("12", "true"), so those are coerced before
+// validation instead of being rejected.
+
+function toNumber(value: unknown): unknown {
+  if (typeof value === "string" && value.trim() !== "") {
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? value : parsed;
+  }
+  return value;
+}
+
+function toBoolean(value: unknown): unknown {
+  if (typeof value === "string") {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === "true") return true;
+    if (normalized === "false") return false;
+  }
+  return value;
+}
+
+/** Added to every tool by the registry: which connected browser runs it */
+export const browserSchema = z
+  .string()
+  .min(1)
+  .optional()
+  .describe(
+    "Name of the browser to run this in, from list_browsers (default: the only connected browser)",
+  );
+
+/** Number argument that also accepts numeric strings */
+export function numberArg<T extends z.ZodTypeAny = z.ZodNumber>(
+  schema: T = z.number() as unknown as T,
+) {
+  return z.preprocess(toNumber, schema);
+}
+
+/** Boolean argument that also accepts "true" / "false" */
+export function booleanArg() {
+  return z.preprocess(toBoolean, z.boolean());
+}
+
+/**
+ * Non-empty selector string. Element tools resolve ">>>" by stepping into the
+ * matched element's shadow root or iframe, so the description says so.
+ */
+export function selectorArg(description: string) {
+  return z
+    .string()
+    .min(1, "Selector must not be empty")
+    .describe(
+      `${description}. Use ">>>" to step into a shadow root or iframe, e.g. "iframe#pay >>> input[name=card]"`,
+    );
+}
+
+/** Element ref handed out by get_interactive_elements and friends */
+export const refArg = z
+  .string()
+  .min(1, "Ref must not be empty")
+  .describe(
+    "Element ref from get_interactive_elements or find_elements_by_text, instead of selector",
+  );
+
+/** How a tool result names the element it acted on */
+export function elementLabel(target: {
+  selector?: string;
+  ref?: string;
+  mark?: number;
+}): string {
+  if (target.ref !== undefined) return `ref ${target.ref}`;
+  if (target.mark !== undefined) return `mark ${target.mark}`;
+  return target.selector ?? "";
+}
+
+/**
+ * Refinement for tools that target an element in one of several ways:
+ * exactly one of `fields` must be given.
+ */
+export function exactlyOneOf(...fields: string[]) {
+  return (args: Record<string, unknown>, ctx: z.RefinementCtx) => {
+    const given = fields.filter((field) => args[field] !== undefined);
+    if (given.length === 1) return;
+
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: given.length > 1 ? [given[1]] : [],
+      message:
+        given.length > 1
+          ? `Provide only one of ${fields.join(", ")} (got ${given.join(", ")})`
+          : `One of ${fields.join(", ")} is required`,
+      params: { expected: `exactly one of ${fields.join(", ")}` },
+    });
+  };
+}
+
+/** Like exactlyOneOf, for tools where the target is optional */
+export function atMostOneOf(...fields: string[]) {
+  return (args: Record<string, unknown>, ctx: z.RefinementCtx) => {
+    const given = fields.filter((field) => args[field] !== undefined);
+    if (given.length <= 1) return;
+
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: [given[1]],
+      message: `Provide only one of ${fields.join(", ")} (got ${given.join(", ")})`,
+      params: { expected: `at most one of ${fields.join(", ")}` },
+    });
+  };
+}
+
+export const tabIdSchema = numberArg(z.number().int().positive())
+  .optional()
+  .describe("Optional tab ID. If not provided, uses the active tab");
+
+/** Page lifecycle stage a navigation must reach before the tool returns */
+export const waitUntilSchema = z
+  .enum(["commit", "domcontentloaded", "load", "networkidle"])
+  .describe(
+    "Wait until the navigation is committed, the DOM is parsed, the page has loaded, or the network has been idle for 500ms after load",
+  );
+
+export const navigationTimeoutSchema = numberArg(z.number().int().positive())
+  .default(30000)
+  .describe(
+    "Maximum time to wait for the navigation in milliseconds (default: 30000)",
+  );
+
+export const trustedArg = booleanArg()
+  .optional()
+  .describe(
+    "Dispatch real (isTrusted) input through the debugger instead of synthetic DOM events. Works with React inputs, editors and bot checks, but shows Chrome's debugging bar. Defaults to the server's --input-mode",
+  );
+
+/** Fill in `trusted` from the server's --input-mode when a call leaves it out */
+export function withInputMode<T extends { trusted?: boolean }>(
+  args: T,
+  options: ServerOptions,
+): T & { trusted: boolean } {
+  return { ...args, trusted: args.trusted ?? options.inputMode === "trusted" };
+}
+
+export const frameIdSchema = numberArg(z.number().int().nonnegative())
+  .optional()
+  .describe(
+    "Optional frame ID from get_frames. If not provided, uses the top frame",
+  );
+
+/** Value reported back for results that ran against the active tab */
+export function tabLabel(tabId?: number): number | "active" {
+  return tabId || "active";
+}
@@ -4,6 +4,7 @@ import express from "express";
 import cors from "cors";
 import { createServer } from "http";
 import { networkInterfaces } from "os";
+import type { BrowserInfo } from "./tools/registry.js";
 
 interface WebSocketMessage {
   id: string;
@@ -18,14 +19,53 @@ interface WebSocketResponse {
   error?: string;
 }
 
+/** What an extension says about itself in its hello message */
+interface HelloMessage {
+  type: "hello";
+  name?: string;
+  profile?: string;
+  version?: string;
+  browserVersion?: string;
+  platform?: string;
+}
+
+/** One connected extension */
+interface BrowserConnection {
+  socket: WebSocket;
+  name: string;
+  profile?: string;
+  version?: string;
+  browserVersion?: string;
+  platform?: string;
+  remoteAddress?: string;
+  connectedAt: string;
+  /** False until the extension has sent its hello */
+  identified: boolean;
+  /** When the browser last answered a ping or sent anything (ms) */
+  lastSeen: number;
+}
+
+/**
+ * How long a reconnecting browser waits for the connection holding its name
+ * to answer a ping before taking the name over
+ */
+const TAKEOVER_PROBE_MS = 3000;
+
 export class ChromeWebSocketServer extends EventEmitter {
   private app: express.Application;
   private server: any;
   private wss!: WebSocketServer;
-  private extensionSocket: WebSocket | null = null;
+  /** Connected extensions by name */
+  private browsers = new Map<string, BrowserConnection>();
+  private connectionCount = 0;
   private messageHandlers = new Map<
     string,
-    { resolve: Function; reject: Function; timeout: NodeJS.Timeout }
+    {
+      resolve: Function;
+      reject: Function;
+      timeout: NodeJS.Timeout;
+      browser: BrowserConnection;
+    }
   >();
   private port: number;
   private host: string;
@@ -59,7 +99,8 @@ export class ChromeWebSocketServer extends EventEmitter {
     this.app.get("/health", (req, res) => {
       res.json({
         status: "ok",
-        extensionConnected: this.extensionSocket !== null,
+        extensionConnected: this.isExtensionConnected(),
+        browsers: this.listBrowsers().map((browser) => browser.name),
         timestamp: new Date().toISOString(),
       });
     });
@@ -69,7 +110,8 @@ export class ChromeWebSocketServer extends EventEmitter {
       res.json({
         host: this.host,
         port: this.port,
-        extensionConnected: this.extensionSocket !== null,
+        extensionConnected: this.isExtensionConnected(),
+        browsers: this.listBrowsers(),
         wsUrl: `ws://${this.getLocalIP()}:${this.port}/ws`,
       });
     });
@@ -77,8 +119,8 @@ export class ChromeWebSocketServer extends EventEmitter {
     // Manual command endpoint for testing
     this.app.post("/command", async (req, res) => {
       try {
-        const { action, params } = req.body;
-        const result = await this.sendCommand(action, params);
+        const { action, params, browser } = req.body;
+        const result = await this.sendCommand(action, params, browser);
         res.json({ success: true, data: result });
       } catch (error) {
         res.status(500).json({
@@ -101,20 +143,44 @@ export class ChromeWebSocketServer extends EventEmitter {
         req.socket.remoteAddress,
       );
 
-      // Store the extension connection
-      this.extensionSocket = ws;
-      this.emit("extensionConnected");
+      // Known under a placeholder name until its hello arrives; extensions
+      // without the handshake keep it
+      const browser: BrowserConnection = {
+        socket: ws,
+        name: this.uniqueName(`browser-${++this.connectionCount}`),
+        remoteAddress: req.socket.remoteAddress,
+        connectedAt: new Date().toISOString(),
+        identified: false,
+        lastSeen: Date.now(),
+      };
+      this.browsers.set(browser.name, browser);
+      this.emit("extensionConnected", browser.name);
 
-      // Start heartbeat for this connection
-      this.startHeartbeat();
+      // Start heartbeat once the first browser is connected
+      if (!this.heartbeatInterval) {
+        this.startHeartbeat();
+      }
+
+      ws.on("pong", () => {
+        browser.lastSeen = Date.now();
+      });
 
       ws.on("message", (data) => {
+        browser.lastSeen = Date.now();
         try {
           const message = JSON.parse(data.toString()) as any;
 
           // Handle heartbeat messages
           if (message.type === "pong" || message.type === "keep_alive") {
-            console.error("Received heartbeat from extension:", message.type);
+            console.error(
+              `Received heartbeat from ${browser.name}:`,
+              message.type,
+            );
+            return;
+          }
+
+          if (message.type === "hello") {
+            void this.identify(browser, message as HelloMessage);
             return;
           }
 
@@ -126,10 +192,16 @@ export class ChromeWebSocketServer extends EventEmitter {
       });
 
       ws.on("close", () => {
-        console.error("Extension WebSocket disconnected");
-        this.extensionSocket = null;
-        this.stopHeartbeat();
-        this.emit("extensionDisconnected");
+        console.error(`Browser ${browser.name} disconnected`);
+        // A reconnect may have taken the name over already
+        if (this.browsers.get(browser.name) === browser) {
+          this.browsers.delete(browser.name);
+        }
+        this.rejectPending(browser);
+        if (this.browsers.size === 0) {
+          this.stopHeartbeat();
+        }
+        this.emit("extensionDisconnected", browser.name);
       });
 
       ws.on("error", (error) => {
@@ -147,6 +219,132 @@ export class ChromeWebSocketServer extends EventEmitter {
     });
   }
 
+  /**
+   * Name a connection after its hello. A service worker that restarts often
+   * reconnects before its old socket is seen to close, so a connection with
+   * the same name and profile that no longer answers hands the name over.
+   * A name a live connection has gets a numeric suffix rather than taking
+   * over its commands.
+   */
+  private async identify(
+    browser: BrowserConnection,
+    hello: HelloMessage,
+  ): Promise<void> {
+    const wanted = hello.name?.trim() || browser.name;
+    const holder = this.browsers.get(wanted);
+    if (
+      holder &&
+      holder !== browser &&
+      holder.profile === hello.profile &&
+      !(await this.answers(holder))
+    ) {
+      console.error(
+        `Browser ${wanted} reconnected; dropping its old unanswered connection`,
+      );
+      this.browsers.delete(wanted);
+      holder.socket.terminate();
+    }
+    // This connection may itself have closed during the probe
+    if (browser.socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    this.browsers.delete(browser.name);
+    browser.name = this.uniqueName(wanted);
+    browser.profile = hello.profile;
+    browser.version = hello.version;
+    browser.browserVersion = hello.browserVersion;
+    browser.platform = hello.platform;
+    browser.identified = true;
+    this.browsers.set(browser.name, browser);
+
+    if (browser.name !== wanted) {
+      console.error(
+        `Browser name "${wanted}" is already connected; registered this one as "${browser.name}"`,
+      );
+    }
+    console.error(
+      `Browser ${browser.name} identified (profile ${browser.profile ?? "unknown"}, extension ${browser.version ?? "unknown"})`,
+    );
+    browser.socket.send(
+      JSON.stringify({ type: "registered", name: browser.name }),
+    );
+  }
+
+  /** Whether a connection is open and answers a ping in time */
+  private answers(browser: BrowserConnection): Promise<boolean> {
+    const { socket } = browser;
+    if (socket.readyState !== WebSocket.OPEN) {
+      return Promise.resolve(false);
+    }
+    return new Promise((resolve) => {
+      const onPong = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      const timer = setTimeout(() => {
+        socket.off("pong", onPong);
+        resolve(false);
+      }, TAKEOVER_PROBE_MS);
+      socket.once("pong", onPong);
+      socket.ping();
+    });
+  }
+
+  private uniqueName(name: string): string {
+    let candidate = name;
+    for (let suffix = 2; this.browsers.has(candidate); suffix++) {
+      candidate = `${name}-${suffix}`;
+    }
+    return candidate;
+  }
+
+  /** Fail the commands still waiting on a browser that went away */
+  private rejectPending(browser: BrowserConnection): void {
+    for (const [id, handler] of this.messageHandlers) {
+      if (handler.browser === browser) {
+        clearTimeout(handler.timeout);
+        this.messageHandlers.delete(id);
+        handler.reject(
+          new Error(`Browser ${browser.name} disconnected before answering`),
+        );
+      }
+    }
+  }
+
+  /**
+   * The connection a command goes to: the named browser, or the only one
+   * connected when no name is given
+   */
+  private pickBrowser(name?: string): BrowserConnection {
+    const open = this.listBrowsers().map((browser) => browser.name);
+    if (name !== undefined) {
+      const browser = this.browsers.get(name);
+      if (!browser || browser.socket.readyState !== WebSocket.OPEN) {
+        throw new Error(
+          `Browser "${name}" is not connected (connected: ${open.join(", ") || "none"})`,
+        );
+      }
+      return browser;
+    }
+    if (open.length === 0) {
+      throw new Error("Extension not connected");
+    }
+    if (open.length > 1) {
+      throw new Error(
+        `${open.length} browsers are connected (${open.join(", ")}); pass browser to choose one`,
+      );
+    }
+    return this.browsers.get(open[0])!;
+  }
+
+  /** Open connections, as list_browsers reports them */
+  public listBrowsers(): BrowserInfo[] {
+    return Array.from(this.browsers.values())
+      .filter((browser) => browser.socket.readyState === WebSocket.OPEN)
+      .map(({ socket, lastSeen, ...info }) => info);
+  }
+
   private handleMessage(message: WebSocketMessage): void {
     if (message.id && this.messageHandlers.has(message.id)) {
       // This is a response to a request we sent
@@ -166,13 +364,17 @@ export class ChromeWebSocketServer extends EventEmitter {
     }
   }
 
-  public sendCommand(action: string, params: any = {}): Promise<any> {
+  public sendCommand(
+    action: string,
+    params: any = {},
+    browserName?: string,
+  ): Promise<any> {
     return new Promise((resolve, reject) => {
-      if (
-        !this.extensionSocket ||
-        this.extensionSocket.readyState !== WebSocket.OPEN
-      ) {
-        reject(new Error("Extension not connected"));
+      let browser: BrowserConnection;
+      try {
+        browser = this.pickBrowser(browserName);
+      } catch (error) {
+        reject(error);
         return;
       }
 
@@ -183,16 +385,23 @@ export class ChromeWebSocketServer extends EventEmitter {
         params,
       };
 
-      // Set up response handler
+      // Set up response handler. Tools that wait (navigate, wait_for) pass
+      // their own timeout; leave them room to report it first
+      const timeoutMs = Math.max(30000, (Number(params.timeout) || 0) + 5000);
       const timeout = setTimeout(() => {
         this.messageHandlers.delete(messageId);
         reject(new Error(`Request timeout for action: ${action}`));
-      }, 30000); // 30 second timeout
+      }, timeoutMs);
 
-      this.messageHandlers.set(messageId, { resolve, reject, timeout });
+      this.messageHandlers.set(messageId, {
+        resolve,
+        reject,
+        timeout,
+        browser,
+      });
 
       // Send the message
-      this.extensionSocket.send(JSON.stringify(message));
+      browser.socket.send(JSON.stringify(message));
     });
   }
 
@@ -261,19 +470,23 @@ export class ChromeWebSocketServer extends EventEmitter {
     this.stopHeartbeat();
 
     this.heartbeatInterval = setInterval(() => {
-      if (
-        this.extensionSocket &&
-        this.extensionSocket.readyState === WebSocket.OPEN
-      ) {
-        // Send ping message
-        const pingMessage = {
-          type: "ping",
-          timestamp: Date.now(),
-        };
-        this.extensionSocket.send(JSON.stringify(pingMessage));
-      } else {
-        // Connection is dead, stop heartbeat
-        this.stopHeartbeat();
+      // Send ping message to every connected browser
+      const pingMessage = JSON.stringify({
+        type: "ping",
+        timestamp: Date.now(),
+      });
+      for (const browser of this.browsers.values()) {
+        // A dropped link (e.g. WSL to Windows) never closes the socket by
+        // itself; drop browsers that missed two pings
+        if (Date.now() - browser.lastSeen > 2 * this.heartbeatFrequency) {
+          console.error(`Browser ${browser.name} stopped answering; closing`);
+          browser.socket.terminate();
+          continue;
+        }
+        if (browser.socket.readyState === WebSocket.OPEN) {
+          browser.socket.send(pingMessage);
+          browser.socket.ping();
+        }
       }
     }, this.heartbeatFrequency);
   }
@@ -286,9 +499,6 @@ export class ChromeWebSocketServer extends EventEmitter {
   }
 
   public isExtensionConnected(): boolean {
-    return (
-      this.extensionSocket !== null &&
-      this.extensionSocket.readyState === WebSocket.OPEN
-    );
+    return this.listBrowsers().length > 0;
   }
 }